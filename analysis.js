@@ -0,0 +1,1751 @@
+// analysis.js
+// Headless analysis core of the Titanic EDA application
+// Schema inference, descriptive statistics, missing values, grouping, correlations, hypothesis
+// tests and data quality rules as pure functions. Nothing here touches the DOM, Chart.js or the
+// app's global state: app.js imports these functions in the browser, and cli.js and the tests
+// run the same code in Node.
+
+// ---------------------------------------------------------------------------
+// Basic statistics
+// ---------------------------------------------------------------------------
+
+// Check whether a single cell value counts as missing
+export function isMissing(value) {
+    return value === null || value === undefined || value === '' || (typeof value === 'number' && isNaN(value));
+}
+
+// Arithmetic mean of a list of numbers
+export function computeMean(values) {
+    return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+// Median of a list of numbers (average of the two middle values for even counts)
+export function computeMedian(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+}
+
+// Most frequent value of a list (first one seen wins ties)
+export function computeMode(values) {
+    const counts = new Map();
+    values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+    let mode = null;
+    let best = 0;
+    counts.forEach((count, value) => {
+        if (count > best) {
+            mode = value;
+            best = count;
+        }
+    });
+    return mode;
+}
+
+// Sample standard deviation of a list of numbers
+export function computeStdDev(values) {
+    if (values.length < 2) return 0;
+    const mean = computeMean(values);
+    return Math.sqrt(values.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / (values.length - 1));
+}
+
+// Quantile of an ascending list with linear interpolation between the closest ranks
+export function computeQuantile(sorted, q) {
+    if (sorted.length === 0) return NaN;
+    const position = (sorted.length - 1) * q;
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+// Equal-width bins spanning the full range of the values (the last bin includes the maximum)
+// Returns the bin labels plus a function that counts any list of values into the same bins
+export function computeHistogramBins(values, binCount) {
+    // A loop rather than Math.min(...values), which overflows the call stack on large columns
+    let min = values.length > 0 ? Infinity : 0;
+    let max = values.length > 0 ? -Infinity : 0;
+    values.forEach(value => {
+        min = Math.min(min, value);
+        max = Math.max(max, value);
+    });
+    const width = (max - min) / binCount || 1;
+    const format = value => Number.isInteger(width) ? value.toFixed(0) : value.toFixed(1);
+    
+    return {
+        labels: Array.from({ length: binCount }, (_, i) => `${format(min + i * width)}-${format(min + (i + 1) * width)}`),
+        edges: Array.from({ length: binCount }, (_, i) => [min + i * width, min + (i + 1) * width]),
+        count: list => {
+            const counts = Array(binCount).fill(0);
+            list.forEach(value => {
+                counts[Math.max(0, Math.min(Math.floor((value - min) / width), binCount - 1))]++;
+            });
+            return counts;
+        }
+    };
+}
+
+// ---------------------------------------------------------------------------
+// Schema inference
+// ---------------------------------------------------------------------------
+
+// Schema inference settings
+// The schema (target, features, column types) is no longer hard-coded: it is inferred from the
+// uploaded files right after loading and confirmed by the user in the schema panel. To reuse this
+// app with a different dataset that has a similar train/test split, simply upload the new files
+// and adjust the proposed schema. These thresholds tune how columns are classified:
+// 1. maxCategories - columns with at most this many distinct values are treated as categorical
+// 2. textMinAverageLength - string columns this long on average (and mostly containing spaces) are free text
+// 3. idNamePattern - column names that look like identifiers (PassengerId, user_id, ...)
+// 4. metaColumns - columns added by the app itself that are never part of the schema
+export const SCHEMA_RULES = {
+    maxCategories: 20,
+    textMinAverageLength: 20,
+    idNamePattern: /(^id$|_id$|Id$|ID$|^key$)/,
+    metaColumns: ['source']
+};
+
+// Column types the inference can assign and roles a column can play in the analysis
+export const COLUMN_TYPES = ['numeric', 'categorical', 'id', 'text', 'high-cardinality'];
+export const COLUMN_ROLES = ['feature', 'target', 'excluded'];
+
+// Get every column found in either split, in file order (train columns first)
+export function listColumns(trainRows, testRows) {
+    const columns = [];
+    [trainRows[0], testRows[0]].forEach(row => {
+        Object.keys(row || {}).forEach(col => {
+            if (!columns.includes(col)) columns.push(col);
+        });
+    });
+    return columns;
+}
+
+// Infer the type of a single column from its values
+// Returns a profile with the detected type plus the facts used to decide it
+export function inferColumnProfile(column, rows) {
+    const present = rows.map(row => row[column]).filter(value => !isMissing(value));
+    const distinct = [...new Set(present.map(value => String(value)))];
+    const numericValued = present.length > 0 && present.every(value => typeof value === 'number' && isFinite(value));
+    const integerValued = numericValued && present.every(value => Number.isInteger(value));
+    const looksLikeId = SCHEMA_RULES.idNamePattern.test(column);
+    const allUnique = distinct.length === present.length;
+    
+    let type;
+    if (present.length === 0) {
+        // Nothing to analyze in an empty column
+        type = 'text';
+    } else if (numericValued) {
+        // Unique integers that are named like an ID or simply count up (1, 2, 3, ...) are identifiers
+        const sorted = [...present].sort((a, b) => a - b);
+        const sequential = sorted.every((value, i) => i === 0 || value - sorted[i - 1] === 1);
+        if (integerValued && allUnique && distinct.length > SCHEMA_RULES.maxCategories && (looksLikeId || sequential)) {
+            type = 'id';
+        } else if (integerValued && distinct.length <= SCHEMA_RULES.maxCategories) {
+            type = 'categorical';
+        } else {
+            type = 'numeric';
+        }
+    } else if (allUnique && looksLikeId) {
+        type = 'id';
+    } else if (distinct.length <= SCHEMA_RULES.maxCategories) {
+        type = 'categorical';
+    } else {
+        // Long strings with spaces (like passenger names) are free text; anything else is a high-cardinality code
+        const strings = present.map(value => String(value));
+        const averageLength = strings.reduce((sum, value) => sum + value.length, 0) / strings.length;
+        const withSpaces = strings.filter(value => value.includes(' ')).length / strings.length;
+        type = averageLength >= SCHEMA_RULES.textMinAverageLength && withSpaces >= 0.5 ? 'text' : 'high-cardinality';
+    }
+    
+    return {
+        name: column,
+        detectedType: type,
+        type,
+        numericValued,
+        uniqueCount: distinct.length,
+        missingCount: rows.length - present.length,
+        samples: distinct.slice(0, 5)
+    };
+}
+
+// Pick the positive class of a target column (the value whose rate is reported)
+export function inferPositiveClass(values) {
+    const distinct = [...new Set(values.filter(value => !isMissing(value)))];
+    if (distinct.includes(1)) return 1;
+    const truthy = distinct.find(value => /^(1|yes|true|y|positive)$/i.test(String(value)));
+    if (truthy !== undefined) return truthy;
+    return distinct.sort().slice(-1)[0];
+}
+
+// Infer a schema proposal from the parsed train and test rows
+// The target is proposed from the columns present in train but absent in test;
+// derivedColumns names the columns created in the feature engineering workbench
+export function inferSchema(trainRows, testRows, derivedColumns = []) {
+    const trainColumns = Object.keys(trainRows[0] || {});
+    const testColumns = Object.keys(testRows[0] || {});
+    const rows = [...trainRows, ...testRows];
+    
+    const columns = listColumns(trainRows, testRows)
+        .filter(col => !SCHEMA_RULES.metaColumns.includes(col))
+        .map(col => ({
+            ...inferColumnProfile(col, rows),
+            derived: derivedColumns.includes(col)
+        }));
+    
+    // Target candidates: train-only columns, preferring ones with few distinct values (labels)
+    const candidates = columns.filter(col => trainColumns.includes(col.name) && !testColumns.includes(col.name));
+    const target = candidates.find(col => col.uniqueCount <= SCHEMA_RULES.maxCategories) || candidates[0];
+    
+    columns.forEach(col => {
+        if (target && col.name === target.name) {
+            col.role = 'target';
+        } else if (col.type === 'numeric' || col.type === 'categorical') {
+            col.role = 'feature';
+        } else {
+            col.role = 'excluded';
+        }
+    });
+    
+    const draft = {
+        columns,
+        positiveClass: target ? inferPositiveClass(trainRows.map(row => row[target.name])) : null,
+        highlightColumn: null,
+        stratifyColumn: null
+    };
+    suggestInsightColumns(draft);
+    return draft;
+}
+
+// Suggest the columns used by the key insight section: a binary split (e.g. Sex)
+// compared within the levels of a second categorical feature (e.g. Pclass)
+export function suggestInsightColumns(draft) {
+    const categorical = draft.columns.filter(col => col.role === 'feature' && col.type === 'categorical');
+    const highlight = categorical.find(col => /^(sex|gender)$/i.test(col.name)) ||
+        categorical.find(col => col.uniqueCount === 2) ||
+        categorical[0];
+    const others = categorical.filter(col => col !== highlight && col.uniqueCount >= 2);
+    const stratify = others.find(col => /class/i.test(col.name)) ||
+        others.sort((a, b) => a.uniqueCount - b.uniqueCount)[0];
+    
+    draft.highlightColumn = highlight ? highlight.name : null;
+    draft.stratifyColumn = stratify ? stratify.name : null;
+}
+
+// Build the schema object the analysis functions read from out of a draft
+export function buildSchema(draft) {
+    const target = draft.columns.find(col => col.role === 'target');
+    const features = draft.columns.filter(col => col.role === 'feature');
+    const id = draft.columns.find(col => col.type === 'id');
+    const columnTypes = {};
+    draft.columns.forEach(col => {
+        columnTypes[col.name] = col.type;
+    });
+    
+    return {
+        targetColumn: target ? target.name : null,
+        positiveClass: draft.positiveClass,
+        idColumn: id ? id.name : null,
+        featureColumns: features.map(col => col.name),
+        excludedColumns: draft.columns.filter(col => col.role === 'excluded').map(col => col.name),
+        categoricalColumns: features.filter(col => col.type === 'categorical').map(col => col.name),
+        // Numeric summaries also cover categorical codes stored as numbers (e.g. Pclass, SibSp)
+        numericColumns: features
+            .filter(col => col.type === 'numeric' || (col.type === 'categorical' && col.numericValued))
+            .map(col => col.name),
+        // Truly continuous columns, used for histograms and correlations
+        continuousColumns: features.filter(col => col.type === 'numeric').map(col => col.name),
+        // Columns created in the feature engineering workbench
+        derivedColumns: draft.columns.filter(col => col.derived).map(col => col.name),
+        highlightColumn: draft.highlightColumn,
+        stratifyColumn: draft.stratifyColumn,
+        columnTypes
+    };
+}
+
+// Check whether a target value is the positive class of a schema
+export function isPositiveClass(schema, value) {
+    return String(value) === String(schema.positiveClass);
+}
+
+// Check whether a row has a known target value
+export function hasTargetValue(schema, row) {
+    return !isMissing(row[schema.targetColumn]);
+}
+
+// ---------------------------------------------------------------------------
+// Single-pass aggregation and summaries
+// The app runs aggregateDataset in a worker on columnar copies of the filtered rows; the
+// summaries below turn its results into the missing-value chart data and the summary cards.
+// ---------------------------------------------------------------------------
+
+// Table of plain row objects with the size / column(name) shape of a store query (null = missing)
+export function createRowTable(rows) {
+    return {
+        size: rows.length,
+        column: name => rows.map(row => isMissing(row[name]) ? null : row[name])
+    };
+}
+
+// Columnar copy of a table for the statistics worker:
+// numeric columns as Float64Array (NaN = missing), categorical columns as strings (null = missing)
+// and columns that only need missing counts as Uint8Array flags
+// The table is anything with a size and a column(name) list: a store query or createRowTable(rows)
+export function buildStatsDataset(query, schema, spec) {
+    const dataset = { rowCount: query.size, positive: new Uint8Array(query.size), numeric: {}, categorical: {}, missing: {} };
+    if (schema && schema.targetColumn) {
+        query.column(schema.targetColumn).forEach((value, i) => {
+            if (!isMissing(value) && isPositiveClass(schema, value)) dataset.positive[i] = 1;
+        });
+    }
+    (spec.numeric || []).forEach(col => {
+        dataset.numeric[col] = Float64Array.from(query.column(col), value => typeof value === 'number' ? value : NaN);
+    });
+    (spec.categorical || []).forEach(col => {
+        dataset.categorical[col] = Array.from(query.column(col), value => isMissing(value) ? null : String(value));
+    });
+    (spec.missing || []).forEach(col => {
+        dataset.missing[col] = Uint8Array.from(query.column(col), value => isMissing(value) ? 1 : 0);
+    });
+    return dataset;
+}
+
+// Descriptive profile of one numeric column from its present values in ascending order
+// rowCount includes the missing values. The standard deviation is the sample one (n - 1),
+// quartiles interpolate linearly between the closest ranks (as computeQuantile), skewness and
+// excess kurtosis are the bias-corrected sample estimators (as pandas and Excel) and the mode is
+// the most frequent value (the smallest one wins ties). Statistics that need more values than
+// the column has are NaN.
+// This runs inside the statistics worker next to aggregateDataset, so it must not use anything
+// outside its own body either
+export function describeNumericValues(sorted, rowCount) {
+    const n = sorted.length;
+    const profile = {
+        count: n, missing: rowCount - n, mean: NaN, stdDev: NaN, min: NaN, q1: NaN, median: NaN, q3: NaN,
+        max: NaN, iqr: NaN, skewness: NaN, kurtosis: NaN, mode: null, modeCount: 0, zeros: 0, unique: 0
+    };
+    if (n === 0) return profile;
+    const quantile = q => {
+        const position = (n - 1) * q;
+        const lower = Math.floor(position);
+        const upper = Math.ceil(position);
+        return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+    };
+    
+    let sum = 0;
+    for (let i = 0; i < n; i++) sum += sorted[i];
+    const mean = sum / n;
+    
+    // Central moments, plus runs of equal values for the unique count and the mode
+    let m2 = 0;
+    let m3 = 0;
+    let m4 = 0;
+    let run = 0;
+    for (let i = 0; i < n; i++) {
+        const value = sorted[i];
+        const delta = value - mean;
+        const squared = delta * delta;
+        m2 += squared;
+        m3 += squared * delta;
+        m4 += squared * squared;
+        if (value === 0) profile.zeros++;
+        if (i === 0 || value !== sorted[i - 1]) {
+            profile.unique++;
+            run = 0;
+        }
+        run++;
+        if (run > profile.modeCount) {
+            profile.modeCount = run;
+            profile.mode = value;
+        }
+    }
+    
+    profile.mean = mean;
+    profile.stdDev = n > 1 ? Math.sqrt(m2 / (n - 1)) : NaN;
+    profile.min = sorted[0];
+    profile.q1 = quantile(0.25);
+    profile.median = quantile(0.5);
+    profile.q3 = quantile(0.75);
+    profile.max = sorted[n - 1];
+    profile.iqr = profile.q3 - profile.q1;
+    if (m2 > 0) {
+        const variance = m2 / n;
+        const g1 = (m3 / n) / Math.pow(variance, 1.5);
+        const g2 = (m4 / n) / (variance * variance) - 3;
+        if (n > 2) profile.skewness = Math.sqrt(n * (n - 1)) / (n - 2) * g1;
+        if (n > 3) profile.kurtosis = ((n + 1) * g2 + 6) * (n - 1) / ((n - 2) * (n - 3));
+    }
+    return profile;
+}
+
+// Summarise every column of a dataset in a single pass over its rows
+// The pass collects the present numeric values; describeNumericValues then profiles each column
+// from its sorted values. This runs inside the statistics worker, so it must not use anything
+// outside its own body and describeNumericValues; it also runs on the main thread when workers
+// are unavailable
+export function aggregateDataset(dataset, reportProgress, progressInterval) {
+    const numericNames = Object.keys(dataset.numeric);
+    const categoricalNames = Object.keys(dataset.categorical);
+    const missingNames = Object.keys(dataset.missing);
+    const numeric = numericNames.map(() => ({ count: 0, present: new Float64Array(dataset.rowCount) }));
+    const categorical = categoricalNames.map(() => ({}));
+    const missing = missingNames.map(() => 0);
+    let positives = 0;
+    
+    for (let i = 0; i < dataset.rowCount; i++) {
+        const positive = dataset.positive[i] === 1;
+        if (positive) positives++;
+        
+        for (let c = 0; c < numericNames.length; c++) {
+            const value = dataset.numeric[numericNames[c]][i];
+            if (isNaN(value)) continue;
+            const acc = numeric[c];
+            acc.present[acc.count++] = value;
+        }
+        for (let c = 0; c < categoricalNames.length; c++) {
+            const key = dataset.categorical[categoricalNames[c]][i];
+            if (key === null) continue;
+            const counts = categorical[c][key] || (categorical[c][key] = { count: 0, survived: 0 });
+            counts.count++;
+            if (positive) counts.survived++;
+        }
+        for (let c = 0; c < missingNames.length; c++) {
+            missing[c] += dataset.missing[missingNames[c]][i];
+        }
+        
+        if (reportProgress && i > 0 && i % progressInterval === 0) reportProgress(i);
+    }
+    
+    const result = { rowCount: dataset.rowCount, positives, numeric: {}, categorical: {}, missing: {} };
+    numericNames.forEach((name, c) => {
+        // Typed arrays sort numerically
+        const acc = numeric[c];
+        result.numeric[name] = describeNumericValues(acc.present.subarray(0, acc.count).sort(), dataset.rowCount);
+    });
+    categoricalNames.forEach((name, c) => {
+        result.categorical[name] = categorical[c];
+    });
+    missingNames.forEach((name, c) => {
+        result.missing[name] = missing[c];
+    });
+    return result;
+}
+
+// Missing count and percentage of every column of an aggregate, most incomplete first
+export function summarizeMissingValues(aggregate) {
+    return Object.keys(aggregate.missing)
+        .map(col => ({
+            column: col,
+            missingCount: aggregate.missing[col],
+            missingPercent: aggregate.rowCount > 0 ? (aggregate.missing[col] / aggregate.rowCount) * 100 : 0
+        }))
+        .sort((a, b) => b.missingPercent - a.missingPercent);
+}
+
+// Splits the numeric profiles are computed on, in display order
+export const PROFILE_SPLITS = { train: 'Train', test: 'Test', merged: 'Merged' };
+
+// Numeric profiles of the train, test and merged aggregates side by side:
+// { column: { train, test, merged } } with the describeNumericValues profile of each split
+export function summarizeNumericProfiles(aggregates) {
+    const profiles = {};
+    Object.keys(PROFILE_SPLITS).forEach(split => {
+        if (!aggregates[split]) return;
+        Object.keys(aggregates[split].numeric).forEach(col => {
+            (profiles[col] = profiles[col] || {})[split] = aggregates[split].numeric[col];
+        });
+    });
+    return profiles;
+}
+
+// Key insight: positive-class rate per level of the schema's highlight column (e.g. Sex), overall
+// and within each level of its stratify column (e.g. Pclass), on labelled rows
+// Returns null when the highlight column has no values in the rows
+export function analyzeKeyInsight(rows, schema) {
+    const column = schema.highlightColumn;
+    const stratifyColumn = schema.stratifyColumn;
+    const isPositive = row => isPositiveClass(schema, row[schema.targetColumn]);
+    
+    // Positive-class rate per level of the compared column, highest rate first
+    const rateFor = subset => subset.length > 0 ? (subset.filter(isPositive).length / subset.length) * 100 : 0;
+    const levels = [...new Set(rows.map(row => row[column]).filter(value => !isMissing(value)))];
+    if (levels.length === 0) return null;
+    const groups = {};
+    levels.forEach(level => {
+        const subset = rows.filter(row => row[column] === level);
+        groups[level] = {
+            count: subset.length,
+            survived: subset.filter(isPositive).length,
+            rate: parseFloat(rateFor(subset).toFixed(1))
+        };
+    });
+    const ranked = [...levels].sort((a, b) => groups[b].rate - groups[a].rate);
+    const high = ranked[0];
+    const low = ranked[ranked.length - 1];
+    
+    // Calculate the ratio between the highest and the lowest rate
+    const survivalRatio = groups[low].rate > 0 ? (groups[high].rate / groups[low].rate).toFixed(1) : 'N/A';
+    
+    // Calculate rates per level of the stratifying column
+    const genderByClass = {};
+    const strata = stratifyColumn
+        ? [...new Set(rows.map(row => row[stratifyColumn]).filter(value => !isMissing(value)))].sort()
+        : [];
+    strata.forEach(stratum => {
+        const stratumData = rows.filter(row => row[stratifyColumn] === stratum);
+        genderByClass[stratum] = {};
+        ranked.forEach(level => {
+            const subset = stratumData.filter(row => row[column] === level);
+            genderByClass[stratum][level] = {
+                rate: rateFor(subset).toFixed(1),
+                count: subset.length
+            };
+        });
+    });
+    
+    return {
+        column,
+        stratifyColumn,
+        groups,
+        highestRateGroup: String(high),
+        lowestRateGroup: String(low),
+        survivalRatio: parseFloat(survivalRatio),
+        genderByClass
+    };
+}
+
+// ---------------------------------------------------------------------------
+// Correlation and association
+// ---------------------------------------------------------------------------
+
+// Correlation and association measures offered by the heatmap
+export const CORRELATION_METHODS = {
+    pearson: 'Pearson',
+    spearman: 'Spearman',
+    kendall: 'Kendall tau-b'
+};
+
+// Pearson correlation of two equally long lists of numbers
+export function computePearson(xs, ys) {
+    const n = xs.length;
+    if (n < 2) return NaN;
+    const meanX = computeMean(xs);
+    const meanY = computeMean(ys);
+    let sxy = 0;
+    let sxx = 0;
+    let syy = 0;
+    for (let i = 0; i < n; i++) {
+        sxy += (xs[i] - meanX) * (ys[i] - meanY);
+        sxx += Math.pow(xs[i] - meanX, 2);
+        syy += Math.pow(ys[i] - meanY, 2);
+    }
+    return sxx === 0 || syy === 0 ? 0 : sxy / Math.sqrt(sxx * syy);
+}
+
+// Ranks of a list of numbers (1-based, ties get their average rank)
+export function computeRanks(values) {
+    const order = values.map((value, i) => i).sort((a, b) => values[a] - values[b]);
+    const ranks = Array(values.length);
+    let i = 0;
+    while (i < order.length) {
+        let j = i;
+        while (j + 1 < order.length && values[order[j + 1]] === values[order[i]]) j++;
+        for (let k = i; k <= j; k++) ranks[order[k]] = (i + j + 2) / 2;
+        i = j + 1;
+    }
+    return ranks;
+}
+
+// Spearman rank correlation: Pearson correlation of the ranks
+export function computeSpearman(xs, ys) {
+    return computePearson(computeRanks(xs), computeRanks(ys));
+}
+
+// Kendall tau-b rank correlation (accounts for ties in either variable)
+export function computeKendall(xs, ys) {
+    const n = xs.length;
+    let concordant = 0;
+    let discordant = 0;
+    let tiesX = 0;
+    let tiesY = 0;
+    for (let i = 0; i < n - 1; i++) {
+        for (let j = i + 1; j < n; j++) {
+            const dx = Math.sign(xs[i] - xs[j]);
+            const dy = Math.sign(ys[i] - ys[j]);
+            if (dx === 0 && dy === 0) continue;
+            if (dx === 0) tiesX++;
+            else if (dy === 0) tiesY++;
+            else if (dx === dy) concordant++;
+            else discordant++;
+        }
+    }
+    const denominator = Math.sqrt((concordant + discordant + tiesX) * (concordant + discordant + tiesY));
+    return denominator === 0 ? 0 : (concordant - discordant) / denominator;
+}
+
+// Contingency table of two categorical lists: { rows, cols, table, n }
+export function buildContingencyTable(xs, ys) {
+    const rows = [...new Set(xs.map(String))];
+    const cols = [...new Set(ys.map(String))];
+    const table = rows.map(() => Array(cols.length).fill(0));
+    xs.forEach((x, i) => {
+        table[rows.indexOf(String(x))][cols.indexOf(String(ys[i]))]++;
+    });
+    return { rows, cols, table, n: xs.length };
+}
+
+// Pearson chi-square statistic and degrees of freedom of a contingency table
+export function computeChiSquare(contingency) {
+    const { table, n } = contingency;
+    const rowTotals = table.map(row => row.reduce((a, b) => a + b, 0));
+    const colTotals = table[0] ? table[0].map((_, j) => table.reduce((sum, row) => sum + row[j], 0)) : [];
+    let statistic = 0;
+    table.forEach((row, i) => {
+        row.forEach((observed, j) => {
+            const expected = rowTotals[i] * colTotals[j] / n;
+            if (expected > 0) statistic += Math.pow(observed - expected, 2) / expected;
+        });
+    });
+    return { statistic, df: (table.length - 1) * (colTotals.length - 1) };
+}
+
+// Cramér's V association between two categorical lists (0 = none, 1 = perfect)
+export function computeCramersV(xs, ys) {
+    const contingency = buildContingencyTable(xs, ys);
+    const k = Math.min(contingency.rows.length, contingency.cols.length);
+    if (k < 2 || contingency.n === 0) return 0;
+    return Math.sqrt(computeChiSquare(contingency).statistic / (contingency.n * (k - 1)));
+}
+
+// Correlation ratio (eta) between a categorical list and a numeric list (0 to 1)
+export function computeCorrelationRatio(categories, values) {
+    const overall = computeMean(values);
+    const groups = {};
+    categories.forEach((category, i) => {
+        (groups[String(category)] = groups[String(category)] || []).push(values[i]);
+    });
+    let between = 0;
+    Object.values(groups).forEach(group => {
+        between += group.length * Math.pow(computeMean(group) - overall, 2);
+    });
+    const total = values.reduce((sum, value) => sum + Math.pow(value - overall, 2), 0);
+    return total === 0 ? 0 : Math.sqrt(between / total);
+}
+
+// Association between two columns on the rows where both are present
+// Numeric pairs use the chosen rank/linear method, categorical pairs Cramér's V and mixed pairs eta
+export function computeAssociation(data, col1, col2, kind1, kind2, method) {
+    const pairs = data.filter(row => !isMissing(row[col1]) && !isMissing(row[col2]));
+    const xs = pairs.map(row => row[col1]);
+    const ys = pairs.map(row => row[col2]);
+    if (pairs.length < 2) return { value: NaN, measure: 'n/a', n: pairs.length };
+    
+    if (kind1 === 'numeric' && kind2 === 'numeric') {
+        const compute = { pearson: computePearson, spearman: computeSpearman, kendall: computeKendall }[method];
+        return { value: compute(xs, ys), measure: CORRELATION_METHODS[method], n: pairs.length };
+    }
+    if (kind1 === 'categorical' && kind2 === 'categorical') {
+        return { value: computeCramersV(xs, ys), measure: "Cramér's V", n: pairs.length };
+    }
+    const value = kind1 === 'categorical' ? computeCorrelationRatio(xs, ys) : computeCorrelationRatio(ys, xs);
+    return { value, measure: 'Correlation ratio (eta)', n: pairs.length };
+}
+
+// ---------------------------------------------------------------------------
+// Distributions
+// Tail probabilities behind the chi-square, Mann-Whitney and t-test p-values
+// ---------------------------------------------------------------------------
+
+// Natural logarithm of the gamma function (Lanczos approximation)
+export function computeLogGamma(x) {
+    const coefficients = [76.18009172947146, -86.50532032941677, 24.01409824083091,
+        -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5];
+    let y = x;
+    const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+    let series = 1.000000000190015;
+    coefficients.forEach(c => {
+        series += c / ++y;
+    });
+    return -tmp + Math.log(2.5066282746310005 * series / x);
+}
+
+// Regularized lower incomplete gamma function P(a, x)
+// Series expansion below a + 1, continued fraction above (Numerical Recipes)
+export function computeGammaP(a, x) {
+    if (x <= 0) return 0;
+    const logPrefix = -x + a * Math.log(x) - computeLogGamma(a);
+    if (x < a + 1) {
+        let term = 1 / a;
+        let sum = term;
+        for (let n = 1; n < 500; n++) {
+            term *= x / (a + n);
+            sum += term;
+            if (Math.abs(term) < Math.abs(sum) * 1e-14) break;
+        }
+        return sum * Math.exp(logPrefix);
+    }
+    let b = x + 1 - a;
+    let c = 1 / 1e-300;
+    let d = 1 / b;
+    let h = d;
+    for (let i = 1; i < 500; i++) {
+        const an = -i * (i - a);
+        b += 2;
+        d = an * d + b;
+        if (Math.abs(d) < 1e-300) d = 1e-300;
+        c = b + an / c;
+        if (Math.abs(c) < 1e-300) c = 1e-300;
+        d = 1 / d;
+        const delta = d * c;
+        h *= delta;
+        if (Math.abs(delta - 1) < 1e-14) break;
+    }
+    return 1 - Math.exp(logPrefix) * h;
+}
+
+// Upper-tail p-value of a chi-square statistic
+export function computeChiSquarePValue(statistic, df) {
+    if (df <= 0) return 1;
+    return Math.max(0, Math.min(1, 1 - computeGammaP(df / 2, statistic / 2)));
+}
+
+// Regularized incomplete beta function I_x(a, b) (continued fraction, Numerical Recipes)
+export function computeIncompleteBeta(x, a, b) {
+    if (x <= 0) return 0;
+    if (x >= 1) return 1;
+    const logPrefix = computeLogGamma(a + b) - computeLogGamma(a) - computeLogGamma(b) +
+        a * Math.log(x) + b * Math.log(1 - x);
+    const continuedFraction = (x, a, b) => {
+        let c = 1;
+        let d = 1 - (a + b) * x / (a + 1);
+        if (Math.abs(d) < 1e-300) d = 1e-300;
+        d = 1 / d;
+        let h = d;
+        for (let m = 1; m < 500; m++) {
+            const m2 = 2 * m;
+            let aa = m * (b - m) * x / ((a + m2 - 1) * (a + m2));
+            d = 1 + aa * d;
+            if (Math.abs(d) < 1e-300) d = 1e-300;
+            c = 1 + aa / c;
+            if (Math.abs(c) < 1e-300) c = 1e-300;
+            d = 1 / d;
+            h *= d * c;
+            aa = -(a + m) * (a + b + m) * x / ((a + m2) * (a + m2 + 1));
+            d = 1 + aa * d;
+            if (Math.abs(d) < 1e-300) d = 1e-300;
+            c = 1 + aa / c;
+            if (Math.abs(c) < 1e-300) c = 1e-300;
+            d = 1 / d;
+            const delta = d * c;
+            h *= delta;
+            if (Math.abs(delta - 1) < 1e-14) break;
+        }
+        return h;
+    };
+    // The continued fraction converges fastest on the side of the mean
+    if (x < (a + 1) / (a + b + 2)) return Math.exp(logPrefix) * continuedFraction(x, a, b) / a;
+    return 1 - Math.exp(logPrefix) * continuedFraction(1 - x, b, a) / b;
+}
+
+// Two-sided p-value of a Student t statistic
+export function computeTTestPValue(t, df) {
+    if (!isFinite(t)) return 0;
+    return Math.max(0, Math.min(1, computeIncompleteBeta(df / (df + t * t), df / 2, 0.5)));
+}
+
+// ---------------------------------------------------------------------------
+// Feature-target hypothesis tests
+// Chi-square or Fisher's exact test for categorical features, Mann-Whitney U and Welch's
+// t-test for continuous ones, with effect sizes and Benjamini-Hochberg adjusted p-values
+// ---------------------------------------------------------------------------
+
+// Significance level for the adjusted p-values, and the smallest expected cell count
+// for which the chi-square approximation is trusted on a 2x2 table
+export const HYPOTHESIS_SETTINGS = {
+    alpha: 0.05,
+    minExpected: 5
+};
+
+// Fisher's exact test on a 2x2 table: total probability of every table with the same
+// margins that is no more likely than the observed one
+export function computeFisherExact(table) {
+    const [[a, b], [c, d]] = table;
+    const rowTotal = a + b;
+    const colTotal = a + c;
+    const n = a + b + c + d;
+    const logChoose = (total, k) => computeLogGamma(total + 1) - computeLogGamma(k + 1) - computeLogGamma(total - k + 1);
+    const probability = x => Math.exp(logChoose(colTotal, x) + logChoose(n - colTotal, rowTotal - x) - logChoose(n, rowTotal));
+    
+    const observed = probability(a);
+    let pValue = 0;
+    for (let x = Math.max(0, rowTotal + colTotal - n); x <= Math.min(rowTotal, colTotal); x++) {
+        const p = probability(x);
+        if (p <= observed * (1 + 1e-7)) pValue += p;
+    }
+    return Math.min(1, pValue);
+}
+
+// Mann-Whitney U test (normal approximation with tie and continuity corrections)
+export function computeMannWhitney(a, b) {
+    const ranks = computeRanks([...a, ...b]);
+    const n1 = a.length;
+    const n2 = b.length;
+    const n = n1 + n2;
+    const rankSum = ranks.slice(0, n1).reduce((sum, rank) => sum + rank, 0);
+    const u = rankSum - n1 * (n1 + 1) / 2;
+    
+    const tieCounts = {};
+    [...a, ...b].forEach(value => {
+        tieCounts[value] = (tieCounts[value] || 0) + 1;
+    });
+    const tieTerm = Object.values(tieCounts).reduce((sum, t) => sum + (t * t * t - t), 0);
+    const variance = n1 * n2 / 12 * ((n + 1) - tieTerm / (n * (n - 1)));
+    const z = variance > 0 ? (Math.abs(u - n1 * n2 / 2) - 0.5) / Math.sqrt(variance) : 0;
+    return { statistic: u, z, pValue: computeChiSquarePValue(Math.max(0, z) * Math.max(0, z), 1) };
+}
+
+// Welch's t-test for two samples with unequal variances
+export function computeWelchTTest(a, b) {
+    const varianceA = Math.pow(computeStdDev(a), 2) / a.length;
+    const varianceB = Math.pow(computeStdDev(b), 2) / b.length;
+    const standardError = Math.sqrt(varianceA + varianceB);
+    if (standardError === 0) return { statistic: 0, df: a.length + b.length - 2, pValue: 1 };
+    const t = (computeMean(a) - computeMean(b)) / standardError;
+    const df = Math.pow(varianceA + varianceB, 2) /
+        (varianceA * varianceA / (a.length - 1) + varianceB * varianceB / (b.length - 1));
+    return { statistic: t, df, pValue: computeTTestPValue(t, df) };
+}
+
+// Cohen's d with the pooled standard deviation
+export function computeCohensD(a, b) {
+    const pooled = Math.sqrt(((a.length - 1) * Math.pow(computeStdDev(a), 2) + (b.length - 1) * Math.pow(computeStdDev(b), 2)) /
+        (a.length + b.length - 2));
+    return pooled > 0 ? (computeMean(a) - computeMean(b)) / pooled : 0;
+}
+
+// Benjamini-Hochberg adjusted p-values (false discovery rate), in the input order
+export function adjustPValuesBH(pValues) {
+    const m = pValues.length;
+    const order = pValues.map((p, i) => i).sort((i, j) => pValues[i] - pValues[j]);
+    const adjusted = Array(m);
+    let running = 1;
+    for (let k = m - 1; k >= 0; k--) {
+        running = Math.min(running, pValues[order[k]] * m / (k + 1));
+        adjusted[order[k]] = Math.min(1, running);
+    }
+    return adjusted;
+}
+
+// Conventional magnitude labels for the effect sizes
+export function describeEffectSize(name, value) {
+    const size = Math.abs(value);
+    const cutoffs = name === 'cohensD' ? [0.2, 0.5, 0.8] : [0.1, 0.3, 0.5];
+    if (size < cutoffs[0]) return 'negligible';
+    if (size < cutoffs[1]) return 'small';
+    if (size < cutoffs[2]) return 'medium';
+    return 'large';
+}
+
+// Test one categorical feature against the target
+// Fisher's exact test replaces chi-square on 2x2 tables with a small expected count
+export function testCategoricalFeature(col, rows, schema) {
+    const present = rows.filter(row => !isMissing(row[col]));
+    const xs = present.map(row => row[col]);
+    const ys = present.map(row => isPositiveClass(schema, row[schema.targetColumn]) ? 1 : 0);
+    const contingency = buildContingencyTable(xs, ys);
+    const { statistic, df } = computeChiSquare(contingency);
+    
+    const rowTotals = contingency.table.map(row => row.reduce((a, b) => a + b, 0));
+    const colTotals = contingency.cols.map((_, j) => contingency.table.reduce((sum, row) => sum + row[j], 0));
+    const minExpected = Math.min(...rowTotals.flatMap(rowTotal => colTotals.map(colTotal => rowTotal * colTotal / contingency.n)));
+    const useFisher = contingency.rows.length === 2 && contingency.cols.length === 2 && minExpected < HYPOTHESIS_SETTINGS.minExpected;
+    const cramersV = computeCramersV(xs, ys);
+    
+    return {
+        feature: col,
+        kind: 'categorical',
+        test: useFisher ? "Fisher's exact" : 'Chi-square',
+        statistic: useFisher ? null : statistic,
+        df: useFisher ? null : df,
+        pValue: useFisher ? computeFisherExact(contingency.table) : computeChiSquarePValue(statistic, df),
+        effectSize: { name: 'cramersV', value: cramersV, magnitude: describeEffectSize('cramersV', cramersV) },
+        // Sparse tables make the chi-square approximation unreliable
+        lowExpectedCounts: !useFisher && minExpected < HYPOTHESIS_SETTINGS.minExpected,
+        n: present.length
+    };
+}
+
+// Compare one continuous feature between the positive and the negative class
+export function testContinuousFeature(col, rows, schema) {
+    const present = rows.filter(row => !isMissing(row[col]) && !isNaN(row[col]));
+    const isPositive = row => isPositiveClass(schema, row[schema.targetColumn]);
+    const positives = present.filter(isPositive).map(row => row[col]);
+    const negatives = present.filter(row => !isPositive(row)).map(row => row[col]);
+    const cohensD = computeCohensD(positives, negatives);
+    const effectSize = { name: 'cohensD', value: cohensD, magnitude: describeEffectSize('cohensD', cohensD) };
+    const mannWhitney = computeMannWhitney(positives, negatives);
+    const welch = computeWelchTTest(positives, negatives);
+    const shared = {
+        feature: col,
+        kind: 'continuous',
+        effectSize,
+        n: present.length,
+        positiveMean: computeMean(positives),
+        negativeMean: computeMean(negatives)
+    };
+    return [
+        { ...shared, test: 'Mann-Whitney U', statistic: mannWhitney.statistic, df: null, pValue: mannWhitney.pValue },
+        { ...shared, test: "Welch's t-test", statistic: welch.statistic, df: welch.df, pValue: welch.pValue }
+    ];
+}
+
+// Test every feature against the target on labelled rows, ranked by adjusted p-value
+// Returns null unless both outcome classes occur in the rows
+export function computeHypothesisTests(rows, schema) {
+    const positives = rows.filter(row => isPositiveClass(schema, row[schema.targetColumn])).length;
+    if (positives === 0 || positives === rows.length) return null;
+    
+    const continuous = schema.continuousColumns.filter(col => col !== schema.targetColumn);
+    const categorical = schema.categoricalColumns.filter(col => col !== schema.targetColumn && !continuous.includes(col));
+    const results = [
+        ...categorical.map(col => testCategoricalFeature(col, rows, schema)),
+        ...continuous.flatMap(col => testContinuousFeature(col, rows, schema))
+    ].filter(result => result.n > 0 && !isNaN(result.pValue));
+    
+    const adjusted = adjustPValuesBH(results.map(result => result.pValue));
+    results.forEach((result, i) => {
+        result.adjustedPValue = adjusted[i];
+        result.significant = adjusted[i] < HYPOTHESIS_SETTINGS.alpha;
+    });
+    results.sort((a, b) => (a.adjustedPValue - b.adjustedPValue) || (Math.abs(b.effectSize.value) - Math.abs(a.effectSize.value)));
+    
+    return {
+        alpha: HYPOTHESIS_SETTINGS.alpha,
+        correction: 'Benjamini-Hochberg',
+        rows: rows.length,
+        tests: results
+    };
+}
+
+// ---------------------------------------------------------------------------
+// Grouped numeric comparisons
+// Descriptive profiles of the numeric features per outcome class, optionally split further by
+// the levels of a second column (e.g. Fare by Pclass and Survived), with the box plot whiskers
+// and the kernel density estimate the violin plots are drawn from.
+// ---------------------------------------------------------------------------
+
+// Whiskers reach the most extreme values within this many IQRs of the quartiles (Tukey)
+export const WHISKER_IQR_MULTIPLIER = 1.5;
+
+// Order of group levels: numbers ascending, anything else alphabetically
+function compareLevels(a, b) {
+    if (typeof a === 'number' && typeof b === 'number') return a - b;
+    return String(a).localeCompare(String(b));
+}
+
+// Present values of a numeric column per outcome class of the labelled rows, and per level of
+// groupColumn when given (rows where it is missing are left out)
+// Returns [{ level (null without groupColumn), positive, values (ascending Float64Array) }] in
+// level order with the negative class first
+export function splitByTarget(col, rows, schema, groupColumn = null) {
+    const groups = new Map();
+    rows.forEach(row => {
+        const value = row[col];
+        if (typeof value !== 'number' || isNaN(value) || !hasTargetValue(schema, row)) return;
+        const level = groupColumn ? row[groupColumn] : null;
+        if (groupColumn && isMissing(level)) return;
+        const positive = isPositiveClass(schema, row[schema.targetColumn]);
+        const key = `${level}|${positive}`;
+        if (!groups.has(key)) groups.set(key, { level, positive, values: [] });
+        groups.get(key).values.push(value);
+    });
+    return [...groups.values()]
+        .sort((a, b) => compareLevels(a.level, b.level) || Number(a.positive) - Number(b.positive))
+        .map(group => ({ ...group, values: Float64Array.from(group.values).sort() }));
+}
+
+// Descriptive profile and box plot whiskers of every group of splitByTarget
+export function describeGroups(groups) {
+    return groups.map(({ level, positive, values }) => {
+        const profile = describeNumericValues(values, values.length);
+        const low = profile.q1 - WHISKER_IQR_MULTIPLIER * profile.iqr;
+        const high = profile.q3 + WHISKER_IQR_MULTIPLIER * profile.iqr;
+        return {
+            level,
+            positive,
+            profile,
+            whiskerLow: values.find(value => value >= low),
+            whiskerHigh: values.findLast(value => value <= high)
+        };
+    });
+}
+
+// Gaussian kernel density of ascending values at evenly spaced points from the minimum to the
+// maximum, with Silverman's rule-of-thumb bandwidth. A single distinct value gets one point
+// Returns { points, density }
+export function computeKernelDensity(sorted, pointCount = 50) {
+    const n = sorted.length;
+    if (n === 0) return { points: [], density: [] };
+    const min = sorted[0];
+    const max = sorted[n - 1];
+    if (min === max) return { points: [min], density: [1] };
+    
+    const { stdDev, iqr } = describeNumericValues(sorted, n);
+    const spread = Math.min(stdDev, iqr / 1.34) || stdDev;
+    const bandwidth = 0.9 * spread * Math.pow(n, -0.2);
+    const scale = 1 / (n * bandwidth * Math.sqrt(2 * Math.PI));
+    const points = Array.from({ length: pointCount }, (_, i) => min + (max - min) * i / (pointCount - 1));
+    const density = points.map(point => {
+        let sum = 0;
+        for (let i = 0; i < n; i++) {
+            const z = (point - sorted[i]) / bandwidth;
+            sum += Math.exp(-0.5 * z * z);
+        }
+        return sum * scale;
+    });
+    return { points, density };
+}
+
+// Per-class profiles of every numeric feature, the grouped statistics of the export
+// { groupColumn, rows, columns: { column: describeGroups(...) } }
+export function computeGroupedProfiles(rows, schema, groupColumn = null) {
+    const labelled = rows.filter(row => hasTargetValue(schema, row));
+    const columns = {};
+    schema.numericColumns.filter(col => col !== groupColumn).forEach(col => {
+        columns[col] = describeGroups(splitByTarget(col, labelled, schema, groupColumn));
+    });
+    return { groupColumn, rows: labelled.length, columns };
+}
+
+// ---------------------------------------------------------------------------
+// Bivariate trends and density
+// Trend lines and hexagonal binning for the scatter plots: a least-squares line, a LOESS
+// curve (local linear fits with tricube weights) and hexbin counts per outcome.
+// ---------------------------------------------------------------------------
+
+// Least-squares line y = intercept + slope * x with its R²
+// Returns null with fewer than two distinct x values
+export function computeLinearFit(xs, ys) {
+    const n = xs.length;
+    if (n < 2) return null;
+    const meanX = computeMean(xs);
+    const meanY = computeMean(ys);
+    let sxx = 0;
+    let sxy = 0;
+    let syy = 0;
+    for (let i = 0; i < n; i++) {
+        sxx += (xs[i] - meanX) * (xs[i] - meanX);
+        sxy += (xs[i] - meanX) * (ys[i] - meanY);
+        syy += (ys[i] - meanY) * (ys[i] - meanY);
+    }
+    if (sxx === 0) return null;
+    const slope = sxy / sxx;
+    return {
+        slope,
+        intercept: meanY - slope * meanX,
+        r2: syy > 0 ? (sxy * sxy) / (sxx * syy) : 0
+    };
+}
+
+// LOESS curve at evenly spaced x values over the range of xs: at each one a linear fit weighted
+// by the tricube of the distance over the nearest span share of the points
+// Returns [{ x, y }], empty with fewer than three points or a single x value
+export function computeLoess(xs, ys, span = 0.5, pointCount = 40) {
+    const order = xs.map((_, i) => i).sort((a, b) => xs[a] - xs[b]);
+    const sortedX = order.map(i => xs[i]);
+    const sortedY = order.map(i => ys[i]);
+    const n = sortedX.length;
+    if (n < 3 || sortedX[0] === sortedX[n - 1]) return [];
+    const neighbours = Math.min(n, Math.max(3, Math.ceil(span * n)));
+    const min = sortedX[0];
+    const max = sortedX[n - 1];
+    
+    const curve = [];
+    for (let p = 0; p < pointCount; p++) {
+        const x = min + (max - min) * p / (pointCount - 1);
+        // The nearest neighbours of x form a window of the sorted values
+        let low = 0;
+        let high = n;
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            if (sortedX[middle] < x) low = middle + 1; else high = middle;
+        }
+        let left = low - 1;
+        let right = low;
+        while (right - left - 1 < neighbours) {
+            if (left < 0) right++;
+            else if (right >= n) left--;
+            else if (x - sortedX[left] <= sortedX[right] - x) left--;
+            else right++;
+        }
+        const maxDistance = Math.max(x - sortedX[left + 1], sortedX[right - 1] - x) || 1;
+        
+        let sw = 0;
+        let swx = 0;
+        let swy = 0;
+        let swxx = 0;
+        let swxy = 0;
+        for (let i = left + 1; i < right; i++) {
+            const u = Math.abs(sortedX[i] - x) / (maxDistance * 1.0001);
+            const w = Math.pow(1 - u * u * u, 3);
+            sw += w;
+            swx += w * sortedX[i];
+            swy += w * sortedY[i];
+            swxx += w * sortedX[i] * sortedX[i];
+            swxy += w * sortedX[i] * sortedY[i];
+        }
+        // A window of tied x values has no slope: use the weighted mean
+        const denominator = sw * swxx - swx * swx;
+        const slope = Math.abs(denominator) > 1e-12 * sw * swxx ? (sw * swxy - swx * swy) / denominator : 0;
+        curve.push({ x, y: (swy - slope * swx) / sw + slope * x });
+    }
+    return curve;
+}
+
+// Hexagonal bins of points { x, y, positive } (positive is null for unlabelled rows), gridSize
+// hexagons across the x range. The grid is regular when the plot is as tall as it is wide
+// Returns { hexagon, bins }: the six corner offsets of every bin in data units and the bins
+// with their centre, row count and outcome counts of their labelled rows
+export function computeHexbins(points, gridSize = 25) {
+    if (points.length === 0) return { hexagon: [], bins: [] };
+    // A loop rather than Math.min(...xs): spreading large arrays overflows the call stack
+    let minX = Infinity;
+    let maxX = -Infinity;
+    let minY = Infinity;
+    let maxY = -Infinity;
+    points.forEach(point => {
+        minX = Math.min(minX, point.x);
+        maxX = Math.max(maxX, point.x);
+        minY = Math.min(minY, point.y);
+        maxY = Math.max(maxY, point.y);
+    });
+    const spanX = maxX - minX || 1;
+    const spanY = maxY - minY || 1;
+    
+    // Pointy-top hexagons on the unit square, as in d3-hexbin
+    const dx = 1 / gridSize;
+    const radius = dx / (2 * Math.sin(Math.PI / 3));
+    const dy = radius * 1.5;
+    const bins = new Map();
+    points.forEach(point => {
+        const px = (point.x - minX) / spanX;
+        let py = (point.y - minY) / spanY / dy;
+        let pj = Math.round(py);
+        let pxi = px / dx - (pj & 1) / 2;
+        let pi = Math.round(pxi);
+        const py1 = py - pj;
+        if (Math.abs(py1) * 3 > 1) {
+            const px1 = pxi - pi;
+            const pi2 = pi + (pxi < pi ? -1 : 1) / 2;
+            const pj2 = pj + (py < pj ? -1 : 1);
+            const px2 = pxi - pi2;
+            const py2 = py - pj2;
+            if (px1 * px1 + py1 * py1 > px2 * px2 + py2 * py2) {
+                pi = pi2 + (pj & 1 ? 1 : -1) / 2;
+                pj = pj2;
+            }
+        }
+        const key = `${pi},${pj}`;
+        if (!bins.has(key)) {
+            bins.set(key, {
+                x: minX + (pi + (pj & 1) / 2) * dx * spanX,
+                y: minY + pj * dy * spanY,
+                count: 0,
+                labelled: 0,
+                positives: 0
+            });
+        }
+        const bin = bins.get(key);
+        bin.count++;
+        if (point.positive !== null) {
+            bin.labelled++;
+            if (point.positive) bin.positives++;
+        }
+    });
+    
+    const hexagon = Array.from({ length: 6 }, (_, k) => {
+        const angle = k * Math.PI / 3;
+        return { x: Math.sin(angle) * radius * spanX, y: Math.cos(angle) * radius * spanY };
+    });
+    return { hexagon, bins: [...bins.values()] };
+}
+
+// ---------------------------------------------------------------------------
+// Feature space projections
+// The schema's features one-hot encoded and standardised into a numeric matrix, then
+// projected to two dimensions with PCA (eigenvectors of the correlation matrix) or t-SNE.
+// ---------------------------------------------------------------------------
+
+// t-SNE settings
+// 1. perplexity - effective number of neighbours each point keeps (5 to 50 is usual)
+// 2. iterations - gradient descent steps
+// 3. learningRate - step size of the gradient descent
+// 4. exaggeration / exaggerationIterations - the attractions are multiplied by exaggeration
+//    during the first steps, which pulls clusters apart early
+// 5. seed - seed of the random starting layout
+export const TSNE_SETTINGS = {
+    perplexity: 30,
+    iterations: 500,
+    learningRate: 200,
+    exaggeration: 12,
+    exaggerationIterations: 100,
+    seed: 42
+};
+
+// Encode the schema's features of the rows as a standardised numeric matrix
+// Continuous features keep one column and categorical features get one 0/1 column per level
+// (named like "Sex=male"); every column is then centred and scaled to unit variance, so a
+// missing value (left at the column mean) becomes 0. Columns without variance are dropped and
+// other feature types (text, identifiers) are skipped
+// Returns { columns, sources (the feature of each column), matrix (one Float64Array per row) }
+export function encodeFeatureMatrix(rows, schema) {
+    const encoders = [];
+    schema.featureColumns.forEach(col => {
+        if (schema.continuousColumns.includes(col)) {
+            encoders.push({ name: col, source: col, value: row => typeof row[col] === 'number' && !isNaN(row[col]) ? row[col] : NaN });
+        } else if (schema.categoricalColumns.includes(col)) {
+            const levels = [...new Set(rows.map(row => row[col]).filter(value => !isMissing(value)))].sort(compareLevels);
+            levels.forEach(level => {
+                encoders.push({ name: `${col}=${level}`, source: col, value: row => isMissing(row[col]) ? NaN : (row[col] === level ? 1 : 0) });
+            });
+        }
+    });
+    
+    // Centre and scale every column over its present values
+    const kept = [];
+    const raw = encoders.map(encoder => rows.map(encoder.value));
+    raw.forEach((values, c) => {
+        const present = values.filter(value => !isNaN(value));
+        if (present.length < 2) return;
+        const mean = computeMean(present);
+        const stdDev = computeStdDev(present);
+        if (stdDev === 0) return;
+        kept.push({ encoder: encoders[c], values, mean, stdDev });
+    });
+    
+    return {
+        columns: kept.map(column => column.encoder.name),
+        sources: kept.map(column => column.encoder.source),
+        matrix: rows.map((row, i) => Float64Array.from(kept, column => {
+            const value = column.values[i];
+            return isNaN(value) ? 0 : (value - column.mean) / column.stdDev;
+        }))
+    };
+}
+
+// Eigenvalues and eigenvectors of a symmetric matrix (cyclic Jacobi rotations)
+// Returns { values, vectors } with vectors[k][i] the i-th entry of the k-th eigenvector
+function computeSymmetricEigen(matrix) {
+    const p = matrix.length;
+    const a = matrix.map(row => [...row]);
+    const v = a.map((row, i) => row.map((_, j) => (i === j ? 1 : 0)));
+    
+    for (let sweep = 0; sweep < 100; sweep++) {
+        let off = 0;
+        for (let i = 0; i < p; i++) {
+            for (let j = i + 1; j < p; j++) off += a[i][j] * a[i][j];
+        }
+        if (off < 1e-22) break;
+        
+        for (let i = 0; i < p - 1; i++) {
+            for (let j = i + 1; j < p; j++) {
+                if (Math.abs(a[i][j]) < 1e-300) continue;
+                // Rotate rows and columns i and j so that a[i][j] becomes zero
+                const theta = (a[j][j] - a[i][i]) / (2 * a[i][j]);
+                const t = (theta >= 0 ? 1 : -1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+                const c = 1 / Math.sqrt(t * t + 1);
+                const s = t * c;
+                for (let k = 0; k < p; k++) {
+                    const aki = a[k][i];
+                    const akj = a[k][j];
+                    a[k][i] = c * aki - s * akj;
+                    a[k][j] = s * aki + c * akj;
+                }
+                for (let k = 0; k < p; k++) {
+                    const aik = a[i][k];
+                    const ajk = a[j][k];
+                    a[i][k] = c * aik - s * ajk;
+                    a[j][k] = s * aik + c * ajk;
+                }
+                for (let k = 0; k < p; k++) {
+                    const vki = v[k][i];
+                    const vkj = v[k][j];
+                    v[k][i] = c * vki - s * vkj;
+                    v[k][j] = s * vki + c * vkj;
+                }
+            }
+        }
+    }
+    return { values: a.map((row, i) => row[i]), vectors: a.map((_, k) => v.map(row => row[k])) };
+}
+
+// Principal component analysis of a centred matrix (one Float64Array per row)
+// Components are sorted by explained variance, each signed so that its largest loading is
+// positive. Returns { eigenvalues, explained (share of the total variance), loadings
+// (loadings[k][c] of column c on component k) and scores (the first componentCount
+// coordinates of every row) }
+export function computePca(matrix, componentCount = 2) {
+    const n = matrix.length;
+    const p = n > 0 ? matrix[0].length : 0;
+    if (n < 2 || p === 0) return null;
+    
+    const covariance = Array.from({ length: p }, () => new Array(p).fill(0));
+    matrix.forEach(row => {
+        for (let i = 0; i < p; i++) {
+            for (let j = i; j < p; j++) covariance[i][j] += row[i] * row[j];
+        }
+    });
+    for (let i = 0; i < p; i++) {
+        for (let j = i; j < p; j++) covariance[i][j] = covariance[j][i] = covariance[i][j] / (n - 1);
+    }
+    
+    const { values, vectors } = computeSymmetricEigen(covariance);
+    const order = values.map((_, k) => k).sort((a, b) => values[b] - values[a]);
+    const eigenvalues = order.map(k => Math.max(values[k], 0));
+    const total = eigenvalues.reduce((sum, value) => sum + value, 0) || 1;
+    const loadings = order.map(k => {
+        const vector = vectors[k];
+        const largest = vector.reduce((best, value) => (Math.abs(value) > Math.abs(best) ? value : best), 0);
+        return largest < 0 ? vector.map(value => -value) : vector;
+    });
+    const kept = loadings.slice(0, Math.min(componentCount, p));
+    
+    return {
+        eigenvalues,
+        explained: eigenvalues.map(value => value / total),
+        loadings,
+        scores: matrix.map(row => kept.map(vector => vector.reduce((sum, weight, c) => sum + weight * row[c], 0)))
+    };
+}
+
+// Exact t-SNE embedding of the rows of a matrix in two dimensions, with the settings of
+// TSNE_SETTINGS. The cost grows with the square of the row count, so large data should be
+// sampled first. Returns a Float64Array with the x and y of every row in turn
+// This runs inside the projection worker, so it must not use anything outside its own body;
+// it also runs on the main thread when workers are unavailable
+export function computeTsne(matrix, settings, reportProgress) {
+    const n = matrix.length;
+    const embedding = new Float64Array(2 * n);
+    if (n < 3) return embedding;
+    
+    // Squared distances between the rows
+    const distances = new Float64Array(n * n);
+    for (let i = 0; i < n; i++) {
+        for (let j = i + 1; j < n; j++) {
+            let sum = 0;
+            for (let c = 0; c < matrix[i].length; c++) {
+                const delta = matrix[i][c] - matrix[j][c];
+                sum += delta * delta;
+            }
+            distances[i * n + j] = distances[j * n + i] = sum;
+        }
+    }
+    
+    // Gaussian neighbour probabilities: the precision of each row is found by bisection so the
+    // entropy of its distribution matches the perplexity
+    const p = new Float64Array(n * n);
+    const entropyTarget = Math.log(Math.min(settings.perplexity, (n - 1) / 3));
+    for (let i = 0; i < n; i++) {
+        let beta = 1;
+        let betaMin = -Infinity;
+        let betaMax = Infinity;
+        let sum = 0;
+        for (let attempt = 0; attempt < 50; attempt++) {
+            sum = 0;
+            let weighted = 0;
+            for (let j = 0; j < n; j++) {
+                if (j === i) continue;
+                const value = Math.exp(-distances[i * n + j] * beta);
+                p[i * n + j] = value;
+                sum += value;
+                weighted += distances[i * n + j] * value;
+            }
+            if (sum === 0) sum = 1e-300;
+            const entropy = Math.log(sum) + beta * weighted / sum;
+            if (Math.abs(entropy - entropyTarget) < 1e-5) break;
+            if (entropy > entropyTarget) {
+                betaMin = beta;
+                beta = betaMax === Infinity ? beta * 2 : (beta + betaMax) / 2;
+            } else {
+                betaMax = beta;
+                beta = betaMin === -Infinity ? beta / 2 : (beta + betaMin) / 2;
+            }
+        }
+        for (let j = 0; j < n; j++) p[i * n + j] /= sum;
+    }
+    for (let i = 0; i < n; i++) {
+        for (let j = i + 1; j < n; j++) {
+            p[i * n + j] = p[j * n + i] = Math.max((p[i * n + j] + p[j * n + i]) / (2 * n), 1e-12);
+        }
+    }
+    
+    // Small random starting layout (seeded, Box-Muller normals)
+    let state = settings.seed >>> 0;
+    const random = () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    for (let i = 0; i < 2 * n; i++) {
+        embedding[i] = 1e-4 * Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+    }
+    
+    // Gradient descent with momentum and per-coordinate gains; the Student-t kernel values
+    // reuse the distance buffer
+    const kernel = distances;
+    const gradient = new Float64Array(2 * n);
+    const update = new Float64Array(2 * n);
+    const gains = new Float64Array(2 * n).fill(1);
+    for (let iteration = 0; iteration < settings.iterations; iteration++) {
+        const exaggeration = iteration < settings.exaggerationIterations ? settings.exaggeration : 1;
+        const momentum = iteration < 250 ? 0.5 : 0.8;
+        
+        let kernelSum = 0;
+        for (let i = 0; i < n; i++) {
+            for (let j = i + 1; j < n; j++) {
+                const dx = embedding[2 * i] - embedding[2 * j];
+                const dy = embedding[2 * i + 1] - embedding[2 * j + 1];
+                const value = 1 / (1 + dx * dx + dy * dy);
+                kernel[i * n + j] = value;
+                kernelSum += 2 * value;
+            }
+        }
+        
+        // Every pair pulls (or pushes) both of its rows with the same force
+        gradient.fill(0);
+        for (let i = 0; i < n; i++) {
+            for (let j = i + 1; j < n; j++) {
+                const value = kernel[i * n + j];
+                const force = 4 * (exaggeration * p[i * n + j] - value / kernelSum) * value;
+                const fx = force * (embedding[2 * i] - embedding[2 * j]);
+                const fy = force * (embedding[2 * i + 1] - embedding[2 * j + 1]);
+                gradient[2 * i] += fx;
+                gradient[2 * i + 1] += fy;
+                gradient[2 * j] -= fx;
+                gradient[2 * j + 1] -= fy;
+            }
+        }
+        
+        let meanX = 0;
+        let meanY = 0;
+        for (let k = 0; k < 2 * n; k++) {
+            gains[k] = Math.max(Math.sign(gradient[k]) === Math.sign(update[k]) ? gains[k] * 0.8 : gains[k] + 0.2, 0.01);
+            update[k] = momentum * update[k] - settings.learningRate * gains[k] * gradient[k];
+            embedding[k] += update[k];
+            if (k % 2 === 0) meanX += embedding[k]; else meanY += embedding[k];
+        }
+        for (let i = 0; i < n; i++) {
+            embedding[2 * i] -= meanX / n;
+            embedding[2 * i + 1] -= meanY / n;
+        }
+        
+        if (reportProgress && iteration % 10 === 0) reportProgress(iteration / settings.iterations);
+    }
+    return embedding;
+}
+
+// ---------------------------------------------------------------------------
+// Data quality rules
+// A rule set to "block" stops a load when it finds a violation, "warn" only reports it
+// and "off" skips the rule. Rules whose column does not exist in the data are not applicable.
+// ---------------------------------------------------------------------------
+
+// Most violations kept per rule for the report and the export
+export const QUALITY_MAX_VIOLATIONS = 500;
+
+// Severities a rule can have
+export const QUALITY_SEVERITIES = { block: 'Block', warn: 'Warn', off: 'Off' };
+
+// Which rows a rule looks at
+export const QUALITY_SPLITS = { both: 'Train and test', train: 'Train only', test: 'Test only' };
+
+// Rule kinds: column-level checks report a missing or extra column, row-level checks
+// report each offending row; param describes what the parameter field expects
+export const QUALITY_RULE_KINDS = {
+    required: { label: 'Required column', param: null },
+    absent: { label: 'Column must be absent', param: null },
+    parity: { label: 'Train/test column parity', param: 'Columns allowed to differ, e.g. Survived', noColumn: true },
+    type: { label: 'Value type', param: 'numeric, integer or text' },
+    range: { label: 'Value range', param: 'min..max, e.g. 0..120 (either side may be empty)' },
+    allowed: { label: 'Allowed values', param: 'Comma-separated values, e.g. C, Q, S' },
+    unique: { label: 'Unique values', param: null }
+};
+
+// Built-in rules for the Titanic files
+export const DEFAULT_QUALITY_RULES = [
+    { kind: 'required', column: 'PassengerId', param: '', splits: 'both', severity: 'warn' },
+    { kind: 'required', column: 'Survived', param: '', splits: 'train', severity: 'warn' },
+    { kind: 'absent', column: 'Survived', param: '', splits: 'test', severity: 'warn' },
+    { kind: 'parity', column: '', param: 'Survived', splits: 'both', severity: 'warn' },
+    { kind: 'unique', column: 'PassengerId', param: '', splits: 'both', severity: 'block' },
+    { kind: 'allowed', column: 'Survived', param: '0, 1', splits: 'train', severity: 'warn' },
+    { kind: 'allowed', column: 'Pclass', param: '1, 2, 3', splits: 'both', severity: 'warn' },
+    { kind: 'allowed', column: 'Sex', param: 'male, female', splits: 'both', severity: 'warn' },
+    { kind: 'allowed', column: 'Embarked', param: 'C, Q, S', splits: 'both', severity: 'warn' },
+    { kind: 'type', column: 'Age', param: 'numeric', splits: 'both', severity: 'warn' },
+    { kind: 'range', column: 'Age', param: '0..120', splits: 'both', severity: 'warn' },
+    { kind: 'type', column: 'Fare', param: 'numeric', splits: 'both', severity: 'warn' },
+    { kind: 'range', column: 'Fare', param: '0..', splits: 'both', severity: 'warn' },
+    { kind: 'type', column: 'SibSp', param: 'integer', splits: 'both', severity: 'warn' },
+    { kind: 'range', column: 'SibSp', param: '0..', splits: 'both', severity: 'warn' },
+    { kind: 'type', column: 'Parch', param: 'integer', splits: 'both', severity: 'warn' },
+    { kind: 'range', column: 'Parch', param: '0..', splits: 'both', severity: 'warn' }
+];
+
+export function createDefaultQualityRules() {
+    return DEFAULT_QUALITY_RULES.map(rule => ({ ...rule, builtin: true }));
+}
+
+// Short human-readable description of a rule
+export function describeQualityRule(rule) {
+    switch (rule.kind) {
+        case 'required': return `"${rule.column}" is present`;
+        case 'absent': return `"${rule.column}" is not present`;
+        case 'parity': return rule.param ? `Same columns in train and test (except ${rule.param})` : 'Same columns in train and test';
+        case 'type': return `"${rule.column}" is ${rule.param}`;
+        case 'range': return `"${rule.column}" within ${rule.param}`;
+        case 'allowed': return `"${rule.column}" in {${rule.param}}`;
+        case 'unique': return `"${rule.column}" is unique`;
+        default: return rule.kind;
+    }
+}
+
+// Check that a rule is complete; returns an error message or null
+export function validateQualityRule(rule) {
+    const kind = QUALITY_RULE_KINDS[rule.kind];
+    if (!kind) return `Unknown rule kind "${rule.kind}"`;
+    if (!kind.noColumn && !rule.column) return 'Please enter the column the rule checks';
+    if (rule.kind === 'type' && !['numeric', 'integer', 'text'].includes(rule.param)) return 'The type must be numeric, integer or text';
+    if (rule.kind === 'range') {
+        const bounds = parseQualityRange(rule.param);
+        if (!bounds) return 'The range must look like min..max, e.g. 0..120 or 0..';
+    }
+    if (rule.kind === 'allowed' && parseQualityList(rule.param).length === 0) return 'Please list the allowed values';
+    return null;
+}
+
+// "0..120" -> { min: 0, max: 120 }; either side may be empty (unbounded)
+export function parseQualityRange(text) {
+    const match = String(text).trim().match(/^(-?[\d.]*)\s*\.\.\s*(-?[\d.]*)$/);
+    if (!match || (match[1] === '' && match[2] === '')) return null;
+    const min = match[1] === '' ? -Infinity : Number(match[1]);
+    const max = match[2] === '' ? Infinity : Number(match[2]);
+    return isNaN(min) || isNaN(max) || min > max ? null : { min, max };
+}
+
+// "C, Q, S" -> ['C', 'Q', 'S']
+export function parseQualityList(text) {
+    return String(text).split(',').map(value => value.trim()).filter(value => value !== '');
+}
+
+// Columns of one split (every key seen in its rows), without the app's own columns
+export function getSplitColumns(rows) {
+    const columns = new Set();
+    rows.forEach(row => Object.keys(row).forEach(col => columns.add(col)));
+    SCHEMA_RULES.metaColumns.forEach(col => columns.delete(col));
+    return columns;
+}
+
+// Run one rule on the splits; returns { status, count, violations }
+// status is 'passed', 'failed' or 'not applicable'
+export function evaluateQualityRule(rule, splits, splitColumns) {
+    const names = rule.splits === 'both' ? ['train', 'test'] : [rule.splits];
+    const violations = [];
+    let count = 0;
+    const report = violation => {
+        count++;
+        if (violations.length < QUALITY_MAX_VIOLATIONS) violations.push(violation);
+    };
+    
+    if (rule.kind === 'required' || rule.kind === 'absent') {
+        names.forEach(split => {
+            const present = splitColumns[split].has(rule.column);
+            if (rule.kind === 'required' && !present) report({ split, row: null, message: `Column "${rule.column}" is missing from the ${split} data` });
+            if (rule.kind === 'absent' && present) report({ split, row: null, message: `Column "${rule.column}" is present in the ${split} data` });
+        });
+        return { status: count > 0 ? 'failed' : 'passed', count, violations };
+    }
+    
+    if (rule.kind === 'parity') {
+        const allowed = parseQualityList(rule.param);
+        [['train', 'test'], ['test', 'train']].forEach(([split, other]) => {
+            splitColumns[split].forEach(col => {
+                if (!splitColumns[other].has(col) && !allowed.includes(col)) {
+                    report({ split, row: null, message: `Column "${col}" is only in the ${split} data` });
+                }
+            });
+        });
+        return { status: count > 0 ? 'failed' : 'passed', count, violations };
+    }
+    
+    // Row-level rules only apply to the splits that have the column
+    const checked = names.filter(split => splitColumns[split].has(rule.column));
+    if (checked.length === 0) return { status: 'not applicable', count: 0, violations };
+    
+    const bounds = rule.kind === 'range' ? parseQualityRange(rule.param) : null;
+    const allowed = rule.kind === 'allowed' ? new Set(parseQualityList(rule.param)) : null;
+    const seen = new Map();
+    checked.forEach(split => {
+        splits[split].forEach((row, index) => {
+            const value = row[rule.column];
+            if (isMissing(value)) return;
+            let message = null;
+            if (rule.kind === 'type') {
+                const ok = rule.param === 'text' ? typeof value === 'string'
+                    : rule.param === 'integer' ? Number.isInteger(value)
+                    : typeof value === 'number';
+                if (!ok) message = `Expected ${rule.param}, found ${JSON.stringify(value)}`;
+            } else if (rule.kind === 'range') {
+                if (typeof value === 'number' && (value < bounds.min || value > bounds.max)) message = `${value} is outside ${rule.param}`;
+            } else if (rule.kind === 'allowed') {
+                if (!allowed.has(String(value))) message = `${JSON.stringify(value)} is not an allowed value`;
+            } else if (rule.kind === 'unique') {
+                const key = String(value);
+                if (seen.has(key)) {
+                    const first = seen.get(key);
+                    message = `Duplicate of ${first.split} row ${first.index + 1}`;
+                } else {
+                    seen.set(key, { split, index });
+                }
+            }
+            if (message) report({ split, row: index + 1, value, message });
+        });
+    });
+    return { status: count > 0 ? 'failed' : 'passed', count, violations };
+}
+
+// Run every rule that is not off on the train and test rows; returns the results keyed by rule
+export function checkQualityRules(rules, splits) {
+    const splitColumns = { train: getSplitColumns(splits.train), test: getSplitColumns(splits.test) };
+    const results = new Map();
+    rules.forEach(rule => {
+        if (rule.severity === 'off') return;
+        results.set(rule, evaluateQualityRule(rule, splits, splitColumns));
+    });
+    return results;
+}
+
+// Checked rules with violations, optionally only those of one severity
+export function findFailedQualityRules(rules, results, severity) {
+    return rules.filter(rule => {
+        const result = results.get(rule);
+        return result && result.status === 'failed' && rule.severity !== 'off' && (!severity || rule.severity === severity);
+    });
+}
+
+// Exported form of a check: every rule with its status and the violations kept
+export function summarizeQualityResults(rules, results, checkedAt) {
+    return {
+        checkedAt,
+        rules: rules.map(rule => {
+            const result = results.get(rule);
+            return {
+                rule: describeQualityRule(rule),
+                kind: rule.kind,
+                column: rule.column || null,
+                param: rule.param || null,
+                splits: rule.splits,
+                severity: rule.severity,
+                builtin: rule.builtin,
+                status: rule.severity === 'off' ? 'off' : result ? result.status : 'not checked',
+                violations: result ? result.count : 0,
+                rows: result ? result.violations : []
+            };
+        })
+    };
+}
+
+// ---------------------------------------------------------------------------
+// Headless EDA
+// ---------------------------------------------------------------------------
+
+// Check the parsed splits before they are merged; returns an error message or null
+export function validateSplits(trainRows, testRows) {
+    const problem = validateLoadedRows(trainRows, 'training') || validateLoadedRows(testRows, 'test');
+    if (problem) return problem;
+    const trainColumns = Object.keys(trainRows[0]);
+    if (!Object.keys(testRows[0]).some(col => trainColumns.includes(col))) {
+        return 'The training and test data have no columns in common';
+    }
+    return null;
+}
+
+// Check one split; returns an error message or null
+function validateLoadedRows(rows, label) {
+    if (rows.length === 0) return `The ${label} data has no rows`;
+    if (Object.keys(rows[0]).length === 0) return `The ${label} data has no columns`;
+    return null;
+}
+
+// The statistics export: the summary statistics plus every analysis that has been run
+// parts holds computedStats and the other analyses, which may be missing when not run
+export function buildStatisticsExport(parts) {
+    return {
+        ...parts.computedStats,
+        groupedStats: parts.groupedStats || null,
+        genderAnalysis: parts.genderAnalysis || {},
+        imputation: parts.imputation || null,
+        models: parts.models || {},
+        correlation: parts.correlation || null,
+        drift: parts.drift || null,
+        pivot: parts.pivot || null,
+        hypothesisTests: parts.hypothesisTests || null,
+        featureRanking: parts.featureRanking || null,
+        projection: parts.projection || null,
+        outliers: parts.outliers || null,
+        dataQuality: parts.dataQuality || null
+    };
+}
+
+// Run the EDA the way the app does after loading both splits, confirming the proposed schema
+// and clicking "Run EDA" without filters. Returns the schema, the missing values of the merged
+// rows and the statistics export; throws when the splits cannot be merged, a blocking quality
+// rule fails or no target is found
+// options: qualityRules (default: the built-in rules), schema (default: the inferred one)
+export function runEda(trainRows, testRows, options = {}) {
+    const problem = validateSplits(trainRows, testRows);
+    if (problem) throw new Error(problem);
+    const rules = options.qualityRules || createDefaultQualityRules();
+    const qualityResults = checkQualityRules(rules, { train: trainRows, test: testRows });
+    const blocking = findFailedQualityRules(rules, qualityResults, 'block');
+    if (blocking.length > 0) {
+        throw new Error(`Blocking data quality rule(s) failed: ${blocking.map(describeQualityRule).join('; ')}`);
+    }
+    
+    const train = trainRows.map(row => ({ ...row, source: 'train' }));
+    const test = testRows.map(row => ({ ...row, source: 'test' }));
+    const merged = [...train, ...test];
+    const schema = options.schema || buildSchema(inferSchema(train, test));
+    if (!schema.targetColumn) {
+        throw new Error('No target column found: the target must be a column of the training data only');
+    }
+    
+    const columns = [];
+    merged.forEach(row => {
+        Object.keys(row).forEach(col => {
+            if (!columns.includes(col)) columns.push(col);
+        });
+    });
+    const labelled = train.filter(row => hasTargetValue(schema, row));
+    const missing = aggregateDataset(buildStatsDataset(createRowTable(merged), schema, { missing: columns }));
+    const summary = aggregateDataset(buildStatsDataset(createRowTable(labelled), schema, { categorical: schema.categoricalColumns }));
+    const profiles = {};
+    [['train', train], ['test', test], ['merged', merged]].forEach(([split, rows]) => {
+        profiles[split] = aggregateDataset(buildStatsDataset(createRowTable(rows), schema, { numeric: schema.numericColumns }));
+    });
+    
+    return {
+        schema,
+        missingValues: summarizeMissingValues(missing),
+        statistics: buildStatisticsExport({
+            computedStats: {
+                numericStats: summarizeNumericProfiles(profiles),
+                categoricalStats: summary.categorical,
+                filters: { combinator: 'AND', active: [] }
+            },
+            groupedStats: computeGroupedProfiles(labelled, schema),
+            genderAnalysis: schema.highlightColumn ? analyzeKeyInsight(labelled, schema) : null,
+            hypothesisTests: computeHypothesisTests(labelled, schema),
+            dataQuality: summarizeQualityResults(rules, qualityResults, new Date().toISOString())
+        })
+    };
+}
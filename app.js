@@ -2,32 +2,57 @@
 // Titanic EDA Application
 // This is a fully client-side exploratory data analysis tool for the Titanic dataset
 // Uses PapaParse for CSV parsing and Chart.js for visualizations
+// The DOM-free statistics, schema inference and data quality rules live in analysis.js
+
+import {
+    isMissing, computeMean, computeMedian, computeMode, computeStdDev, computeQuantile,
+    computeHistogramBins, SCHEMA_RULES, COLUMN_TYPES, COLUMN_ROLES, listColumns,
+    inferPositiveClass, inferSchema, suggestInsightColumns, buildSchema, isPositiveClass,
+    hasTargetValue, buildStatsDataset, describeNumericValues, aggregateDataset, PROFILE_SPLITS,
+    summarizeMissingValues, summarizeNumericProfiles, analyzeKeyInsight, CORRELATION_METHODS,
+    buildContingencyTable, computeChiSquare, computeAssociation, computeChiSquarePValue,
+    computeHypothesisTests, splitByTarget, computeKernelDensity, computeGroupedProfiles, computePearson,
+    computeLinearFit, computeLoess, computeHexbins, TSNE_SETTINGS, encodeFeatureMatrix, computePca,
+    computeTsne,
+    QUALITY_SEVERITIES, QUALITY_SPLITS, QUALITY_RULE_KINDS, createDefaultQualityRules,
+    describeQualityRule, validateQualityRule, checkQualityRules, findFailedQualityRules,
+    summarizeQualityResults, validateSplits, buildStatisticsExport
+} from './analysis.js';
 
 // Global variables to store the dataset and analysis results
 let mergedData = [];
 let trainData = [];
 let testData = [];
 let dataLoaded = false;
+let sourceFiles = { train: null, test: null }; // Names of the loaded files, kept with the session
 let charts = {}; // Object to store Chart.js instances for easy updates
 
-// Configuration for features and target variable
-// To reuse this app with a different dataset, update these configurations:
-// 1. targetColumn - the column containing the label to predict
-// 2. featureColumns - columns to use as features in analysis
-// 3. excludedColumns - columns to exclude from analysis (like IDs)
-// 4. categoricalColumns - columns that should be treated as categorical
-// 5. numericColumns - columns that should be treated as numeric
-const CONFIG = {
-    targetColumn: 'Survived',
-    featureColumns: ['Pclass', 'Sex', 'Age', 'SibSp', 'Parch', 'Fare', 'Embarked'],
-    excludedColumns: ['PassengerId', 'Name', 'Ticket', 'Cabin'],
-    categoricalColumns: ['Pclass', 'Sex', 'Embarked', 'SibSp', 'Parch', 'Survived', 'source'],
-    numericColumns: ['Age', 'Fare', 'SibSp', 'Parch', 'Pclass']
-};
+// The schema proposed by inference and edited in the schema panel (draft), and the confirmed
+// schema that every analysis function reads from once the user clicks "Confirm Schema"
+let schemaDraft = null;
+let schema = null;
 
 // DOM elements
 const trainFileInput = document.getElementById('train-file');
 const testFileInput = document.getElementById('test-file');
+const trainUrlInput = document.getElementById('train-url');
+const testUrlInput = document.getElementById('test-url');
+const combinedFileInput = document.getElementById('combined-file');
+const combinedUrlInput = document.getElementById('combined-url');
+const splitColumnInput = document.getElementById('split-column');
+const splitTrainValueInput = document.getElementById('split-train-value');
+const loadModeSelect = document.getElementById('load-mode');
+const loadFormatSelect = document.getElementById('load-format');
+const loadDelimiterSelect = document.getElementById('load-delimiter');
+const dropZone = document.getElementById('drop-zone');
+const qualityKindSelect = document.getElementById('quality-kind');
+const qualityColumnInput = document.getElementById('quality-column');
+const qualityParamInput = document.getElementById('quality-param');
+const qualitySplitsSelect = document.getElementById('quality-splits');
+const qualitySeveritySelect = document.getElementById('quality-severity');
+const addQualityRuleBtn = document.getElementById('add-quality-rule-btn');
+const checkQualityBtn = document.getElementById('check-quality-btn');
+const qualityResultsContainer = document.getElementById('quality-results');
 const loadDataBtn = document.getElementById('load-data-btn');
 const runEdaBtn = document.getElementById('run-eda-btn');
 const resetBtn = document.getElementById('reset-btn');
@@ -37,271 +62,4615 @@ const exportStatsBtn = document.getElementById('export-stats-btn');
 const loadingStatus = document.getElementById('loading-status');
 const datasetOverview = document.getElementById('dataset-overview');
 const columnInfo = document.getElementById('column-info');
-const dataPreviewTable = document.getElementById('data-preview-table');
+const dataGridViewport = document.getElementById('data-grid');
+const dataGridTable = document.getElementById('data-grid-table');
+const gridSearchInput = document.getElementById('grid-search');
+const gridPageSizeSelect = document.getElementById('grid-page-size');
+const gridColumnsToggle = document.getElementById('grid-columns');
+const gridPager = document.getElementById('grid-pager');
 const statisticalSummaries = document.getElementById('statistical-summaries');
 const survivalComparison = document.getElementById('survival-comparison');
+const schemaPanel = document.getElementById('schema-panel');
+const confirmSchemaBtn = document.getElementById('confirm-schema-btn');
+const numericChartsContainer = document.getElementById('numeric-charts');
+const featureExtractorSelect = document.getElementById('feature-extractor');
+const featureSourceSelect = document.getElementById('feature-source');
+const featureBuiltinNameInput = document.getElementById('feature-builtin-name');
+const addBuiltinFeatureBtn = document.getElementById('add-builtin-feature-btn');
+const featureNameInput = document.getElementById('feature-name');
+const featureExpressionInput = document.getElementById('feature-expression');
+const addExpressionFeatureBtn = document.getElementById('add-expression-feature-btn');
+const featurePresets = document.getElementById('feature-presets');
+const derivedFeaturesList = document.getElementById('derived-features-list');
+const imputationPanel = document.getElementById('imputation-panel');
+const imputationResults = document.getElementById('imputation-results');
+const applyImputationBtn = document.getElementById('apply-imputation-btn');
+const exportImputedBtn = document.getElementById('export-imputed-btn');
+const modelChoices = document.getElementById('model-choices');
+const cvFoldsInput = document.getElementById('cv-folds');
+const modelSeedInput = document.getElementById('model-seed');
+const useImputedInput = document.getElementById('use-imputed');
+const trainModelsBtn = document.getElementById('train-models-btn');
+const modelResults = document.getElementById('model-results');
+const submissionModelSelect = document.getElementById('submission-model');
+const submissionThresholdInput = document.getElementById('submission-threshold');
+const downloadSubmissionBtn = document.getElementById('download-submission-btn');
+const correlationMethodSelect = document.getElementById('correlation-method');
+const correlationMixedInput = document.getElementById('correlation-mixed');
+const correlationClusterInput = document.getElementById('correlation-cluster');
+const scatterFeaturesContainer = document.getElementById('scatter-features');
+const scatterMatrixNote = document.getElementById('scatter-matrix-note');
+const bivariateView = document.getElementById('bivariate-view');
+const bivariateTitle = document.getElementById('bivariate-title');
+const bivariateTrendSelect = document.getElementById('bivariate-trend');
+const bivariateDensitySelect = document.getElementById('bivariate-density');
+const bivariateNote = document.getElementById('bivariate-note');
+const closeBivariateBtn = document.getElementById('close-bivariate-btn');
+const runDriftBtn = document.getElementById('run-drift-btn');
+const driftResults = document.getElementById('drift-results');
+const filterBar = document.getElementById('filter-bar');
+const filterChips = document.getElementById('filter-chips');
+const filterCombinatorSelect = document.getElementById('filter-combinator');
+const clearFiltersBtn = document.getElementById('clear-filters-btn');
+const pivotColumnSelects = [1, 2, 3].map(i => document.getElementById(`pivot-column-${i}`));
+const pivotBandMethodSelect = document.getElementById('pivot-band-method');
+const pivotBandCountInput = document.getElementById('pivot-band-count');
+const pivotMinCountInput = document.getElementById('pivot-min-count');
+const runPivotBtn = document.getElementById('run-pivot-btn');
+const pivotResults = document.getElementById('pivot-results');
+const groupedBySelect = document.getElementById('grouped-by');
+const groupedPlotSelect = document.getElementById('grouped-plot');
+const groupedResults = document.getElementById('grouped-results');
+const hypothesisResults = document.getElementById('hypothesis-results');
+const rankingMetricSelect = document.getElementById('ranking-metric');
+const runRankingBtn = document.getElementById('run-ranking-btn');
+const projectionMethodSelect = document.getElementById('projection-method');
+const projectionPerplexityInput = document.getElementById('projection-perplexity');
+const projectionColorSelect = document.getElementById('projection-color');
+const runProjectionBtn = document.getElementById('run-projection-btn');
+const projectionResults = document.getElementById('projection-results');
+const rankingResults = document.getElementById('ranking-results');
+const outlierIqrInput = document.getElementById('outlier-iqr');
+const outlierZInput = document.getElementById('outlier-z');
+const outlierScoreInput = document.getElementById('outlier-score');
+const detectOutliersBtn = document.getElementById('detect-outliers-btn');
+const outlierResults = document.getElementById('outlier-results');
+const projectFileInput = document.getElementById('project-file');
+const importProjectBtn = document.getElementById('import-project-btn');
+const exportProjectBtn = document.getElementById('export-project-btn');
+const exportReportBtn = document.getElementById('export-report-btn');
+const printReportBtn = document.getElementById('print-report-btn');
+const progressPanel = document.getElementById('progress-panel');
+const progressBar = document.getElementById('progress-bar');
+const progressLabel = document.getElementById('progress-label');
+const cancelTaskBtn = document.getElementById('cancel-task-btn');
 
 // Initialize the application
 function initApp() {
     // Set up event listeners
     loadDataBtn.addEventListener('click', loadAndMergeData);
+    cancelTaskBtn.addEventListener('click', cancelActiveTask);
+    loadModeSelect.addEventListener('change', updateLoadMode);
+    dropZone.addEventListener('dragover', event => {
+        event.preventDefault();
+        dropZone.classList.add('drag-over');
+    });
+    dropZone.addEventListener('dragleave', () => dropZone.classList.remove('drag-over'));
+    dropZone.addEventListener('drop', handleFileDrop);
+    addQualityRuleBtn.addEventListener('click', addQualityRule);
+    checkQualityBtn.addEventListener('click', checkLoadedData);
+    qualityKindSelect.addEventListener('change', updateQualityForm);
+    qualityResultsContainer.addEventListener('change', handleQualityReportChange);
+    qualityResultsContainer.addEventListener('click', handleQualityReportClick);
     runEdaBtn.addEventListener('click', runFullEDA);
+    confirmSchemaBtn.addEventListener('click', confirmSchema);
+    schemaPanel.addEventListener('change', handleSchemaPanelChange);
+    addBuiltinFeatureBtn.addEventListener('click', addBuiltinFeature);
+    addExpressionFeatureBtn.addEventListener('click', addExpressionFeature);
+    featureExtractorSelect.addEventListener('change', () => {
+        featureBuiltinNameInput.value = '';
+        featureBuiltinNameInput.placeholder = FEATURE_EXTRACTORS[featureExtractorSelect.value].defaultName;
+        renderFeatureWorkbench();
+    });
+    featurePresets.addEventListener('click', event => {
+        const preset = EXPRESSION_PRESETS[event.target.dataset.preset];
+        if (!preset) return;
+        featureNameInput.value = preset.name;
+        featureExpressionInput.value = preset.expression;
+    });
+    derivedFeaturesList.addEventListener('click', event => {
+        if (event.target.dataset.removeFeature) removeDerivedFeature(event.target.dataset.removeFeature);
+    });
+    
+    // Fill the extractor list and the expression presets
+    featureExtractorSelect.innerHTML = Object.keys(FEATURE_EXTRACTORS)
+        .map(key => `<option value="${key}">${FEATURE_EXTRACTORS[key].label}</option>`)
+        .join('');
+    featureBuiltinNameInput.placeholder = FEATURE_EXTRACTORS[featureExtractorSelect.value].defaultName;
+    qualityKindSelect.innerHTML = Object.keys(QUALITY_RULE_KINDS)
+        .map(key => `<option value="${key}">${QUALITY_RULE_KINDS[key].label}</option>`)
+        .join('');
+    qualitySplitsSelect.innerHTML = Object.keys(QUALITY_SPLITS)
+        .map(key => `<option value="${key}">${QUALITY_SPLITS[key]}</option>`)
+        .join('');
+    qualitySeveritySelect.innerHTML = Object.keys(QUALITY_SEVERITIES)
+        .map(key => `<option value="${key}" ${key === 'warn' ? 'selected' : ''}>${QUALITY_SEVERITIES[key]}</option>`)
+        .join('');
+    updateQualityForm();
+    renderQualityReport();
+    featurePresets.innerHTML = EXPRESSION_PRESETS
+        .map((preset, i) => `<button class="small-btn" data-preset="${i}">${preset.name} = ${escapeHtml(preset.expression)}</button>`)
+        .join('');
     resetBtn.addEventListener('click', resetAll);
     showChartsBtn.addEventListener('click', generateAllCharts);
     exportCsvBtn.addEventListener('click', exportMergedData);
     exportStatsBtn.addEventListener('click', exportStatistics);
+    exportImputedBtn.addEventListener('click', exportImputedData);
+    applyImputationBtn.addEventListener('click', runImputation);
+    imputationPanel.addEventListener('change', handleImputationPanelChange);
+    trainModelsBtn.addEventListener('click', trainBaselineModels);
+    downloadSubmissionBtn.addEventListener('click', downloadSubmission);
+    runDriftBtn.addEventListener('click', runDriftReport);
+    runPivotBtn.addEventListener('click', runPivot);
+    [groupedBySelect, groupedPlotSelect].forEach(select => {
+        select.addEventListener('change', () => {
+            if (window.computedStats) runGroupedComparisons();
+        });
+    });
+    runRankingBtn.addEventListener('click', runFeatureRanking);
+    runProjectionBtn.addEventListener('click', runProjection);
+    projectionColorSelect.addEventListener('change', renderProjectionScatter);
+    rankingMetricSelect.addEventListener('change', renderFeatureRanking);
+    rankingResults.addEventListener('change', event => {
+        if (event.target.dataset.woeFeature !== undefined) renderWoeTable(event.target.value);
+    });
+    numericChartsContainer.addEventListener('change', handleHistogramControlChange);
+    detectOutliersBtn.addEventListener('click', runOutlierDetection);
+    outlierResults.addEventListener('change', event => {
+        const index = event.target.dataset.outlierRow;
+        if (index !== undefined) setOutlierDecision([index], event.target.value);
+    });
+    outlierResults.addEventListener('click', event => {
+        const decision = event.target.dataset.outlierBulk;
+        if (decision && outlierReport) setOutlierDecision(outlierReport.flagged.map(entry => String(entry.index)), decision);
+    });
+    filterChips.addEventListener('click', event => {
+        if (event.target.dataset.removeFilter !== undefined) removeFilter(Number(event.target.dataset.removeFilter));
+    });
+    filterCombinatorSelect.addEventListener('change', () => {
+        filterCombinator = filterCombinatorSelect.value;
+        refreshFilteredViews();
+    });
+    clearFiltersBtn.addEventListener('click', clearFilters);
+    gridSearchInput.addEventListener('input', () => {
+        gridState.search = gridSearchInput.value;
+        refreshGridRows();
+    });
+    gridPageSizeSelect.addEventListener('change', () => {
+        gridState.pageSize = Number(gridPageSizeSelect.value);
+        refreshGridRows();
+    });
+    gridColumnsToggle.addEventListener('change', event => {
+        const column = event.target.dataset.gridColumn;
+        if (column !== undefined) setGridColumnVisible(column, event.target.checked);
+    });
+    gridPager.addEventListener('click', event => {
+        const direction = event.target.dataset.gridPage;
+        if (direction) changeGridPage(direction === 'next' ? 1 : -1);
+    });
+    dataGridTable.addEventListener('click', event => {
+        const column = event.target.dataset.sortColumn;
+        if (column !== undefined) toggleGridSort(column);
+    });
+    dataGridTable.addEventListener('input', event => {
+        const column = event.target.dataset.gridFilter;
+        if (column === undefined) return;
+        gridState.columnFilters[column] = event.target.value;
+        refreshGridRows();
+    });
+    dataGridViewport.addEventListener('scroll', renderGridViewport);
+    [correlationMethodSelect, correlationMixedInput, correlationClusterInput].forEach(input => {
+        input.addEventListener('change', () => {
+            // Only redraw once the charts have been generated
+            if (charts.correlation && schema) {
+                generateCorrelationHeatmap(applyQueryFilters(getLabelledTrainQuery()).select());
+            }
+        });
+    });
+    scatterFeaturesContainer.addEventListener('change', handleScatterFeatureChange);
+    [bivariateTrendSelect, bivariateDensitySelect].forEach(select => {
+        select.addEventListener('change', () => {
+            if (charts.scatterMatrix) renderBivariateView();
+        });
+    });
+    closeBivariateBtn.addEventListener('click', () => {
+        scatterState.pair = null;
+        renderBivariateView();
+    });
+    
+    // Save the session after interactions that change it and bring back the one saved before the reload
+    ['click', 'change', 'input'].forEach(type => {
+        document.addEventListener(type, scheduleSessionSave);
+    });
+    exportProjectBtn.addEventListener('click', exportProject);
+    exportReportBtn.addEventListener('click', exportReport);
+    printReportBtn.addEventListener('click', printReport);
+    importProjectBtn.addEventListener('click', importProject);
     
     // Update UI state
     updateUIState();
+    restoreSavedSession();
 }
 
-// Load and merge the train and test CSV files
+// Load and merge the train and test data (two files or URLs, or one combined file)
 function loadAndMergeData() {
-    const trainFile = trainFileInput.files[0];
-    const testFile = testFileInput.files[0];
+    if (loadModeSelect.value === 'combined') {
+        loadCombinedData();
+        return;
+    }
+    
+    const trainSource = getInputSource(trainFileInput, trainUrlInput);
+    const testSource = getInputSource(testFileInput, testUrlInput);
     
     // Validate file inputs
-    if (!trainFile || !testFile) {
-        showStatus('Please select both train.csv and test.csv files', 'error');
+    if (!trainSource || !testSource) {
+        showStatus('Please select (or enter a URL for) both the train and the test data', 'error');
         return;
     }
     
-    showStatus('Loading and parsing CSV files...', 'warning');
+    showStatus('Loading and parsing data files...', 'warning');
     
-    // Parse train.csv
-    Papa.parse(trainFile, {
-        header: true,
-        dynamicTyping: true,
-        quotes: true,
-        skipEmptyLines: true,
-        complete: function(trainResults) {
-            if (trainResults.errors.length > 0) {
-                showStatus('Error parsing train.csv: ' + trainResults.errors[0].message, 'error');
-                return;
-            }
-            
-            trainData = trainResults.data.map(row => ({...row, source: 'train'}));
-            showStatus('Train data loaded successfully. Parsing test data...', 'success');
-            
-            // Parse test.csv
-            Papa.parse(testFile, {
-                header: true,
-                dynamicTyping: true,
-                quotes: true,
-                skipEmptyLines: true,
-                complete: function(testResults) {
-                    if (testResults.errors.length > 0) {
-                        showStatus('Error parsing test.csv: ' + testResults.errors[0].message, 'error');
-                        return;
-                    }
-                    
-                    testData = testResults.data.map(row => ({...row, source: 'test'}));
-                    showStatus('Test data loaded successfully. Merging datasets...', 'success');
-                    
-                    // Merge datasets
-                    mergedData = [...trainData, ...testData];
-                    dataLoaded = true;
-                    
-                    // Update UI
-                    updateUIState();
-                    showStatus('Data loaded and merged successfully! ' + mergedData.length + ' total rows.', 'success');
-                    
-                    // Show dataset overview
-                    displayDatasetOverview();
-                    displayColumnInfo();
-                    displayDataPreview();
-                    
-                    // Enable EDA button
-                    runEdaBtn.disabled = false;
-                }
-            });
+    // Read the train data, then the test data
+    readInputSource(trainSource, trainRows => {
+        showStatus('Train data loaded successfully. Parsing test data...', 'success');
+        readInputSource(testSource, testRows => {
+            hideProgress();
+            finishDataLoad(trainRows, testRows, { train: trainSource.name, test: testSource.name });
+        });
+    });
+}
+
+// Load one file holding both splits; rows whose split column equals the training value
+// become train rows and all others test rows. The split column itself is dropped
+function loadCombinedData() {
+    const source = getInputSource(combinedFileInput, combinedUrlInput);
+    const splitColumn = splitColumnInput.value.trim();
+    const trainValue = splitTrainValueInput.value.trim();
+    if (!source) {
+        showStatus('Please select (or enter a URL for) the combined data file', 'error');
+        return;
+    }
+    if (!splitColumn || !trainValue) {
+        showStatus('Please enter the split column and the value that marks training rows', 'error');
+        return;
+    }
+    
+    showStatus('Loading and parsing the combined data file...', 'warning');
+    readInputSource(source, rows => {
+        hideProgress();
+        if (!rows.some(row => splitColumn in row)) {
+            const columns = Object.keys(rows[0] || {});
+            showStatus(`Column "${escapeHtml(splitColumn)}" not found. Available columns: ${escapeHtml(columns.join(', '))}`, 'error');
+            return;
         }
+        
+        const trainRows = [];
+        const testRows = [];
+        rows.forEach(row => {
+            const split = String(row[splitColumn]) === trainValue ? trainRows : testRows;
+            delete row[splitColumn];
+            split.push(row);
+        });
+        finishDataLoad(trainRows, testRows, {
+            train: `${source.name} (${splitColumn} = ${trainValue})`,
+            test: `${source.name} (${splitColumn} ≠ ${trainValue})`
+        });
     });
 }
 
-// Run full exploratory data analysis
-function runFullEDA() {
-    if (!dataLoaded || mergedData.length === 0) {
-        showStatus('Please load data first', 'error');
+// Shared end of every loading path: validate, tag and merge the splits, then reset the analysis
+function finishDataLoad(trainRows, testRows, names) {
+    const problem = validateSplits(trainRows, testRows);
+    if (problem) {
+        showStatus(escapeHtml(problem), 'error');
+        return;
+    }
+    const blocking = runQualityRules({ train: trainRows, test: testRows });
+    if (blocking.length > 0) {
+        showStatus(`Loading stopped: ${blocking.length} blocking data quality rule(s) failed. See the Data Quality report.`, 'error');
         return;
     }
+    const warnings = getFailedQualityRules('warn').length;
     
-    showStatus('Running Exploratory Data Analysis...', 'warning');
+    trainRows.forEach(row => {
+        row.source = 'train';
+    });
+    testRows.forEach(row => {
+        row.source = 'test';
+    });
+    trainData = trainRows;
+    testData = testRows;
+    showStatus('Data read successfully. Merging datasets...', 'success');
     
-    // Analyze missing values
-    analyzeMissingValues();
+    // Merge datasets
+    mergedData = [...trainData, ...testData];
+    sourceFiles = names;
+    dataLoaded = true;
+    sessionDataSaved = false;
     
-    // Generate statistical summaries
-    generateStatisticalSummaries();
+    // Re-apply any derived feature definitions to the new rows
+    appliedDerivedColumns = [];
+    applyDerivedFeatures();
+    renderFeatureWorkbench();
     
-    // Analyze gender impact specifically
-    analyzeGenderImpact();
+    // Infer a schema proposal; the user must confirm it before running the EDA
+    schemaDraft = inferSchema(trainData, testData, derivedFeatures.map(feature => feature.name));
+    schema = null;
+    renderSchemaPanel();
+    clearImputationResults();
+    clearTrainedModels();
+    clearPivot();
+    clearGroupedComparisons();
+    clearProjection();
+    clearRanking();
+    clearOutliers();
     
-    // Enable chart generation and export buttons
-    showChartsBtn.disabled = false;
-    exportCsvBtn.disabled = false;
-    exportStatsBtn.disabled = false;
+    // Update UI
+    updateUIState();
+    showStatus('Data loaded and merged successfully! ' + mergedData.length + ' total rows. Review and confirm the schema to run the EDA.' +
+        (warnings > 0 ? ` ${warnings} data quality rule(s) reported problems, see the Data Quality report.` : ''), warnings > 0 ? 'warning' : 'success');
     
-    showStatus('EDA completed successfully!', 'success');
+    // Show dataset overview
+    displayDatasetOverview();
+    displayColumnInfo();
+    renderDataGrid();
+    scheduleSessionSave();
 }
 
-// Display dataset overview (shape, columns, etc.)
-function displayDatasetOverview() {
-    const totalRows = mergedData.length;
-    const trainRows = trainData.length;
-    const testRows = testData.length;
-    const columns = Object.keys(mergedData[0] || {});
-    
-    // Calculate missing values for Survived column
-    const missingSurvived = mergedData.filter(row => row.source === 'test' || row.Survived === null || row.Survived === undefined).length;
-    
-    datasetOverview.innerHTML = `
-        <div class="stats-grid">
-            <div class="stat-card">
-                <h4>Dataset Shape</h4>
-                <p><strong>${totalRows}</strong> rows × <strong>${columns.length}</strong> columns</p>
-            </div>
-            <div class="stat-card">
-                <h4>Data Split</h4>
-                <p><strong>${trainRows}</strong> training rows (${((trainRows/totalRows)*100).toFixed(1)}%)</p>
-                <p><strong>${testRows}</strong> test rows (${((testRows/totalRows)*100).toFixed(1)}%)</p>
-            </div>
-            <div class="stat-card">
-                <h4>Target Variable</h4>
-                <p><strong>Survived</strong> column</p>
-                <p>Available for <strong>${trainRows}</strong> rows (training set only)</p>
-                <p>Missing for <strong>${missingSurvived}</strong> rows (test set)</p>
-            </div>
-            <div class="stat-card">
-                <h4>Features for Analysis</h4>
-                <p><strong>${CONFIG.featureColumns.length}</strong> features selected</p>
-                <p><strong>${CONFIG.excludedColumns.length}</strong> columns excluded</p>
-            </div>
-        </div>
-    `;
+// ---------------------------------------------------------------------------
+// Data quality rules
+// Every load runs these rules on the parsed train and test rows before they are merged.
+// A rule set to "block" stops the load when it finds a violation, "warn" only reports it
+// and "off" skips the rule. Rules whose column does not exist in the data are not
+// applicable, so the Titanic defaults stay quiet for other datasets. Users can add their own.
+// ---------------------------------------------------------------------------
+
+// Violations listed per rule in the report before "... and N more"
+const QUALITY_SHOWN_VIOLATIONS = 20;
+
+// The active rules (built-in ones first) and the result of the last check, keyed by rule
+let qualityRules = createDefaultQualityRules();
+let qualityResults = new Map();
+let qualityCheckedAt = null;
+
+// Run every active rule on the train and test rows and keep the results for the report
+// Returns the rules that block loading
+function runQualityRules(splits) {
+    qualityResults = checkQualityRules(qualityRules, splits);
+    qualityCheckedAt = new Date().toISOString();
+    renderQualityReport();
+    return getFailedQualityRules('block');
 }
 
-// Display column information
-function displayColumnInfo() {
-    if (mergedData.length === 0) return;
+// Checked rules with violations, optionally only those of one severity
+function getFailedQualityRules(severity) {
+    return findFailedQualityRules(qualityRules, qualityResults, severity);
+}
+
+// Re-check the loaded data with the current rules
+function checkLoadedData() {
+    if (!dataLoaded) {
+        showStatus('Please load data first', 'error');
+        return;
+    }
+    runQualityRules({ train: trainData, test: testData });
+    const failed = getFailedQualityRules();
+    showStatus(failed.length > 0 ? `${failed.length} data quality rule(s) found problems` : 'All data quality rules passed', failed.length > 0 ? 'warning' : 'success');
+}
+
+// Add a user-defined rule from the form
+function addQualityRule() {
+    const rule = {
+        kind: qualityKindSelect.value,
+        column: qualityColumnInput.value.trim(),
+        param: qualityParamInput.value.trim(),
+        splits: qualitySplitsSelect.value,
+        severity: qualitySeveritySelect.value,
+        builtin: false
+    };
+    if (QUALITY_RULE_KINDS[rule.kind].noColumn) rule.column = '';
+    const problem = validateQualityRule(rule);
+    if (problem) {
+        showStatus(escapeHtml(problem), 'error');
+        return;
+    }
     
-    const columns = Object.keys(mergedData[0]);
+    qualityRules.push(rule);
+    qualityColumnInput.value = '';
+    qualityParamInput.value = '';
+    if (dataLoaded) {
+        runQualityRules({ train: trainData, test: testData });
+    } else {
+        renderQualityReport();
+    }
+    showStatus(`Rule added: ${escapeHtml(describeQualityRule(rule))}`, 'success');
+}
+
+// Show the parameter hint of the selected rule kind
+function updateQualityForm() {
+    const kind = QUALITY_RULE_KINDS[qualityKindSelect.value];
+    qualityColumnInput.disabled = Boolean(kind.noColumn);
+    qualityParamInput.disabled = !kind.param;
+    qualityParamInput.placeholder = kind.param || 'Not needed';
+}
+
+// Handle the severity selects and remove buttons of the rule table
+function handleQualityReportChange(event) {
+    const index = event.target.dataset.qualitySeverity;
+    if (index === undefined) return;
+    const rule = qualityRules[Number(index)];
+    rule.severity = event.target.value;
+    if (rule.severity !== 'off' && !qualityResults.has(rule) && dataLoaded) {
+        runQualityRules({ train: trainData, test: testData });
+        return;
+    }
+    renderQualityReport();
+}
+
+function handleQualityReportClick(event) {
+    const index = event.target.dataset.removeQualityRule;
+    if (index === undefined) return;
+    const rule = qualityRules[Number(index)];
+    qualityRules.splice(Number(index), 1);
+    qualityResults.delete(rule);
+    renderQualityReport();
+}
+
+// Render the rules with their latest result and the row-level violations
+function renderQualityReport() {
+    const blocking = getFailedQualityRules('block').length;
+    const warnings = getFailedQualityRules('warn').length;
+    let summary = '<p>Load data to check these rules.</p>';
+    if (qualityCheckedAt) {
+        summary = blocking > 0
+            ? `<p class="status-message error">⛔ ${blocking} blocking rule(s) failed. Loading stops while a blocking rule fails: fix the files, or set those rules to Warn and load again.</p>`
+            : `<p class="status-message ${warnings > 0 ? 'warning' : 'success'}">${warnings > 0 ? `⚠️ ${warnings} rule(s) reported problems.` : '✅ All checked rules passed.'}</p>`;
+    }
     
-    let columnTags = '';
-    columns.forEach(col => {
-        let tagClass = 'column-tag';
-        
-        if (col === CONFIG.targetColumn) {
-            tagClass += ' target-tag';
-        } else if (CONFIG.featureColumns.includes(col)) {
-            tagClass += ' feature-tag';
-        } else if (CONFIG.excludedColumns.includes(col)) {
-            tagClass += ' excluded-tag';
+    const rowsHTML = qualityRules.map((rule, i) => {
+        const result = qualityResults.get(rule);
+        const severityOptions = Object.keys(QUALITY_SEVERITIES)
+            .map(key => `<option value="${key}" ${rule.severity === key ? 'selected' : ''}>${QUALITY_SEVERITIES[key]}</option>`)
+            .join('');
+        let outcome = '<span class="hint">Not checked</span>';
+        let details = '';
+        if (rule.severity === 'off') {
+            outcome = '<span class="hint">Off</span>';
+        } else if (result && result.status === 'not applicable') {
+            outcome = '<span class="hint">Not applicable (no such column)</span>';
+        } else if (result && result.status === 'passed') {
+            outcome = '✅ Passed';
+        } else if (result) {
+            outcome = `${rule.severity === 'block' ? '⛔' : '⚠️'} ${result.count} violation(s)`;
+            const shown = result.violations.slice(0, QUALITY_SHOWN_VIOLATIONS)
+                .map(violation => `<li>${violation.row === null ? '' : `${violation.split} row ${violation.row}: `}${escapeHtml(violation.message)}</li>`)
+                .join('');
+            const more = result.count > QUALITY_SHOWN_VIOLATIONS ? `<li>... and ${result.count - QUALITY_SHOWN_VIOLATIONS} more</li>` : '';
+            details = `<details><summary>Show violations</summary><ul class="quality-violations">${shown}${more}</ul></details>`;
         }
-        
-        columnTags += `<span class="${tagClass}">${col}</span>`;
-    });
+        return `
+            <tr class="${result && result.status === 'failed' && rule.severity !== 'off' ? `quality-${rule.severity}` : ''}">
+                <td>${escapeHtml(describeQualityRule(rule))}${rule.builtin ? '' : ' <span class="hint">(custom)</span>'}</td>
+                <td>${QUALITY_RULE_KINDS[rule.kind].label}</td>
+                <td>${QUALITY_SPLITS[rule.splits]}</td>
+                <td><select data-quality-severity="${i}">${severityOptions}</select></td>
+                <td>${outcome}${details}</td>
+                <td>${rule.builtin ? '' : `<button class="danger-btn small-btn" data-remove-quality-rule="${i}">Remove</button>`}</td>
+            </tr>
+        `;
+    }).join('');
     
-    columnInfo.innerHTML = `
-        <div class="columns-list">
-            ${columnTags}
-        </div>
-        <div style="margin-top: 15px; font-size: 0.9rem;">
-            <span style="background-color: #d4edda; padding: 3px 8px; border-radius: 3px; margin-right: 10px;">Green = Target</span>
-            <span style="background-color: #f0e6ff; padding: 3px 8px; border-radius: 3px; margin-right: 10px;">Purple = Feature</span>
-            <span style="background-color: #f8d7da; padding: 3px 8px; border-radius: 3px;">Red = Excluded</span>
+    qualityResultsContainer.innerHTML = `
+        ${summary}
+        <div class="data-preview">
+            <table>
+                <thead><tr><th>Rule</th><th>Kind</th><th>Rows</th><th>Severity</th><th>Result</th><th></th></tr></thead>
+                <tbody>${rowsHTML}</tbody>
+            </table>
         </div>
     `;
 }
 
-// Display a preview of the data in table format
-function displayDataPreview() {
-    if (mergedData.length === 0) return;
+// Rules, results and violations for the statistics export
+function getQualitySummary() {
+    if (!qualityCheckedAt) return null;
+    return summarizeQualityResults(qualityRules, qualityResults, qualityCheckedAt);
+}
+
+// ---------------------------------------------------------------------------
+// Input formats and sources
+// Every split can come from a picked or dropped file or from a URL, and can be delimited
+// text (CSV, TSV, ...), a JSON array, newline-delimited JSON or an Excel workbook, optionally
+// gzip-compressed. All of them are turned into row objects and go through finishDataLoad.
+// ---------------------------------------------------------------------------
+
+// Formats recognised from the file extension (after removing .gz); anything else is delimited text
+const INPUT_EXTENSIONS = {
+    csv: 'csv',
+    tsv: 'csv',
+    tab: 'csv',
+    txt: 'csv',
+    json: 'json',
+    ndjson: 'ndjson',
+    jsonl: 'ndjson',
+    xlsx: 'xlsx'
+};
+
+// Delimiters offered in the loading panel ('' lets Papa Parse detect it)
+const INPUT_DELIMITERS = {
+    auto: '',
+    comma: ',',
+    tab: '\t',
+    semicolon: ';',
+    pipe: '|'
+};
+
+// The file picked in an input, or else the URL typed next to it (null when neither is set)
+function getInputSource(fileInput, urlInput) {
+    const file = fileInput.files[0];
+    if (file) return { name: file.name, file };
     
-    const previewRows = mergedData.slice(0, 10);
-    const columns = Object.keys(mergedData[0]);
+    const url = urlInput.value.trim();
+    if (!url) return null;
+    const path = url.split(/[?#]/)[0];
+    return { name: decodeURIComponent(path.split('/').filter(Boolean).pop() || url), url };
+}
+
+// Format, compression and delimiter of a source, from its name and the panel settings
+function detectInputFormat(name) {
+    const lower = name.toLowerCase();
+    const compressed = lower.endsWith('.gz');
+    const extension = lower.replace(/\.gz$/, '').split('.').pop();
+    const delimiter = INPUT_DELIMITERS[loadDelimiterSelect.value];
+    return {
+        format: loadFormatSelect.value !== 'auto' ? loadFormatSelect.value : INPUT_EXTENSIONS[extension] || 'csv',
+        compressed,
+        delimiter: delimiter === '' && ['tsv', 'tab'].includes(extension) ? '\t' : delimiter
+    };
+}
+
+// Put a dropped file into a file input, as if it had been picked
+function setInputFile(input, file) {
+    const transfer = new DataTransfer();
+    transfer.items.add(file);
+    input.files = transfer.files;
+}
+
+// Put dropped files into the matching inputs: a project file is opened right away, two files
+// are told apart by "test" in the name, and a single file fills the first empty input
+function handleFileDrop(event) {
+    event.preventDefault();
+    dropZone.classList.remove('drag-over');
+    const files = [...event.dataTransfer.files];
+    if (files.length === 0) return;
     
-    // Build table header
-    let tableHTML = '<thead><tr>';
-    columns.forEach(col => {
-        if (['PassengerId', 'Survived', 'Pclass', 'Name', 'Sex', 'Age', 'source'].includes(col)) {
-            tableHTML += `<th>${col}</th>`;
+    const project = files.find(file => /\.eda\.json$/i.test(file.name));
+    if (project) {
+        setInputFile(projectFileInput, project);
+        importProject();
+        return;
+    }
+    if (loadModeSelect.value === 'combined') {
+        setInputFile(combinedFileInput, files[0]);
+    } else if (files.length >= 2) {
+        const testFile = files.find(file => /test/i.test(file.name)) || files[1];
+        setInputFile(testFileInput, testFile);
+        setInputFile(trainFileInput, files.find(file => file !== testFile));
+    } else {
+        const useTest = /test/i.test(files[0].name) || trainFileInput.files.length > 0;
+        setInputFile(useTest ? testFileInput : trainFileInput, files[0]);
+    }
+    showStatus(`Added ${escapeHtml(files.map(file => file.name).join(', '))}. Click "Load & Merge Data" to read the data.`, 'success');
+}
+
+// Show the inputs of the chosen loading mode
+function updateLoadMode() {
+    document.querySelectorAll('[data-load-mode]').forEach(element => {
+        element.style.display = element.dataset.loadMode === loadModeSelect.value ? '' : 'none';
+    });
+}
+
+// Fetch the raw bytes of a source (a URL is downloaded, a file is used as it is)
+function fetchInputBlob(source, onBlob, onError) {
+    if (source.file) {
+        onBlob(source.file);
+        return;
+    }
+    const controller = new AbortController();
+    activeTask = { cancel: () => controller.abort() };
+    fetch(source.url, { signal: controller.signal })
+        .then(response => {
+            if (!response.ok) throw new Error(`the server answered ${response.status} ${response.statusText}`);
+            return response.blob();
+        })
+        .then(blob => {
+            activeTask = null;
+            onBlob(blob);
+        })
+        .catch(error => {
+            // A cancelled download has already been reported by cancelActiveTask
+            if (error.name !== 'AbortError') onError(error);
+        });
+}
+
+// Decompress a gzip blob with the browser's DecompressionStream
+function decompressBlob(blob, onBlob, onError) {
+    if (typeof DecompressionStream === 'undefined') {
+        onError(new Error('this browser cannot decompress gzip files'));
+        return;
+    }
+    new Response(blob.stream().pipeThrough(new DecompressionStream('gzip'))).blob()
+        .then(onBlob)
+        .catch(onError);
+}
+
+// Read a blob as text or as an ArrayBuffer
+function readBlob(blob, asText, onLoad, onError) {
+    const reader = new FileReader();
+    reader.onload = () => onLoad(reader.result);
+    reader.onerror = () => onError(reader.error);
+    if (asText) {
+        reader.readAsText(blob);
+    } else {
+        reader.readAsArrayBuffer(blob);
+    }
+}
+
+// Turn parsed JSON or spreadsheet records into flat row objects
+// Nested objects and arrays are kept as JSON text
+function normalizeRecords(records) {
+    return records.map((record, i) => {
+        if (record === null || typeof record !== 'object' || Array.isArray(record)) {
+            throw new Error(`record ${i + 1} is not an object`);
         }
+        const row = {};
+        Object.keys(record).forEach(key => {
+            const value = record[key];
+            row[key] = value !== null && typeof value === 'object' ? JSON.stringify(value) : value;
+        });
+        return row;
     });
-    tableHTML += '</tr></thead><tbody>';
-    
-    // Build table rows
-    previewRows.forEach((row, index) => {
-        tableHTML += '<tr>';
-        tableHTML += `<td>${index + 1}</td>`;
-        tableHTML += `<td>${row.PassengerId || ''}</td>`;
-        tableHTML += `<td>${row.Survived !== null && row.Survived !== undefined ? row.Survived : 'N/A (test)'}</td>`;
-        tableHTML += `<td>${row.Pclass || ''}</td>`;
-        tableHTML += `<td>${row.Name ? row.Name.substring(0, 20) + (row.Name.length > 20 ? '...' : '') : ''}</td>`;
-        tableHTML += `<td>${row.Sex || ''}</td>`;
-        tableHTML += `<td>${row.Age || 'N/A'}</td>`;
-        tableHTML += `<td>${row.source || ''}</td>`;
-        tableHTML += '</tr>';
+}
+
+// Parse a JSON array of records
+function parseJsonRecords(text) {
+    const data = JSON.parse(text);
+    if (!Array.isArray(data)) throw new Error('expected a JSON array of records');
+    return normalizeRecords(data);
+}
+
+// Parse newline-delimited JSON (one record per line, blank lines skipped)
+function parseNdjsonRecords(text) {
+    const records = [];
+    text.split(/\r?\n/).forEach((line, i) => {
+        if (!line.trim()) return;
+        try {
+            records.push(JSON.parse(line));
+        } catch (error) {
+            throw new Error(`line ${i + 1}: ${error.message}`);
+        }
     });
-    
-    tableHTML += '</tbody>';
-    dataPreviewTable.innerHTML = tableHTML;
+    return normalizeRecords(records);
 }
 
-// Analyze and visualize missing values
-function analyzeMissingValues() {
-    if (mergedData.length === 0) return;
+// SheetJS build used for Excel workbooks, loaded only when a workbook is read
+const WORKBOOK_READER_URL = 'https://cdn.sheetjs.com/xlsx-0.20.3/package/dist/xlsx.full.min.js';
+
+// The script element while SheetJS is loading or loaded
+let workbookReaderScript = null;
+
+// Load SheetJS on first use; a failed load is retried on the next workbook
+function loadWorkbookReader(onReady, onError) {
+    if (typeof XLSX !== 'undefined') {
+        onReady();
+        return;
+    }
+    if (!workbookReaderScript) {
+        workbookReaderScript = document.createElement('script');
+        workbookReaderScript.src = WORKBOOK_READER_URL;
+        document.head.appendChild(workbookReaderScript);
+    }
+    const script = workbookReaderScript;
+    script.addEventListener('load', () => onReady(), { once: true });
+    script.addEventListener('error', () => {
+        script.remove();
+        if (workbookReaderScript === script) workbookReaderScript = null;
+        onError(new Error('the Excel reader (SheetJS) could not be loaded'));
+    }, { once: true });
+}
+
+// Parse the first sheet of an Excel workbook (SheetJS must be loaded, see loadWorkbookReader)
+function parseWorkbookRecords(buffer) {
+    const workbook = XLSX.read(new Uint8Array(buffer), { type: 'array' });
+    const sheet = workbook.Sheets[workbook.SheetNames[0]];
+    return normalizeRecords(XLSX.utils.sheet_to_json(sheet, { defval: null }));
+}
+
+// Read any supported source into row objects
+// Errors are reported in the status bar; onRows is only called on success
+function readInputSource(source, onRows) {
+    const { format, compressed, delimiter } = detectInputFormat(source.name);
+    const fail = error => {
+        activeTask = null;
+        hideProgress();
+        showStatus(`Error reading ${escapeHtml(source.name)}: ${escapeHtml(error.message)}`, 'error');
+    };
     
-    const columns = Object.keys(mergedData[0]);
-    const missingData = [];
+    const parse = blob => {
+        if (format === 'csv') {
+            parseCsvFile(blob, source.name, delimiter, (rows, errors) => {
+                if (errors.length > 0) {
+                    fail(new Error(errors[0].message));
+                    return;
+                }
+                onRows(rows);
+            });
+            return;
+        }
+        if (format === 'xlsx') {
+            loadWorkbookReader(() => {
+                readBlob(blob, false, content => {
+                    let rows;
+                    try {
+                        rows = parseWorkbookRecords(content);
+                    } catch (error) {
+                        fail(error);
+                        return;
+                    }
+                    onRows(rows);
+                }, fail);
+            }, fail);
+            return;
+        }
+        readBlob(blob, true, content => {
+            let rows;
+            try {
+                rows = format === 'ndjson' ? parseNdjsonRecords(content) : parseJsonRecords(content);
+            } catch (error) {
+                fail(error);
+                return;
+            }
+            onRows(rows);
+        }, fail);
+    };
     
-    // Calculate missing values for each column
-    columns.forEach(col => {
-        const missingCount = mergedData.filter(row => {
-            const value = row[col];
-            return value === null || value === undefined || value === '' || (typeof value === 'number' && isNaN(value));
-        }).length;
-        
-        const missingPercent = (missingCount / mergedData.length) * 100;
-        
-        missingData.push({
-            column: col,
-            missingCount,
-            missingPercent
+    showProgress(`Reading ${source.name}...`, null);
+    fetchInputBlob(source, blob => {
+        if (compressed) {
+            decompressBlob(blob, parse, fail);
+        } else {
+            parse(blob);
+        }
+    }, fail);
+}
+
+// ---------------------------------------------------------------------------
+// Columnar data store
+// The merged rows are converted once (after loading and whenever derived features change)
+// into typed columns: a Float64Array for numeric columns, dictionary codes for all others
+// and a validity bitmap per column, so "missing" means the same thing everywhere (isMissing).
+// Statistics, charts and exports read it through queries: select, filter, groupBy, aggregate.
+// ---------------------------------------------------------------------------
+
+// Store of mergedData, rebuilt by applyDerivedFeatures
+let dataStore = null;
+
+// Operations understood by query.aggregate
+const AGGREGATE_OPERATIONS = ['count', 'missing', 'sum', 'mean', 'min', 'max'];
+
+// Build the typed columns of a list of row objects
+function createColumnStore(rows) {
+    const names = [];
+    const seen = new Set();
+    rows.forEach(row => {
+        Object.keys(row).forEach(name => {
+            if (!seen.has(name)) {
+                seen.add(name);
+                names.push(name);
+            }
         });
     });
     
-    // Sort by missing percentage (descending)
-    missingData.sort((a, b) => b.missingPercent - a.missingPercent);
+    const columns = {};
+    names.forEach(name => {
+        const numeric = rows.every(row => isMissing(row[name]) || typeof row[name] === 'number');
+        const column = { kind: numeric ? 'numeric' : 'categorical', valid: new Uint8Array(Math.ceil(rows.length / 8)) };
+        const codes = new Map();
+        if (numeric) {
+            column.values = new Float64Array(rows.length);
+        } else {
+            column.codes = new Uint32Array(rows.length);
+            column.dictionary = [];
+        }
+        
+        rows.forEach((row, i) => {
+            const value = row[name];
+            if (isMissing(value)) {
+                if (numeric) column.values[i] = NaN;
+                return;
+            }
+            column.valid[i >> 3] |= 1 << (i & 7);
+            if (numeric) {
+                column.values[i] = value;
+                return;
+            }
+            // Dictionary entries keep the original value (and its type) for exports
+            let code = codes.get(value);
+            if (code === undefined) {
+                code = column.dictionary.length;
+                codes.set(value, code);
+                column.dictionary.push(value);
+            }
+            column.codes[i] = code;
+        });
+        columns[name] = column;
+    });
     
-    // Destroy existing chart if it exists
-    if (charts.missingValues) {
-        charts.missingValues.destroy();
-    }
+    const store = {
+        rowCount: rows.length,
+        columnNames: names,
+        // Column kind ('numeric' or 'categorical'), or null when the column does not exist
+        kind: name => columns[name] ? columns[name].kind : null,
+        isValid: (name, row) => Boolean(columns[name] && columns[name].valid[row >> 3] & (1 << (row & 7))),
+        // Value of one cell, null when missing
+        value: (name, row) => {
+            if (!store.isValid(name, row)) return null;
+            const column = columns[name];
+            return column.kind === 'numeric' ? column.values[row] : column.dictionary[column.codes[row]];
+        },
+        query: () => createStoreQuery(store, Uint32Array.from({ length: rows.length }, (_, i) => i), null)
+    };
+    return store;
+}
+
+// A read-only view of some rows of a store
+// caps optionally clamps numeric cells of some rows: { bounds: { column: { low, high } }, rows: Set }
+function createStoreQuery(store, indices, caps) {
+    // Value of a column in a store row, with the caps applied
+    const read = (name, row) => {
+        const value = store.value(name, row);
+        const bounds = caps && value !== null && caps.rows.has(row) ? caps.bounds[name] : null;
+        return bounds && store.kind(name) === 'numeric' ? Math.min(Math.max(value, bounds.low), bounds.high) : value;
+    };
     
-    // Create bar chart for missing values
-    const ctx = document.getElementById('missing-values-chart').getContext('2d');
-    charts.missingValues = new Chart(ctx, {
-        type: 'bar',
-        data: {
-            labels: missingData.map(item => item.column),
-            datasets: [{
-                label: 'Missing Values (%)',
-                data: missingData.map(item => item.missingPercent),
-                backgroundColor: missingData.map(item => 
-                    item.missingPercent > 50 ? 'rgba(231, 76, 60, 0.7)' :
-                    item.missingPercent > 20 ? 'rgba(241, 196, 15, 0.7)' :
-                    'rgba(52, 152, 219, 0.7)'
-                ),
-                borderColor: missingData.map(item => 
-                    item.missingPercent > 50 ? 'rgba(231, 76, 60, 1)' :
-                    item.missingPercent > 20 ? 'rgba(241, 196, 15, 1)' :
-                    'rgba(52, 152, 219, 1)'
-                ),
-                borderWidth: 1
-            }]
+    const query = {
+        size: indices.length,
+        indices,
+        
+        // Values of one column in query order: a Float64Array (NaN = missing) for numeric
+        // columns, an array (null = missing) for the others
+        column: name => {
+            if (store.kind(name) === 'numeric') {
+                return Float64Array.from(indices, row => {
+                    const value = read(name, row);
+                    return value === null ? NaN : value;
+                });
+            }
+            return Array.from(indices, row => read(name, row));
         },
-        options: {
+        
+        // The non-missing values of one column
+        values: name => {
+            const values = [];
+            indices.forEach(row => {
+                const value = read(name, row);
+                if (value !== null) values.push(value);
+            });
+            return values;
+        },
+        
+        // Keep the rows for which predicate(get, row) is true; get(name) reads a cell
+        filter: predicate => {
+            const kept = [];
+            indices.forEach(row => {
+                if (predicate(name => read(name, row), row)) kept.push(row);
+            });
+            return createStoreQuery(store, Uint32Array.from(kept), caps);
+        },
+        
+        // Clamp the numeric columns in bounds to [low, high] for the given store rows
+        clamp: (bounds, rows) => createStoreQuery(store, indices, { bounds, rows }),
+        
+        // Row objects with the selected columns (all by default)
+        select: (names = store.columnNames) => Array.from(indices, row => {
+            const record = {};
+            names.forEach(name => {
+                record[name] = read(name, row);
+            });
+            return record;
+        }),
+        
+        // One sub-query per distinct non-missing value, in order of first appearance
+        groupBy: name => {
+            const groups = new Map();
+            indices.forEach(row => {
+                const key = read(name, row);
+                if (key === null) return;
+                if (!groups.has(key)) groups.set(key, []);
+                groups.get(key).push(row);
+            });
+            return [...groups].map(([key, rows]) => ({ key, query: createStoreQuery(store, Uint32Array.from(rows), caps) }));
+        },
+        
+        // Compute named results, e.g. { survived: { op: 'count', column: 'Survived', where: v => v === 1 } }
+        // count and missing work on any column; sum, mean, min and max need a numeric one
+        aggregate: spec => {
+            const result = {};
+            Object.keys(spec).forEach(key => {
+                const { op, column, where } = spec[key];
+                if (!AGGREGATE_OPERATIONS.includes(op)) throw new Error(`Unknown aggregate operation "${op}"`);
+                if (!['count', 'missing'].includes(op) && store.kind(column) !== 'numeric') {
+                    throw new Error(`Column "${column}" is not numeric`);
+                }
+                let count = 0;
+                let missing = 0;
+                let sum = 0;
+                let min = Infinity;
+                let max = -Infinity;
+                indices.forEach(row => {
+                    const value = read(column, row);
+                    if (value === null) {
+                        missing++;
+                        return;
+                    }
+                    if (where && !where(value)) return;
+                    count++;
+                    if (op === 'count') return;
+                    sum += value;
+                    if (value < min) min = value;
+                    if (value > max) max = value;
+                });
+                result[key] = {
+                    count,
+                    missing,
+                    sum,
+                    mean: count > 0 ? sum / count : null,
+                    min: count > 0 ? min : null,
+                    max: count > 0 ? max : null
+                }[op];
+            });
+            return result;
+        }
+    };
+    return query;
+}
+
+// Labelled train rows of the store with the outlier decisions applied (see applyOutlierDecisions)
+function getLabelledTrainQuery() {
+    const target = schema.targetColumn;
+    return applyOutlierQuery(dataStore.query().filter(get => get('source') === 'train' && get(target) !== null));
+}
+
+// Drop the excluded rows of a store query and clamp the capped ones to the outlier fences
+function applyOutlierQuery(query) {
+    if (!outlierReport || Object.keys(outlierDecisions).length === 0) return query;
+    const excluded = new Set();
+    const capped = new Set();
+    Object.keys(outlierDecisions).forEach(index => {
+        (outlierDecisions[index] === 'exclude' ? excluded : capped).add(Number(index));
+    });
+    return query.filter((get, row) => !excluded.has(row)).clamp(outlierReport.columns, capped);
+}
+
+// Keep the query rows that match the active filters, like applyFilters does for row objects
+function applyQueryFilters(query, ignoreOrigin) {
+    const filters = activeFilters.filter(filter => !ignoreOrigin || filter.origin !== ignoreOrigin);
+    if (filters.length === 0) return query;
+    return filterCombinator === 'AND'
+        ? query.filter(get => filters.every(filter => matchesFilterValue(get(filter.column), filter)))
+        : query.filter(get => filters.some(filter => matchesFilterValue(get(filter.column), filter)));
+}
+
+// ---------------------------------------------------------------------------
+// Background parsing and aggregation
+// CSV files are streamed through Papa Parse's own worker, and the per-column statistics
+// are computed in a dedicated worker in a single pass over columnar arrays, so large files
+// do not freeze the page. A progress bar with a cancel button is shown while either runs.
+// ---------------------------------------------------------------------------
+
+// Rows the statistics worker processes between two progress messages
+const STATS_PROGRESS_INTERVAL = 50000;
+
+// The running task (a CSV parse or a statistics job); cancel() stops it
+let activeTask = null;
+
+// Show the floating progress bar (fraction null = indeterminate)
+function showProgress(label, fraction) {
+    progressPanel.style.display = 'flex';
+    progressLabel.textContent = label;
+    if (fraction === null) {
+        progressBar.removeAttribute('value');
+    } else {
+        progressBar.value = Math.round(fraction * 100);
+    }
+}
+
+function hideProgress() {
+    progressPanel.style.display = 'none';
+}
+
+function cancelActiveTask() {
+    if (!activeTask && !projectionTask) return;
+    if (activeTask) activeTask.cancel();
+    activeTask = null;
+    cancelProjectionJob();
+    hideProgress();
+    showStatus('Operation cancelled', 'warning');
+}
+
+// Stream a delimited text file through Papa Parse's worker, collecting the rows chunk by chunk
+// delimiter '' lets Papa Parse detect it; onComplete receives the rows and any parse errors
+function parseCsvFile(file, name, delimiter, onComplete) {
+    const rows = [];
+    const errors = [];
+    let parserHandle = null;
+    let cancelled = false;
+    activeTask = {
+        cancel: () => {
+            cancelled = true;
+            if (parserHandle) parserHandle.abort();
+        }
+    };
+    showProgress(`Parsing ${name}...`, 0);
+    
+    Papa.parse(file, {
+        header: true,
+        dynamicTyping: true,
+        skipEmptyLines: true,
+        quotes: true,
+        delimiter,
+        worker: true,
+        chunk: function(results, parser) {
+            parserHandle = parser;
+            if (cancelled) {
+                parser.abort();
+                return;
+            }
+            results.data.forEach(row => rows.push(row));
+            results.errors.forEach(error => errors.push(error));
+            showProgress(`Parsing ${name}: ${rows.length.toLocaleString()} rows`, file.size > 0 ? results.meta.cursor / file.size : null);
+        },
+        complete: function() {
+            if (cancelled) return;
+            activeTask = null;
+            onComplete(rows, errors);
+        },
+        error: function(error) {
+            activeTask = null;
+            hideProgress();
+            showStatus(`Error reading ${escapeHtml(name)}: ${escapeHtml(error.message)}`, 'error');
+        }
+    });
+}
+
+// Entry point of the statistics worker: aggregate each posted dataset and report progress
+function statsWorkerMain() {
+    self.onmessage = event => {
+        const { datasets, progressInterval } = event.data;
+        const keys = Object.keys(datasets);
+        const total = keys.reduce((sum, key) => sum + datasets[key].rowCount, 0) || 1;
+        let done = 0;
+        const results = {};
+        keys.forEach(key => {
+            results[key] = aggregateDataset(datasets[key], processed => {
+                self.postMessage({ type: 'progress', fraction: (done + processed) / total });
+            }, progressInterval);
+            done += datasets[key].rowCount;
+        });
+        self.postMessage({ type: 'result', results });
+    };
+}
+
+// Run a statistics job in a worker built from the functions above; falls back to the main
+// thread when workers cannot be created. A newer job replaces one that is still running
+// buildDatasets is called again for the fallback, since the posted arrays are transferred
+function runStatsJob(buildDatasets, onResult) {
+    if (activeTask) activeTask.cancel();
+    activeTask = null;
+    
+    const runOnMainThread = () => {
+        const datasets = buildDatasets();
+        const results = {};
+        Object.keys(datasets).forEach(key => {
+            results[key] = aggregateDataset(datasets[key]);
+        });
+        onResult(results);
+    };
+    
+    let worker;
+    let url;
+    try {
+        const source = `${describeNumericValues.toString()}\n${aggregateDataset.toString()}\n(${statsWorkerMain.toString()})();`;
+        url = URL.createObjectURL(new Blob([source], { type: 'text/javascript' }));
+        worker = new Worker(url);
+    } catch (error) {
+        runOnMainThread();
+        return;
+    }
+    
+    const finish = () => {
+        worker.terminate();
+        URL.revokeObjectURL(url);
+        activeTask = null;
+        hideProgress();
+    };
+    activeTask = { cancel: finish };
+    showProgress('Computing statistics...', 0);
+    
+    worker.onmessage = event => {
+        if (event.data.type === 'progress') {
+            showProgress('Computing statistics...', event.data.fraction);
+            return;
+        }
+        finish();
+        onResult(event.data.results);
+    };
+    worker.onerror = event => {
+        // Blocked workers (e.g. strict content security policies) fall back to the main thread
+        event.preventDefault();
+        finish();
+        runOnMainThread();
+    };
+    
+    // Hand the typed arrays over instead of copying them
+    const datasets = buildDatasets();
+    const transfers = [];
+    Object.values(datasets).forEach(dataset => {
+        transfers.push(dataset.positive.buffer);
+        ['numeric', 'missing'].forEach(kind => {
+            Object.values(dataset[kind]).forEach(values => transfers.push(values.buffer));
+        });
+    });
+    worker.postMessage({ datasets, progressInterval: STATS_PROGRESS_INTERVAL }, transfers);
+}
+
+// Aggregate the filtered rows in the statistics worker, then render the missing-value chart,
+// the summary cards and the analyses that build on them
+function runStatistics(onDone) {
+    const buildDatasets = () => {
+        const datasets = {
+            missing: buildStatsDataset(applyQueryFilters(dataStore.query()), schema, { missing: dataStore.columnNames }),
+            summary: buildStatsDataset(applyQueryFilters(getLabelledTrainQuery()), schema, { categorical: schema.categoricalColumns })
+        };
+        ['train', 'test'].forEach(split => {
+            const query = applyOutlierQuery(dataStore.query().filter(get => get('source') === split));
+            datasets[split] = buildStatsDataset(applyQueryFilters(query), schema, { numeric: schema.numericColumns });
+        });
+        datasets.merged = buildStatsDataset(applyQueryFilters(applyOutlierQuery(dataStore.query())), schema, { numeric: schema.numericColumns });
+        return datasets;
+    };
+    runStatsJob(buildDatasets, results => {
+        analyzeMissingValues(results.missing);
+        generateStatisticalSummaries(results);
+        runGroupedComparisons();
+        analyzeGenderImpact();
+        runHypothesisTests();
+        if (onDone) onDone();
+    });
+}
+
+// Escape a value before inserting it into HTML
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Trigger a browser download for generated file content
+function downloadFile(content, filename, type) {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.setAttribute('download', filename);
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+}
+
+// Get every column found in either split, in file order (train columns first)
+function getDatasetColumns() {
+    return listColumns(trainData, testData);
+}
+
+// Get the confirmed schema, or the current proposal while the user has not confirmed yet
+function getActiveSchema() {
+    if (schema) return schema;
+    return schemaDraft ? buildSchema(schemaDraft) : null;
+}
+
+// Check whether a row belongs to the positive class of the target
+function isPositive(row) {
+    return isPositiveValue(row[schema.targetColumn]);
+}
+
+// Check whether a target value is the positive class
+function isPositiveValue(value) {
+    return isPositiveClass(schema, value);
+}
+
+// Check whether a row has a known target value
+function hasTarget(row) {
+    return hasTargetValue(schema, row);
+}
+
+// Human-readable labels for the positive and negative class
+function getOutcomeLabels() {
+    const positive = String(schema.positiveClass) === '1'
+        ? schema.targetColumn
+        : `${schema.targetColumn} = ${schema.positiveClass}`;
+    return { positive, negative: `Not ${positive}` };
+}
+
+// Render the editable schema panel from the current draft
+function renderSchemaPanel() {
+    if (!schemaDraft) return;
+    
+    const optionsHTML = (options, selected) => options
+        .map(option => `<option value="${escapeHtml(option)}"${String(option) === String(selected) ? ' selected' : ''}>${escapeHtml(option)}</option>`)
+        .join('');
+    
+    let rowsHTML = '';
+    schemaDraft.columns.forEach((col, index) => {
+        const changed = col.type !== col.detectedType ? ' <em>(detected: ' + col.detectedType + ')</em>' : '';
+        rowsHTML += `
+            <tr>
+                <td><strong>${escapeHtml(col.name)}</strong>${col.derived ? ' <em>(derived)</em>' : ''}</td>
+                <td><select data-index="${index}" data-field="type">${optionsHTML(COLUMN_TYPES, col.type)}</select>${changed}</td>
+                <td><select data-index="${index}" data-field="role">${optionsHTML(COLUMN_ROLES, col.role)}</select></td>
+                <td>${col.uniqueCount}</td>
+                <td>${col.missingCount}</td>
+                <td>${col.samples.map(escapeHtml).join(', ')}</td>
+            </tr>
+        `;
+    });
+    
+    // Settings that depend on the chosen target and categorical features
+    const target = schemaDraft.columns.find(col => col.role === 'target');
+    const targetValues = target
+        ? [...new Set(trainData.map(row => row[target.name]).filter(value => !isMissing(value)))].sort()
+        : [];
+    const categorical = schemaDraft.columns
+        .filter(col => col.role === 'feature' && col.type === 'categorical')
+        .map(col => col.name);
+    
+    schemaPanel.innerHTML = `
+        <table class="schema-table">
+            <thead>
+                <tr><th>Column</th><th>Type</th><th>Role</th><th>Unique</th><th>Missing</th><th>Sample Values</th></tr>
+            </thead>
+            <tbody>${rowsHTML}</tbody>
+        </table>
+        <div class="schema-settings">
+            <label>Positive class of target
+                <select data-field="positiveClass">${optionsHTML(targetValues, schemaDraft.positiveClass)}</select>
+            </label>
+            <label>Key insight: compare
+                <select data-field="highlightColumn">${optionsHTML(categorical, schemaDraft.highlightColumn)}</select>
+            </label>
+            <label>within each level of
+                <select data-field="stratifyColumn">${optionsHTML(categorical, schemaDraft.stratifyColumn)}</select>
+            </label>
+        </div>
+    `;
+}
+
+// Apply an edit made in the schema panel to the draft
+function handleSchemaPanelChange(event) {
+    const select = event.target;
+    const field = select.dataset.field;
+    if (!schemaDraft || !field) return;
+    
+    if (select.dataset.index !== undefined) {
+        const col = schemaDraft.columns[Number(select.dataset.index)];
+        
+        // Only one column can be the target: demote the previous one to a feature
+        if (field === 'role' && select.value === 'target') {
+            schemaDraft.columns.forEach(other => {
+                if (other.role === 'target') other.role = 'feature';
+            });
+            schemaDraft.positiveClass = inferPositiveClass(trainData.map(row => row[col.name]));
+        }
+        col[field] = select.value;
+        
+        // Keep the insight columns pointing at categorical features
+        const categorical = schemaDraft.columns.filter(c => c.role === 'feature' && c.type === 'categorical').map(c => c.name);
+        if (!categorical.includes(schemaDraft.highlightColumn) || !categorical.includes(schemaDraft.stratifyColumn)) {
+            suggestInsightColumns(schemaDraft);
+        }
+    } else if (field === 'positiveClass') {
+        // Option values are strings; keep the original typed value from the data
+        const target = schemaDraft.columns.find(c => c.role === 'target');
+        schemaDraft.positiveClass = trainData.map(row => row[target.name]).find(value => String(value) === select.value);
+    } else {
+        schemaDraft[field] = select.value;
+    }
+    
+    // Any edit invalidates a previously confirmed schema
+    schema = null;
+    clearImputationResults();
+    clearTrainedModels();
+    clearPivot();
+    clearGroupedComparisons();
+    clearProjection();
+    clearRanking();
+    clearOutliers();
+    renderSchemaPanel();
+    updateUIState();
+}
+
+// Validate the draft and make it the schema used by the analysis
+function confirmSchema() {
+    if (!schemaDraft) {
+        showStatus('Please load data first', 'error');
+        return;
+    }
+    
+    const candidate = buildSchema(schemaDraft);
+    if (!candidate.targetColumn) {
+        showStatus('Please choose a target column before confirming the schema', 'error');
+        return;
+    }
+    if (isMissing(candidate.positiveClass)) {
+        showStatus('The target column has no values in the training data', 'error');
+        return;
+    }
+    if (candidate.featureColumns.length === 0) {
+        showStatus('Please mark at least one column as a feature', 'error');
+        return;
+    }
+    
+    schema = candidate;
+    clearImputationResults();
+    clearTrainedModels();
+    clearPivot();
+    clearGroupedComparisons();
+    clearProjection();
+    clearRanking();
+    clearOutliers();
+    displayDatasetOverview();
+    displayColumnInfo();
+    renderDataGrid();
+    updateUIState();
+    showStatus(`Schema confirmed: target "${schema.targetColumn}", ${schema.featureColumns.length} features. You can now run the EDA.`, 'success');
+}
+
+// ---------------------------------------------------------------------------
+// Feature engineering workbench
+// Derived columns are computed on mergedData, so train and test rows always get
+// the same definitions, and then flow into the schema, statistics, charts and exports.
+// ---------------------------------------------------------------------------
+
+// Built-in extractors for Titanic-style text columns
+// Each one receives all merged rows plus the source column and returns one value per row
+const FEATURE_EXTRACTORS = {
+    title: {
+        label: 'Title from name (Mr, Mrs, Miss, Master, Rare)',
+        defaultName: 'Title',
+        sourcePattern: /name/i,
+        compute: (rows, source) => {
+            const aliases = { Mlle: 'Miss', Ms: 'Miss', Mme: 'Mrs' };
+            const titles = rows.map(row => {
+                const match = isMissing(row[source]) ? null : String(row[source]).match(/,\s*([^.]+)\./);
+                if (!match) return null;
+                const title = match[1].trim();
+                return aliases[title] || title;
+            });
+            // Group titles that are too rare to analyze on their own
+            const counts = {};
+            titles.forEach(title => {
+                if (title !== null) counts[title] = (counts[title] || 0) + 1;
+            });
+            return titles.map(title => title !== null && counts[title] < 10 ? 'Rare' : title);
+        }
+    },
+    deck: {
+        label: 'Deck letter from cabin',
+        defaultName: 'Deck',
+        sourcePattern: /cabin/i,
+        compute: (rows, source) => rows.map(row => {
+            if (isMissing(row[source])) return null;
+            const match = String(row[source]).match(/[A-Za-z]/);
+            return match ? match[0].toUpperCase() : null;
+        })
+    },
+    ticketGroupSize: {
+        label: 'Ticket group size (passengers sharing a ticket)',
+        defaultName: 'TicketGroupSize',
+        sourcePattern: /ticket/i,
+        compute: (rows, source) => {
+            const counts = {};
+            rows.forEach(row => {
+                if (!isMissing(row[source])) {
+                    const key = String(row[source]);
+                    counts[key] = (counts[key] || 0) + 1;
+                }
+            });
+            return rows.map(row => isMissing(row[source]) ? null : counts[String(row[source])]);
+        }
+    }
+};
+
+// Ready-made expressions that can be loaded into the custom expression form
+const EXPRESSION_PRESETS = [
+    { name: 'FamilySize', expression: 'SibSp + Parch + 1' },
+    { name: 'IsAlone', expression: 'if(SibSp + Parch == 0, 1, 0)' },
+    { name: 'FarePerPerson', expression: 'round(Fare / (SibSp + Parch + 1), 2)' },
+    { name: 'IsChild', expression: 'if(isnull(Age), null, Age < 16)' }
+];
+
+// Functions available inside expressions: name -> [minArgs, maxArgs, implementation]
+// Missing arguments propagate as null except for the functions that handle missing values explicitly
+const EXPRESSION_FUNCTIONS = {
+    abs: [1, 1, x => Math.abs(x)],
+    round: [1, 2, (x, digits = 0) => Math.round(x * Math.pow(10, digits)) / Math.pow(10, digits)],
+    floor: [1, 1, x => Math.floor(x)],
+    ceil: [1, 1, x => Math.ceil(x)],
+    sqrt: [1, 1, x => x >= 0 ? Math.sqrt(x) : null],
+    log: [1, 1, x => x > 0 ? Math.log(x) : null],
+    log1p: [1, 1, x => x > -1 ? Math.log1p(x) : null],
+    min: [1, Infinity, (...xs) => Math.min(...xs)],
+    max: [1, Infinity, (...xs) => Math.max(...xs)],
+    len: [1, 1, s => String(s).length],
+    lower: [1, 1, s => String(s).toLowerCase()],
+    upper: [1, 1, s => String(s).toUpperCase()],
+    trim: [1, 1, s => String(s).trim()],
+    contains: [2, 2, (s, part) => String(s).includes(String(part))],
+    startswith: [2, 2, (s, prefix) => String(s).startsWith(String(prefix))],
+    substr: [2, 3, (s, start, length) => String(s).substr(start, length)],
+    split: [3, 3, (s, separator, index) => {
+        const part = String(s).split(String(separator))[index];
+        return part === undefined ? null : part.trim();
+    }],
+    bin: [2, 2, (x, width) => Math.floor(x / width) * width]
+};
+const NULL_AWARE_FUNCTIONS = {
+    isnull: [1, 1, x => isMissing(x)],
+    coalesce: [1, Infinity, (...xs) => {
+        const value = xs.find(x => !isMissing(x));
+        return value === undefined ? null : value;
+    }],
+    if: [3, 3, (condition, whenTrue, whenFalse) => condition ? whenTrue : whenFalse]
+};
+
+// Definitions added in the workbench, in the order they are computed
+// Later definitions may reference columns created by earlier ones
+let derivedFeatures = [];
+// Columns currently written onto the rows by applyDerivedFeatures
+let appliedDerivedColumns = [];
+
+// Split an expression into tokens
+function tokenizeExpression(source) {
+    const tokens = [];
+    let i = 0;
+    while (i < source.length) {
+        const ch = source[i];
+        if (/\s/.test(ch)) {
+            i++;
+        } else if (/[0-9.]/.test(ch)) {
+            const match = source.slice(i).match(/^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/);
+            if (!match) throw new Error(`Invalid number at position ${i + 1}`);
+            tokens.push({ type: 'number', value: parseFloat(match[0]) });
+            i += match[0].length;
+        } else if (ch === '"' || ch === "'") {
+            const end = source.indexOf(ch, i + 1);
+            if (end === -1) throw new Error(`Unterminated string starting at position ${i + 1}`);
+            tokens.push({ type: 'string', value: source.slice(i + 1, end) });
+            i = end + 1;
+        } else if (ch === '[') {
+            // [Column Name] references columns whose names are not plain identifiers
+            const end = source.indexOf(']', i + 1);
+            if (end === -1) throw new Error(`Unterminated column reference at position ${i + 1}`);
+            tokens.push({ type: 'column', value: source.slice(i + 1, end) });
+            i = end + 1;
+        } else if (/[A-Za-z_]/.test(ch)) {
+            const word = source.slice(i).match(/^[A-Za-z_][A-Za-z0-9_]*/)[0];
+            const keyword = word.toLowerCase();
+            if (['and', 'or', 'not'].includes(keyword)) {
+                tokens.push({ type: 'op', value: keyword === 'and' ? '&&' : keyword === 'or' ? '||' : '!' });
+            } else if (['true', 'false', 'null'].includes(keyword)) {
+                tokens.push({ type: 'literal', value: keyword === 'null' ? null : keyword === 'true' });
+            } else {
+                tokens.push({ type: 'identifier', value: word });
+            }
+            i += word.length;
+        } else {
+            const op = ['==', '!=', '<=', '>=', '&&', '||'].find(candidate => source.startsWith(candidate, i)) ||
+                ('+-*/%<>=!(),'.includes(ch) ? ch : null);
+            if (!op) throw new Error(`Unexpected character "${ch}" at position ${i + 1}`);
+            tokens.push({ type: 'op', value: op === '=' ? '==' : op });
+            i += op.length;
+        }
+    }
+    return tokens;
+}
+
+// Parse an expression into a syntax tree (recursive descent, lowest precedence first)
+// Only column references, literals, operators and the whitelisted functions exist in the
+// language, so an expression can never reach browser APIs or run arbitrary code
+function parseExpression(source, availableColumns) {
+    const tokens = tokenizeExpression(source);
+    let pos = 0;
+    
+    const peek = () => tokens[pos];
+    const isOp = (...ops) => peek() && peek().type === 'op' && ops.includes(peek().value);
+    const expectOp = op => {
+        if (!isOp(op)) throw new Error(`Expected "${op}"${peek() ? '' : ' before end of expression'}`);
+        pos++;
+    };
+    const binary = (next, ops) => () => {
+        let node = next();
+        while (isOp(...ops)) {
+            const op = tokens[pos++].value;
+            node = { kind: 'binary', op, left: node, right: next() };
+        }
+        return node;
+    };
+    
+    const primary = () => {
+        const token = tokens[pos++];
+        if (!token) throw new Error('Unexpected end of expression');
+        if (token.type === 'number' || token.type === 'string' || token.type === 'literal') {
+            return { kind: 'literal', value: token.value };
+        }
+        if (token.type === 'column') {
+            if (!availableColumns.includes(token.value)) throw new Error(`Unknown column "${token.value}"`);
+            return { kind: 'column', name: token.value };
+        }
+        if (token.type === 'identifier') {
+            if (isOp('(')) {
+                const name = token.value.toLowerCase();
+                const definition = EXPRESSION_FUNCTIONS[name] || NULL_AWARE_FUNCTIONS[name];
+                if (!definition) throw new Error(`Unknown function "${token.value}"`);
+                pos++;
+                const args = [];
+                if (!isOp(')')) {
+                    args.push(or());
+                    while (isOp(',')) {
+                        pos++;
+                        args.push(or());
+                    }
+                }
+                expectOp(')');
+                if (args.length < definition[0] || args.length > definition[1]) {
+                    throw new Error(`Function "${name}" got ${args.length} argument(s)`);
+                }
+                return { kind: 'call', name, args };
+            }
+            if (!availableColumns.includes(token.value)) throw new Error(`Unknown column "${token.value}"`);
+            return { kind: 'column', name: token.value };
+        }
+        if (token.type === 'op' && token.value === '(') {
+            const node = or();
+            expectOp(')');
+            return node;
+        }
+        throw new Error(`Unexpected "${token.value}"`);
+    };
+    const unary = () => {
+        if (isOp('-', '!')) {
+            const op = tokens[pos++].value;
+            return { kind: 'unary', op, operand: unary() };
+        }
+        return primary();
+    };
+    const multiplicative = binary(unary, ['*', '/', '%']);
+    const additive = binary(multiplicative, ['+', '-']);
+    const comparison = binary(additive, ['==', '!=', '<', '<=', '>', '>=']);
+    const and = binary(comparison, ['&&']);
+    const or = binary(and, ['||']);
+    
+    if (tokens.length === 0) throw new Error('Expression is empty');
+    const tree = or();
+    if (pos < tokens.length) throw new Error(`Unexpected "${tokens[pos].value}" after the end of the expression`);
+    return tree;
+}
+
+// Evaluate a parsed expression against one row
+// Arithmetic and comparisons with a missing operand give null (missing)
+function evaluateExpression(node, row) {
+    switch (node.kind) {
+        case 'literal':
+            return node.value;
+        case 'column':
+            return isMissing(row[node.name]) ? null : row[node.name];
+        case 'unary': {
+            const value = evaluateExpression(node.operand, row);
+            if (node.op === '!') return isMissing(value) ? null : !value;
+            return isMissing(value) ? null : -value;
+        }
+        case 'call': {
+            const args = node.args.map(arg => evaluateExpression(arg, row));
+            if (NULL_AWARE_FUNCTIONS[node.name]) return NULL_AWARE_FUNCTIONS[node.name][2](...args);
+            if (args.some(isMissing)) return null;
+            return EXPRESSION_FUNCTIONS[node.name][2](...args);
+        }
+        case 'binary': {
+            const left = evaluateExpression(node.left, row);
+            if (node.op === '&&' && left === false) return false;
+            if (node.op === '||' && left === true) return true;
+            const right = evaluateExpression(node.right, row);
+            if (isMissing(left) || isMissing(right)) return null;
+            switch (node.op) {
+                case '+': return typeof left === 'string' || typeof right === 'string' ? String(left) + String(right) : left + right;
+                case '-': return left - right;
+                case '*': return left * right;
+                case '/': return right === 0 ? null : left / right;
+                case '%': return right === 0 ? null : left % right;
+                case '==': return left === right || String(left) === String(right);
+                case '!=': return !(left === right || String(left) === String(right));
+                case '<': return left < right;
+                case '<=': return left <= right;
+                case '>': return left > right;
+                case '>=': return left >= right;
+                case '&&': return Boolean(left && right);
+                case '||': return Boolean(left || right);
+            }
+        }
+    }
+    return null;
+}
+
+// Normalize a computed value: booleans become 0/1 and invalid numbers become missing
+function normalizeDerivedValue(value) {
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    if (typeof value === 'number' && !isFinite(value)) return null;
+    return value === undefined ? null : value;
+}
+
+// Compute one derived feature for every merged row
+function computeDerivedFeature(feature, availableColumns) {
+    if (feature.kind === 'builtin') {
+        if (!availableColumns.includes(feature.source)) throw new Error(`Unknown column "${feature.source}"`);
+        return FEATURE_EXTRACTORS[feature.extractor].compute(mergedData, feature.source).map(normalizeDerivedValue);
+    }
+    const tree = parseExpression(feature.expression, availableColumns);
+    return mergedData.map(row => normalizeDerivedValue(evaluateExpression(tree, row)));
+}
+
+// Remove all derived columns and compute the defined features again, in order
+function applyDerivedFeatures() {
+    mergedData.forEach(row => {
+        appliedDerivedColumns.forEach(col => {
+            delete row[col];
+        });
+    });
+    appliedDerivedColumns = [];
+    
+    derivedFeatures.forEach(feature => {
+        try {
+            const values = computeDerivedFeature(feature, getDatasetColumns());
+            mergedData.forEach((row, i) => {
+                row[feature.name] = values[i];
+            });
+            appliedDerivedColumns.push(feature.name);
+            feature.error = null;
+            feature.missingCount = values.filter(isMissing).length;
+            feature.samples = [...new Set(values.filter(value => !isMissing(value)).map(String))].slice(0, 5);
+        } catch (error) {
+            feature.error = error.message;
+        }
+    });
+    dataStore = createColumnStore(mergedData);
+}
+
+// Register a derived feature definition, compute it and refresh the dependent views
+function addDerivedFeature(feature) {
+    if (!dataLoaded) {
+        showStatus('Please load data first', 'error');
+        return;
+    }
+    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(feature.name)) {
+        showStatus('Feature names must start with a letter or underscore and contain only letters, digits and underscores', 'error');
+        return;
+    }
+    if (getDatasetColumns().includes(feature.name)) {
+        showStatus(`A column named "${feature.name}" already exists`, 'error');
+        return;
+    }
+    
+    // Validate custom expressions before they are stored
+    if (feature.kind === 'expression') {
+        try {
+            parseExpression(feature.expression, getDatasetColumns());
+        } catch (error) {
+            showStatus('Invalid expression: ' + error.message, 'error');
+            return;
+        }
+    }
+    
+    derivedFeatures.push(feature);
+    applyDerivedFeatures();
+    if (feature.error) {
+        derivedFeatures = derivedFeatures.filter(other => other !== feature);
+        applyDerivedFeatures();
+        showStatus(`Could not compute "${feature.name}": ${feature.error}`, 'error');
+        return;
+    }
+    
+    refreshAfterFeatureChange();
+    showStatus(`Derived feature "${feature.name}" added to ${mergedData.length} rows`, 'success');
+}
+
+// Remove a derived feature definition and its column
+function removeDerivedFeature(name) {
+    derivedFeatures = derivedFeatures.filter(feature => feature.name !== name);
+    applyDerivedFeatures();
+    refreshAfterFeatureChange();
+    showStatus(`Derived feature "${name}" removed`, 'success');
+}
+
+// Update the schema proposal and every view that lists columns after the derived features changed
+function refreshAfterFeatureChange() {
+    refreshSchemaDraft();
+    clearImputationResults();
+    clearTrainedModels();
+    clearPivot();
+    clearGroupedComparisons();
+    clearProjection();
+    clearRanking();
+    clearOutliers();
+    renderSchemaPanel();
+    renderFeatureWorkbench();
+    displayDatasetOverview();
+    displayColumnInfo();
+    renderDataGrid();
+    updateUIState();
+}
+
+// Infer the schema again while keeping the user's edits for columns that already existed
+function refreshSchemaDraft() {
+    const previous = schemaDraft;
+    schemaDraft = inferSchema(trainData, testData, derivedFeatures.map(feature => feature.name));
+    
+    if (previous) {
+        schemaDraft.columns.forEach(col => {
+            const old = previous.columns.find(other => other.name === col.name);
+            if (old) {
+                col.type = old.type;
+                col.role = old.role;
+            }
+        });
+        schemaDraft.positiveClass = previous.positiveClass;
+        const names = schemaDraft.columns.map(col => col.name);
+        if (names.includes(previous.highlightColumn)) schemaDraft.highlightColumn = previous.highlightColumn;
+        if (names.includes(previous.stratifyColumn)) schemaDraft.stratifyColumn = previous.stratifyColumn;
+    }
+    
+    // A confirmed schema picks up the new columns right away
+    if (schema) {
+        schema = buildSchema(schemaDraft);
+    }
+}
+
+// Render the workbench controls and the list of defined features
+function renderFeatureWorkbench() {
+    const columns = getDatasetColumns().filter(col => !derivedFeatures.some(feature => feature.name === col));
+    const extractor = FEATURE_EXTRACTORS[featureExtractorSelect.value];
+    const defaultSource = columns.find(col => extractor.sourcePattern.test(col)) || columns[0];
+    featureSourceSelect.innerHTML = columns
+        .map(col => `<option value="${escapeHtml(col)}"${col === defaultSource ? ' selected' : ''}>${escapeHtml(col)}</option>`)
+        .join('');
+    
+    if (derivedFeatures.length === 0) {
+        derivedFeaturesList.innerHTML = '<p>No derived features yet.</p>';
+        return;
+    }
+    
+    let rowsHTML = '';
+    derivedFeatures.forEach(feature => {
+        const definition = feature.kind === 'builtin'
+            ? `${FEATURE_EXTRACTORS[feature.extractor].label} — from ${feature.source}`
+            : feature.expression;
+        const status = feature.error
+            ? `<span class="error">${escapeHtml(feature.error)}</span>`
+            : `${feature.missingCount} missing; e.g. ${feature.samples.map(escapeHtml).join(', ')}`;
+        rowsHTML += `
+            <tr>
+                <td><strong>${escapeHtml(feature.name)}</strong></td>
+                <td><code>${escapeHtml(definition)}</code></td>
+                <td>${status}</td>
+                <td><button class="danger-btn small-btn" data-remove-feature="${escapeHtml(feature.name)}">Remove</button></td>
+            </tr>
+        `;
+    });
+    derivedFeaturesList.innerHTML = `
+        <table>
+            <thead><tr><th>Column</th><th>Definition</th><th>Values</th><th></th></tr></thead>
+            <tbody>${rowsHTML}</tbody>
+        </table>
+    `;
+}
+
+// Add the built-in extractor currently selected in the workbench
+function addBuiltinFeature() {
+    const extractor = featureExtractorSelect.value;
+    addDerivedFeature({
+        kind: 'builtin',
+        extractor,
+        source: featureSourceSelect.value,
+        name: featureBuiltinNameInput.value.trim() || FEATURE_EXTRACTORS[extractor].defaultName
+    });
+}
+
+// Add the custom expression typed into the workbench
+function addExpressionFeature() {
+    addDerivedFeature({
+        kind: 'expression',
+        name: featureNameInput.value.trim(),
+        expression: featureExpressionInput.value.trim()
+    });
+}
+
+// ---------------------------------------------------------------------------
+// Cross-filtering
+// Clicking a bar adds a global filter that re-renders the other charts, the summary
+// cards and the data grid for the matching subset.
+// ---------------------------------------------------------------------------
+
+// Active filters: { column, kind: 'equals' | 'range', value | min/max/includeMax, label, origin }
+// origin is the key of the chart the filter came from; that chart ignores its own filters
+// so the remaining bars stay clickable
+let activeFilters = [];
+let filterCombinator = 'AND';
+
+// Check whether a row satisfies one filter
+function matchesFilter(row, filter) {
+    return matchesFilterValue(row[filter.column], filter);
+}
+
+// Check whether a cell value satisfies one filter
+function matchesFilterValue(value, filter) {
+    if (isMissing(value)) return false;
+    if (filter.kind === 'equals') return String(value) === String(filter.value);
+    return value >= filter.min && (value < filter.max || (filter.includeMax && value <= filter.max));
+}
+
+// Keep the rows that match the active filters (AND: all of them, OR: any of them)
+// Filters created by the chart with key ignoreOrigin are skipped
+function applyFilters(rows, ignoreOrigin) {
+    const filters = activeFilters.filter(filter => !ignoreOrigin || filter.origin !== ignoreOrigin);
+    if (filters.length === 0) return rows;
+    return filterCombinator === 'AND'
+        ? rows.filter(row => filters.every(filter => matchesFilter(row, filter)))
+        : rows.filter(row => filters.some(filter => matchesFilter(row, filter)));
+}
+
+// Labelled train rows, the base of every target-based chart and summary
+// Outlier decisions (excluded and capped rows) are already applied
+function getLabelledTrainRows() {
+    return getLabelledTrainQuery().select();
+}
+
+// Add a filter, or remove it when the same bar is clicked again
+function toggleFilter(filter) {
+    const existing = activeFilters.findIndex(other => other.label === filter.label);
+    if (existing >= 0) {
+        activeFilters.splice(existing, 1);
+    } else {
+        activeFilters.push(filter);
+    }
+    refreshFilteredViews();
+}
+
+// Remove one filter by its position in the chip list
+function removeFilter(index) {
+    activeFilters.splice(index, 1);
+    refreshFilteredViews();
+}
+
+// Remove every filter
+function clearFilters() {
+    activeFilters = [];
+    refreshFilteredViews();
+}
+
+// Re-render everything that depends on the filtered subset (only views already shown)
+function refreshFilteredViews() {
+    renderFilterChips();
+    if (!dataLoaded) return;
+    
+    renderDataGrid();
+    if (schema && window.computedStats) {
+        runStatistics();
+    }
+    if (schema && charts.categorical) {
+        generateAllCharts();
+    }
+}
+
+// Show the active filters as removable chips
+function renderFilterChips() {
+    filterBar.style.display = activeFilters.length > 0 ? 'flex' : 'none';
+    if (activeFilters.length === 0) {
+        filterChips.innerHTML = '';
+        return;
+    }
+    
+    const matching = applyQueryFilters(dataStore.query()).size;
+    filterChips.innerHTML = activeFilters
+        .map((filter, i) => `<span class="filter-chip">${escapeHtml(filter.label)}<button data-remove-filter="${i}" title="Remove filter">×</button></span>`)
+        .join(`<span class="filter-combinator">${filterCombinator}</span>`) +
+        `<span class="filter-count">${matching} of ${mergedData.length} rows</span>`;
+}
+
+// Run full exploratory data analysis
+function runFullEDA() {
+    if (!dataLoaded || mergedData.length === 0) {
+        showStatus('Please load data first', 'error');
+        return;
+    }
+    if (!schema) {
+        showStatus('Please review and confirm the schema first', 'error');
+        return;
+    }
+    
+    showStatus('Running Exploratory Data Analysis...', 'warning');
+    
+    // Missing values, statistical summaries, the gender analysis and the hypothesis tests
+    runStatistics(() => {
+        // Enable chart generation and export buttons
+        showChartsBtn.disabled = false;
+        exportCsvBtn.disabled = false;
+        exportStatsBtn.disabled = false;
+        
+        showStatus('EDA completed successfully!', 'success');
+        scheduleSessionSave();
+    });
+}
+
+// Display dataset overview (shape, columns, etc.)
+function displayDatasetOverview() {
+    const totalRows = mergedData.length;
+    const trainRows = trainData.length;
+    const testRows = testData.length;
+    const columns = Object.keys(mergedData[0] || {});
+    const activeSchema = getActiveSchema();
+    const target = activeSchema.targetColumn;
+    
+    // Calculate missing values for the target column
+    const missingTarget = target
+        ? mergedData.filter(row => row.source === 'test' || isMissing(row[target])).length
+        : totalRows;
+    const targetHTML = target
+        ? `<p><strong>${escapeHtml(target)}</strong> column</p>
+                <p>Available for <strong>${totalRows - missingTarget}</strong> rows (training set only)</p>
+                <p>Missing for <strong>${missingTarget}</strong> rows (test set)</p>`
+        : '<p>No target column selected</p>';
+    
+    datasetOverview.innerHTML = `
+        <div class="stats-grid">
+            <div class="stat-card">
+                <h4>Dataset Shape</h4>
+                <p><strong>${totalRows}</strong> rows × <strong>${columns.length}</strong> columns</p>
+            </div>
+            <div class="stat-card">
+                <h4>Data Split</h4>
+                <p><strong>${trainRows}</strong> training rows (${((trainRows/totalRows)*100).toFixed(1)}%)</p>
+                <p><strong>${testRows}</strong> test rows (${((testRows/totalRows)*100).toFixed(1)}%)</p>
+            </div>
+            <div class="stat-card">
+                <h4>Target Variable</h4>
+                ${targetHTML}
+            </div>
+            <div class="stat-card">
+                <h4>Features for Analysis</h4>
+                <p><strong>${activeSchema.featureColumns.length}</strong> features selected</p>
+                <p><strong>${activeSchema.excludedColumns.length}</strong> columns excluded</p>
+                <p>Schema: <strong>${schema ? 'confirmed' : 'proposed (not confirmed yet)'}</strong></p>
+            </div>
+        </div>
+    `;
+}
+
+// Display column information
+function displayColumnInfo() {
+    if (mergedData.length === 0) return;
+    
+    const columns = getDatasetColumns().concat(SCHEMA_RULES.metaColumns);
+    const activeSchema = getActiveSchema();
+    
+    let columnTags = '';
+    columns.forEach(col => {
+        let tagClass = 'column-tag';
+        
+        if (col === activeSchema.targetColumn) {
+            tagClass += ' target-tag';
+        } else if (activeSchema.featureColumns.includes(col)) {
+            tagClass += ' feature-tag';
+        } else if (activeSchema.excludedColumns.includes(col)) {
+            tagClass += ' excluded-tag';
+        }
+        
+        const type = activeSchema.columnTypes[col];
+        columnTags += `<span class="${tagClass}">${escapeHtml(col)}${type ? ' · ' + type : ''}</span>`;
+    });
+    
+    columnInfo.innerHTML = `
+        <div class="columns-list">
+            ${columnTags}
+        </div>
+        <div style="margin-top: 15px; font-size: 0.9rem;">
+            <span style="background-color: #d4edda; padding: 3px 8px; border-radius: 3px; margin-right: 10px;">Green = Target</span>
+            <span style="background-color: #f0e6ff; padding: 3px 8px; border-radius: 3px; margin-right: 10px;">Purple = Feature</span>
+            <span style="background-color: #f8d7da; padding: 3px 8px; border-radius: 3px;">Red = Excluded</span>
+        </div>
+    `;
+}
+
+// ---------------------------------------------------------------------------
+// Data grid
+// Every row of the merged dataset with sorting, per-column filters, free-text search,
+// paging and column visibility. Only the rows scrolled into view are rendered.
+// ---------------------------------------------------------------------------
+
+// Fixed row height (px) used to size the spacer rows, and extra rows drawn above and below the viewport
+const GRID_ROW_HEIGHT = 33;
+const GRID_OVERSCAN = 10;
+
+// Grid settings kept across re-renders (filters, derived features, cross-filters)
+function createGridState() {
+    return {
+        search: '',
+        columnFilters: {},
+        hiddenColumns: [],
+        sortColumn: null,
+        sortDirection: 'asc',
+        page: 0,
+        pageSize: 100
+    };
+}
+
+let gridState = createGridState();
+// Rows left after filtering and sorting, and each row's 1-based position in mergedData
+let gridRows = [];
+let gridRowNumbers = new Map();
+
+// Every column the loader found (derived ones included), ID and target first, source last
+function getGridColumns() {
+    const activeSchema = getActiveSchema();
+    const leading = [activeSchema.idColumn, activeSchema.targetColumn].filter(Boolean);
+    const others = getDatasetColumns().filter(col => !leading.includes(col) && !SCHEMA_RULES.metaColumns.includes(col));
+    return [...leading, ...others, ...SCHEMA_RULES.metaColumns];
+}
+
+function getVisibleGridColumns() {
+    return getGridColumns().filter(col => !gridState.hiddenColumns.includes(col));
+}
+
+// Turn a column filter into a predicate
+// Numeric columns accept comparisons (>30, <=5, =1) and ranges (10..20); N/A matches missing cells
+// and anything else is a case-insensitive substring match
+function parseGridFilter(text, numeric) {
+    const query = text.trim();
+    if (/^(n\/a|missing)$/i.test(query)) return value => isMissing(value);
+    
+    if (numeric) {
+        const number = '(-?\\d+(?:\\.\\d+)?)';
+        const comparison = query.match(new RegExp(`^(<=|>=|<|>|=)\\s*${number}$`));
+        if (comparison) {
+            const limit = Number(comparison[2]);
+            const compare = {
+                '<': value => value < limit,
+                '<=': value => value <= limit,
+                '>': value => value > limit,
+                '>=': value => value >= limit,
+                '=': value => value === limit
+            }[comparison[1]];
+            return value => typeof value === 'number' && compare(value);
+        }
+        const range = query.match(new RegExp(`^${number}\\s*\\.\\.\\s*${number}$`));
+        if (range) {
+            const min = Number(range[1]);
+            const max = Number(range[2]);
+            return value => typeof value === 'number' && value >= min && value <= max;
+        }
+    }
+    
+    const needle = query.toLowerCase();
+    return value => !isMissing(value) && String(value).toLowerCase().includes(needle);
+}
+
+// Missing values always sort last; numbers numerically, everything else as text
+function compareGridValues(a, b) {
+    const aMissing = isMissing(a);
+    const bMissing = isMissing(b);
+    if (aMissing || bMissing) return aMissing === bMissing ? 0 : aMissing ? 1 : -1;
+    if (typeof a === 'number' && typeof b === 'number') return a - b;
+    return String(a).localeCompare(String(b), undefined, { numeric: true });
+}
+
+// Apply the cross-filters, column filters and search, then sort
+function updateGridRows() {
+    const columns = getVisibleGridColumns();
+    const filters = Object.keys(gridState.columnFilters)
+        .filter(col => columns.includes(col) && gridState.columnFilters[col].trim() !== '')
+        .map(col => {
+            // Decided from the values so the filters also work before the schema is confirmed
+            const numeric = mergedData.every(row => isMissing(row[col]) || typeof row[col] === 'number');
+            return { column: col, test: parseGridFilter(gridState.columnFilters[col], numeric) };
+        });
+    const search = gridState.search.trim().toLowerCase();
+    
+    gridRowNumbers = new Map(mergedData.map((row, i) => [row, i + 1]));
+    gridRows = applyFilters(mergedData).filter(row => {
+        if (!filters.every(filter => filter.test(row[filter.column]))) return false;
+        if (!search) return true;
+        return columns.some(col => !isMissing(row[col]) && String(row[col]).toLowerCase().includes(search));
+    });
+    
+    if (gridState.sortColumn && columns.includes(gridState.sortColumn)) {
+        const col = gridState.sortColumn;
+        const direction = gridState.sortDirection === 'asc' ? 1 : -1;
+        // Missing cells stay at the bottom in both directions
+        gridRows = gridRows.slice().sort((a, b) => {
+            if (isMissing(a[col]) || isMissing(b[col])) return compareGridValues(a[col], b[col]);
+            return direction * compareGridValues(a[col], b[col]);
+        });
+    }
+    
+    const pageCount = getGridPageCount();
+    gridState.page = Math.min(gridState.page, pageCount - 1);
+}
+
+function getGridPageCount() {
+    if (!gridState.pageSize) return 1;
+    return Math.max(1, Math.ceil(gridRows.length / gridState.pageSize));
+}
+
+function getGridPageRows() {
+    if (!gridState.pageSize) return gridRows;
+    const start = gridState.page * gridState.pageSize;
+    return gridRows.slice(start, start + gridState.pageSize);
+}
+
+// Rebuild the whole grid: column toggles, header, rows and pager
+function renderDataGrid() {
+    if (mergedData.length === 0) return;
+    
+    const allColumns = getGridColumns();
+    const columns = getVisibleGridColumns();
+    
+    gridColumnsToggle.innerHTML = allColumns.map(col => `
+        <label><input type="checkbox" data-grid-column="${escapeHtml(col)}" ${gridState.hiddenColumns.includes(col) ? '' : 'checked'}> ${escapeHtml(col)}</label>
+    `).join('');
+    
+    let headerHTML = '<thead><tr><th>#</th>';
+    columns.forEach(col => {
+        let arrow = '';
+        if (gridState.sortColumn === col) arrow = gridState.sortDirection === 'asc' ? ' ▲' : ' ▼';
+        headerHTML += `<th data-sort-column="${escapeHtml(col)}" title="Sort by ${escapeHtml(col)}">${escapeHtml(col)}${arrow}</th>`;
+    });
+    headerHTML += '</tr><tr class="grid-filter-row"><th></th>';
+    columns.forEach(col => {
+        const value = gridState.columnFilters[col] || '';
+        headerHTML += `<th><input type="text" data-grid-filter="${escapeHtml(col)}" value="${escapeHtml(value)}" placeholder="Filter"></th>`;
+    });
+    headerHTML += '</tr></thead><tbody></tbody>';
+    dataGridTable.innerHTML = headerHTML;
+    
+    updateGridRows();
+    renderGridBody();
+}
+
+// Redraw the rows and the pager after the row set changed; the header (and the focused
+// filter input) stays in place
+function refreshGridRows() {
+    gridState.page = 0;
+    updateGridRows();
+    renderGridBody();
+}
+
+function renderGridBody() {
+    dataGridViewport.scrollTop = 0;
+    renderGridViewport();
+    renderGridPager();
+}
+
+// Render the slice of the current page that is scrolled into view, with spacer rows
+// standing in for the rows above and below it
+function renderGridViewport() {
+    const tbody = dataGridTable.tBodies[0];
+    if (!tbody) return;
+    
+    const columns = getVisibleGridColumns();
+    const pageRows = getGridPageRows();
+    const colspan = columns.length + 1;
+    
+    if (pageRows.length === 0) {
+        tbody.innerHTML = `<tr><td colspan="${colspan}">No rows match the current filters.</td></tr>`;
+        return;
+    }
+    
+    const viewportHeight = dataGridViewport.clientHeight || 480;
+    const first = Math.max(0, Math.floor(dataGridViewport.scrollTop / GRID_ROW_HEIGHT) - GRID_OVERSCAN);
+    const last = Math.min(pageRows.length, first + Math.ceil(viewportHeight / GRID_ROW_HEIGHT) + GRID_OVERSCAN * 2);
+    const activeSchema = getActiveSchema();
+    
+    let bodyHTML = '';
+    if (first > 0) {
+        bodyHTML += `<tr class="grid-spacer"><td colspan="${colspan}" style="height: ${first * GRID_ROW_HEIGHT}px; padding: 0; border: none;"></td></tr>`;
+    }
+    pageRows.slice(first, last).forEach(row => {
+        bodyHTML += `<tr><td>${gridRowNumbers.get(row)}</td>`;
+        columns.forEach(col => {
+            const value = row[col];
+            if (isMissing(value)) {
+                const display = col === activeSchema.targetColumn && row.source === 'test' ? 'N/A (test)' : 'N/A';
+                bodyHTML += `<td class="missing-cell">${display}</td>`;
+                return;
+            }
+            const text = String(value);
+            const display = text.length > 30 ? text.substring(0, 30) + '...' : text;
+            bodyHTML += `<td title="${escapeHtml(text)}">${escapeHtml(display)}</td>`;
+        });
+        bodyHTML += '</tr>';
+    });
+    if (last < pageRows.length) {
+        bodyHTML += `<tr class="grid-spacer"><td colspan="${colspan}" style="height: ${(pageRows.length - last) * GRID_ROW_HEIGHT}px; padding: 0; border: none;"></td></tr>`;
+    }
+    tbody.innerHTML = bodyHTML;
+}
+
+function renderGridPager() {
+    const pageCount = getGridPageCount();
+    const pageRows = getGridPageRows();
+    const start = gridState.pageSize ? gridState.page * gridState.pageSize : 0;
+    const range = pageRows.length > 0 ? `Rows ${start + 1}-${start + pageRows.length} of ${gridRows.length}` : 'No rows';
+    
+    gridPager.innerHTML = `
+        <button class="small-btn" data-grid-page="prev" ${gridState.page === 0 ? 'disabled' : ''}>◀ Previous</button>
+        <span>Page ${gridState.page + 1} of ${pageCount}</span>
+        <button class="small-btn" data-grid-page="next" ${gridState.page >= pageCount - 1 ? 'disabled' : ''}>Next ▶</button>
+        <span class="hint">${range} (${mergedData.length} total)</span>
+    `;
+}
+
+// Header click: ascending, then descending, then unsorted
+function toggleGridSort(column) {
+    if (gridState.sortColumn !== column) {
+        gridState.sortColumn = column;
+        gridState.sortDirection = 'asc';
+    } else if (gridState.sortDirection === 'asc') {
+        gridState.sortDirection = 'desc';
+    } else {
+        gridState.sortColumn = null;
+    }
+    gridState.page = 0;
+    renderDataGrid();
+}
+
+function changeGridPage(step) {
+    gridState.page = Math.min(Math.max(gridState.page + step, 0), getGridPageCount() - 1);
+    renderGridBody();
+}
+
+function setGridColumnVisible(column, visible) {
+    gridState.hiddenColumns = gridState.hiddenColumns.filter(col => col !== column);
+    if (!visible) gridState.hiddenColumns.push(column);
+    renderDataGrid();
+}
+
+// Analyze and visualize missing values
+// aggregate holds the per-column missing counts of the filtered rows (see runStatistics)
+function analyzeMissingValues(aggregate) {
+    if (mergedData.length === 0) return;
+    
+    // Columns sorted by missing percentage (descending)
+    const missingData = summarizeMissingValues(aggregate);
+    
+    // Destroy existing chart if it exists
+    if (charts.missingValues) {
+        charts.missingValues.destroy();
+    }
+    
+    // Create bar chart for missing values
+    const ctx = document.getElementById('missing-values-chart').getContext('2d');
+    charts.missingValues = new Chart(ctx, {
+        type: 'bar',
+        data: {
+            labels: missingData.map(item => item.column),
+            datasets: [{
+                label: 'Missing Values (%)',
+                data: missingData.map(item => item.missingPercent),
+                backgroundColor: missingData.map(item => 
+                    item.missingPercent > 50 ? 'rgba(231, 76, 60, 0.7)' :
+                    item.missingPercent > 20 ? 'rgba(241, 196, 15, 0.7)' :
+                    'rgba(52, 152, 219, 0.7)'
+                ),
+                borderColor: missingData.map(item => 
+                    item.missingPercent > 50 ? 'rgba(231, 76, 60, 1)' :
+                    item.missingPercent > 20 ? 'rgba(241, 196, 15, 1)' :
+                    'rgba(52, 152, 219, 1)'
+                ),
+                borderWidth: 1
+            }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            scales: {
+                y: {
+                    beginAtZero: true,
+                    max: 100,
+                    title: {
+                        display: true,
+                        text: 'Percentage Missing'
+                    }
+                },
+                x: {
+                    ticks: {
+                        maxRotation: 45
+                    }
+                }
+            },
+            plugins: {
+                tooltip: {
+                    callbacks: {
+                        label: function(context) {
+                            const item = missingData[context.dataIndex];
+                            return `${item.column}: ${item.missingPercent.toFixed(1)}% (${item.missingCount} rows)`;
+                        }
+                    }
+                }
+            }
+        }
+    });
+}
+
+// ---------------------------------------------------------------------------
+// Missing-value imputation
+// Statistics are fitted on train rows only and applied to both splits. The result is
+// kept in imputedData so the raw merged dataset (and the EDA built on it) stays untouched.
+// ---------------------------------------------------------------------------
+
+// Strategies offered per column; numericOnly strategies are hidden for text/categorical columns
+const IMPUTATION_STRATEGIES = {
+    none: { label: 'Leave missing' },
+    mean: { label: 'Mean', numericOnly: true },
+    median: { label: 'Median', numericOnly: true },
+    mode: { label: 'Mode (most frequent)' },
+    'group-median': { label: 'Group-wise median', numericOnly: true },
+    constant: { label: 'Constant value' },
+    knn: { label: 'KNN on numeric features' }
+};
+
+// Per-column settings chosen in the panel, e.g. { Age: { strategy: 'group-median', groupBy: ['Pclass', 'Sex'] } }
+let imputationPlan = {};
+// Merged rows with the plan applied, and a summary of what was filled
+let imputedData = [];
+let imputationSummary = null;
+
+// Columns eligible for imputation: every schema column with missing values except the target
+function getImputableColumns() {
+    return getDatasetColumns()
+        .filter(col => !SCHEMA_RULES.metaColumns.includes(col) && col !== schema.targetColumn)
+        .filter(col => mergedData.some(row => isMissing(row[col])));
+}
+
+// Check whether a column holds numbers according to the confirmed schema
+function isNumericColumn(col) {
+    return schema.columnTypes[col] === 'numeric' ||
+        mergedData.every(row => isMissing(row[col]) || typeof row[col] === 'number');
+}
+
+// Fit the imputation statistics for one column on the training rows
+// Returns a function that produces the replacement value for a row with a missing cell
+function fitImputer(col, settings, trainRows) {
+    const present = trainRows.map(row => row[col]).filter(value => !isMissing(value));
+    
+    switch (settings.strategy) {
+        case 'mean': {
+            const mean = computeMean(present);
+            return { description: `mean = ${mean.toFixed(3)}`, fill: () => mean };
+        }
+        case 'median': {
+            const median = computeMedian(present);
+            return { description: `median = ${median}`, fill: () => median };
+        }
+        case 'mode': {
+            const mode = computeMode(present);
+            return { description: `mode = ${mode}`, fill: () => mode };
+        }
+        case 'constant': {
+            // Keep numeric columns numeric when the constant parses as a number
+            const raw = settings.constant === undefined ? '' : String(settings.constant);
+            const value = isNumericColumn(col) && raw.trim() !== '' && !isNaN(Number(raw)) ? Number(raw) : raw;
+            if (raw.trim() === '') throw new Error(`Enter a constant value for ${col}`);
+            return { description: `constant = ${value}`, fill: () => value };
+        }
+        case 'group-median': {
+            const groupBy = settings.groupBy || [];
+            if (groupBy.length === 0) throw new Error(`Choose at least one grouping column for ${col}`);
+            const keyOf = row => groupBy.map(group => String(row[group])).join(' | ');
+            const groups = {};
+            trainRows.forEach(row => {
+                if (isMissing(row[col])) return;
+                const key = keyOf(row);
+                (groups[key] = groups[key] || []).push(row[col]);
+            });
+            const medians = {};
+            Object.keys(groups).forEach(key => {
+                medians[key] = computeMedian(groups[key]);
+            });
+            // Groups never seen with a value in train fall back to the overall train median
+            const fallback = computeMedian(present);
+            return {
+                description: `median by ${groupBy.join(' + ')} (${Object.keys(medians).length} groups, fallback ${fallback})`,
+                fill: row => medians[keyOf(row)] !== undefined ? medians[keyOf(row)] : fallback
+            };
+        }
+        case 'knn':
+            return fitKnnImputer(col, settings, trainRows);
+        default:
+            return null;
+    }
+}
+
+// Fit a k-nearest-neighbour imputer for one column
+// Distances use the standardized numeric features (train mean/std); cells missing in either
+// row are skipped and the distance is scaled up by the share of skipped features
+function fitKnnImputer(col, settings, trainRows) {
+    const k = Math.max(1, parseInt(settings.k, 10) || 5);
+    const features = schema.numericColumns.filter(feature => feature !== col);
+    if (features.length === 0) throw new Error(`KNN for ${col} needs at least one other numeric feature`);
+    
+    const scaling = features.map(feature => {
+        const values = trainRows.map(row => row[feature]).filter(value => !isMissing(value));
+        return { mean: computeMean(values), std: computeStdDev(values) || 1 };
+    });
+    const vectorOf = row => features.map((feature, i) =>
+        isMissing(row[feature]) ? null : (row[feature] - scaling[i].mean) / scaling[i].std
+    );
+    const donors = trainRows
+        .filter(row => !isMissing(row[col]))
+        .map(row => ({ vector: vectorOf(row), value: row[col] }));
+    const numeric = isNumericColumn(col);
+    
+    return {
+        description: `${numeric ? 'mean' : 'mode'} of ${k} nearest train rows over ${features.join(', ')}`,
+        fill: row => {
+            const vector = vectorOf(row);
+            const neighbours = donors
+                .map(donor => {
+                    let sum = 0;
+                    let used = 0;
+                    vector.forEach((value, i) => {
+                        if (value !== null && donor.vector[i] !== null) {
+                            sum += Math.pow(value - donor.vector[i], 2);
+                            used++;
+                        }
+                    });
+                    return { value: donor.value, distance: used > 0 ? Math.sqrt(sum * features.length / used) : Infinity };
+                })
+                .sort((a, b) => a.distance - b.distance)
+                .slice(0, k)
+                .map(neighbour => neighbour.value);
+            return numeric ? computeMean(neighbours) : computeMode(neighbours);
+        }
+    };
+}
+
+// Fit the plan on train rows and apply it to a copy of every merged row
+function runImputation() {
+    if (!schema) {
+        showStatus('Please confirm the schema first', 'error');
+        return;
+    }
+    
+    const trainRows = mergedData.filter(row => row.source === 'train');
+    const summary = { fittedOn: 'train', fittedRows: trainRows.length, columns: {} };
+    const imputers = {};
+    
+    try {
+        getImputableColumns().forEach(col => {
+            const settings = imputationPlan[col];
+            if (!settings || settings.strategy === 'none') return;
+            imputers[col] = fitImputer(col, settings, trainRows);
+        });
+    } catch (error) {
+        showStatus('Imputation failed: ' + error.message, 'error');
+        return;
+    }
+    
+    if (Object.keys(imputers).length === 0) {
+        showStatus('Choose an imputation strategy for at least one column', 'warning');
+        return;
+    }
+    
+    // Every fill reads the raw row, so one column's imputation never feeds another's
+    imputedData = mergedData.map(row => {
+        const copy = { ...row };
+        Object.keys(imputers).forEach(col => {
+            if (isMissing(row[col])) copy[col] = imputers[col].fill(row);
+        });
+        return copy;
+    });
+    
+    Object.keys(imputers).forEach(col => {
+        summary.columns[col] = {
+            ...imputationPlan[col],
+            fitted: imputers[col].description,
+            filledTrain: mergedData.filter(row => row.source === 'train' && isMissing(row[col])).length,
+            filledTest: mergedData.filter(row => row.source === 'test' && isMissing(row[col])).length,
+            remainingMissing: imputedData.filter(row => isMissing(row[col])).length
+        };
+    });
+    imputationSummary = summary;
+    
+    renderImputationResults();
+    updateUIState();
+    showStatus(`Imputed ${Object.keys(imputers).length} column(s) using statistics fitted on ${trainRows.length} train rows`, 'success');
+}
+
+// Render the per-column strategy table from the current plan
+function renderImputationPanel() {
+    if (!schema) {
+        imputationPanel.innerHTML = '<p>Confirm the schema to configure imputation.</p>';
+        return;
+    }
+    
+    const columns = getImputableColumns();
+    if (columns.length === 0) {
+        imputationPanel.innerHTML = '<p>No missing values to impute.</p>';
+        return;
+    }
+    
+    const groupCandidates = getDatasetColumns().filter(col => schema.columnTypes[col] === 'categorical');
+    let rowsHTML = '';
+    columns.forEach(col => {
+        const settings = imputationPlan[col] || { strategy: 'none' };
+        const numeric = isNumericColumn(col);
+        const missingTrain = mergedData.filter(row => row.source === 'train' && isMissing(row[col])).length;
+        const missingTest = mergedData.filter(row => row.source === 'test' && isMissing(row[col])).length;
+        
+        const strategyOptions = Object.keys(IMPUTATION_STRATEGIES)
+            .filter(key => numeric || !IMPUTATION_STRATEGIES[key].numericOnly)
+            .map(key => `<option value="${key}"${key === settings.strategy ? ' selected' : ''}>${IMPUTATION_STRATEGIES[key].label}</option>`)
+            .join('');
+        
+        // Only the option that belongs to the chosen strategy is shown
+        let optionHTML = '';
+        if (settings.strategy === 'group-median') {
+            optionHTML = `<select multiple size="3" data-column="${escapeHtml(col)}" data-field="groupBy">${groupCandidates
+                .filter(group => group !== col)
+                .map(group => `<option value="${escapeHtml(group)}"${(settings.groupBy || []).includes(group) ? ' selected' : ''}>${escapeHtml(group)}</option>`)
+                .join('')}</select>`;
+        } else if (settings.strategy === 'constant') {
+            optionHTML = `<input type="text" data-column="${escapeHtml(col)}" data-field="constant" value="${escapeHtml(settings.constant === undefined ? '' : settings.constant)}" placeholder="${numeric ? '0' : 'Unknown'}">`;
+        } else if (settings.strategy === 'knn') {
+            optionHTML = `k = <input type="number" min="1" max="50" data-column="${escapeHtml(col)}" data-field="k" value="${settings.k || 5}">`;
+        }
+        
+        rowsHTML += `
+            <tr>
+                <td><strong>${escapeHtml(col)}</strong></td>
+                <td>${schema.columnTypes[col] || 'unknown'}</td>
+                <td>${missingTrain} / ${missingTest}</td>
+                <td><select data-column="${escapeHtml(col)}" data-field="strategy">${strategyOptions}</select></td>
+                <td>${optionHTML}</td>
+            </tr>
+        `;
+    });
+    
+    imputationPanel.innerHTML = `
+        <table class="schema-table">
+            <thead><tr><th>Column</th><th>Type</th><th>Missing (train / test)</th><th>Strategy</th><th>Options</th></tr></thead>
+            <tbody>${rowsHTML}</tbody>
+        </table>
+    `;
+}
+
+// Store an edit made in the imputation panel
+function handleImputationPanelChange(event) {
+    const input = event.target;
+    const col = input.dataset.column;
+    const field = input.dataset.field;
+    if (!col || !field) return;
+    
+    const settings = imputationPlan[col] || { strategy: 'none' };
+    if (field === 'groupBy') {
+        settings.groupBy = [...input.selectedOptions].map(option => option.value);
+    } else {
+        settings[field] = input.value;
+    }
+    imputationPlan[col] = settings;
+    
+    // The option controls depend on the strategy
+    if (field === 'strategy') renderImputationPanel();
+}
+
+// Show what was filled and the distribution of every imputed column before and after
+function renderImputationResults() {
+    Object.keys(charts).filter(key => key.startsWith('imputation:')).forEach(key => {
+        charts[key].destroy();
+        delete charts[key];
+    });
+    
+    if (!imputationSummary) {
+        imputationResults.innerHTML = '';
+        return;
+    }
+    
+    let rowsHTML = '';
+    Object.keys(imputationSummary.columns).forEach(col => {
+        const info = imputationSummary.columns[col];
+        rowsHTML += `
+            <tr>
+                <td><strong>${escapeHtml(col)}</strong></td>
+                <td>${IMPUTATION_STRATEGIES[info.strategy].label}</td>
+                <td>${escapeHtml(info.fitted)}</td>
+                <td>${info.filledTrain} / ${info.filledTest}</td>
+                <td>${info.remainingMissing}</td>
+            </tr>
+        `;
+    });
+    imputationResults.innerHTML = `
+        <h3>Imputation Summary (fitted on ${imputationSummary.fittedRows} train rows)</h3>
+        <div class="data-preview">
+            <table>
+                <thead><tr><th>Column</th><th>Strategy</th><th>Fitted Statistics</th><th>Filled (train / test)</th><th>Still Missing</th></tr></thead>
+                <tbody>${rowsHTML}</tbody>
+            </table>
+        </div>
+    `;
+    
+    Object.keys(imputationSummary.columns).forEach(col => {
+        imputationResults.insertAdjacentHTML('beforeend', `
+            <h3>${escapeHtml(col)}: Before vs After Imputation</h3>
+            <div class="chart-container">
+                <canvas></canvas>
+            </div>
+        `);
+        const canvas = imputationResults.lastElementChild.querySelector('canvas');
+        charts['imputation:' + col] = generateImputationComparisonChart(col, canvas);
+    });
+}
+
+// Chart one column's distribution before (raw) and after imputation on shared bins
+function generateImputationComparisonChart(col, canvas) {
+    const before = mergedData.map(row => row[col]).filter(value => !isMissing(value));
+    const after = imputedData.map(row => row[col]).filter(value => !isMissing(value));
+    
+    let labels;
+    let beforeCounts;
+    let afterCounts;
+    if (isNumericColumn(col)) {
+        const bins = computeHistogramBins(after, 10);
+        labels = bins.labels;
+        beforeCounts = bins.count(before);
+        afterCounts = bins.count(after);
+    } else {
+        // Most frequent 20 categories after imputation
+        const counts = {};
+        after.forEach(value => {
+            counts[String(value)] = (counts[String(value)] || 0) + 1;
+        });
+        labels = Object.keys(counts).sort((a, b) => counts[b] - counts[a]).slice(0, 20);
+        beforeCounts = labels.map(label => before.filter(value => String(value) === label).length);
+        afterCounts = labels.map(label => after.filter(value => String(value) === label).length);
+    }
+    
+    return new Chart(canvas.getContext('2d'), {
+        type: 'bar',
+        data: {
+            labels,
+            datasets: [
+                {
+                    label: `Before (${before.length} values)`,
+                    data: beforeCounts,
+                    backgroundColor: 'rgba(149, 165, 166, 0.7)',
+                    borderColor: 'rgba(127, 140, 141, 1)',
+                    borderWidth: 1
+                },
+                {
+                    label: `After (${after.length} values)`,
+                    data: afterCounts,
+                    backgroundColor: 'rgba(52, 152, 219, 0.7)',
+                    borderColor: 'rgba(41, 128, 185, 1)',
+                    borderWidth: 1
+                }
+            ]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            scales: {
+                y: {
+                    beginAtZero: true,
+                    title: {
+                        display: true,
+                        text: 'Count'
+                    }
+                },
+                x: {
+                    ticks: {
+                        maxRotation: 45
+                    }
+                }
+            }
+        }
+    });
+}
+
+// Drop imputation results that no longer match the data (new features, new schema)
+function clearImputationResults() {
+    imputedData = [];
+    imputationSummary = null;
+    renderImputationResults();
+    renderImputationPanel();
+}
+
+// Rows of the numeric profile cards: label and formatter of each descriptive statistic
+// (see describeNumericValues); statistics a split has too few values for show a dash
+const PROFILE_STATISTICS = [
+    { key: 'count', label: 'Valid Values', format: profile => profile.count.toLocaleString() },
+    {
+        key: 'missing',
+        label: 'Missing',
+        format: profile => {
+            const rows = profile.count + profile.missing;
+            return `${profile.missing.toLocaleString()} (${rows > 0 ? ((profile.missing / rows) * 100).toFixed(1) : '0.0'}%)`;
+        }
+    },
+    { key: 'mean', label: 'Mean' },
+    { key: 'stdDev', label: 'Std Dev (sample)' },
+    { key: 'min', label: 'Min' },
+    { key: 'q1', label: 'Q1 (25%)' },
+    { key: 'median', label: 'Median' },
+    { key: 'q3', label: 'Q3 (75%)' },
+    { key: 'max', label: 'Max' },
+    { key: 'iqr', label: 'IQR' },
+    { key: 'skewness', label: 'Skewness' },
+    { key: 'kurtosis', label: 'Kurtosis (excess)' },
+    { key: 'mode', label: 'Mode', format: profile => profile.mode === null ? '–' : `${formatProfileValue(profile.mode)} (×${profile.modeCount})` },
+    { key: 'zeros', label: 'Zeros', format: profile => profile.zeros.toLocaleString() },
+    { key: 'unique', label: 'Unique', format: profile => profile.unique.toLocaleString() }
+];
+
+// Format one descriptive statistic (NaN when the split has too few values)
+function formatProfileValue(value) {
+    if (!Number.isFinite(value)) return '–';
+    return Number.isInteger(value) ? String(value) : value.toFixed(2);
+}
+
+// Card with the train, test and merged profiles of one numeric column side by side
+function renderProfileCard(col, profiles) {
+    const splits = Object.keys(PROFILE_SPLITS);
+    const rows = PROFILE_STATISTICS.map(stat => `
+        <tr>
+            <td>${stat.label}</td>
+            ${splits.map(split => {
+                const profile = profiles[split];
+                const value = !profile ? '–' : stat.format ? stat.format(profile) : formatProfileValue(profile[stat.key]);
+                return `<td>${escapeHtml(value)}</td>`;
+            }).join('')}
+        </tr>
+    `).join('');
+    return `
+        <div class="stat-card">
+            <h4>${escapeHtml(col)} (Numeric)</h4>
+            <table class="profile-table">
+                <thead><tr><th>Statistic</th>${splits.map(split => `<th>${PROFILE_SPLITS[split]}</th>`).join('')}</tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </div>
+    `;
+}
+
+// Generate statistical summaries for numeric and categorical features
+// results holds the single-pass statistics of runStatistics: the numeric profiles of the
+// filtered train, test and merged rows, and the value counts of the labelled, filtered train rows
+function generateStatisticalSummaries(results) {
+    if (mergedData.length === 0) return;
+    
+    const outcome = getOutcomeLabels();
+    const aggregate = results.summary;
+    const numericStats = summarizeNumericProfiles(results);
+    const categoricalStats = aggregate.categorical;
+    
+    // Display the statistics
+    let statsHTML = '<div class="stats-grid">';
+    
+    // Add the numeric profiles of every split
+    Object.keys(numericStats).forEach(col => {
+        statsHTML += renderProfileCard(col, numericStats[col]);
+    });
+    
+    // Add categorical stats with survival rates
+    Object.keys(categoricalStats).forEach(col => {
+        const valueCounts = categoricalStats[col];
+        let valueHTML = '';
+        
+        Object.keys(valueCounts).forEach(value => {
+            const data = valueCounts[value];
+            const survivalRate = data.count > 0 ? ((data.survived / data.count) * 100).toFixed(1) : '0';
+            valueHTML += `<p>${escapeHtml(value)}: <strong>${data.count}</strong> (${survivalRate}% ${escapeHtml(outcome.positive)})</p>`;
+        });
+        
+        statsHTML += `
+            <div class="stat-card">
+                <h4>${escapeHtml(col)} (Categorical)</h4>
+                ${valueHTML}
+            </div>
+        `;
+    });
+    
+    // Add overall survival rate
+    if (aggregate.rowCount > 0) {
+        const totalSurvived = aggregate.positives;
+        const survivalRate = ((totalSurvived / aggregate.rowCount) * 100).toFixed(1);
+        
+        statsHTML += `
+            <div class="stat-card">
+                <h4>${escapeHtml(schema.targetColumn)} Overview</h4>
+                <p>Total Rows: <strong>${aggregate.rowCount}</strong></p>
+                <p>${escapeHtml(outcome.positive)}: <strong>${totalSurvived}</strong> (${survivalRate}%)</p>
+                <p>${escapeHtml(outcome.negative)}: <strong>${aggregate.rowCount - totalSurvived}</strong> (${(100 - parseFloat(survivalRate)).toFixed(1)}%)</p>
+            </div>
+        `;
+    }
+    
+    statsHTML += '</div>';
+    if (aggregate.rowCount === 0) {
+        statsHTML += '<p>No labelled rows match the active filters.</p>';
+    }
+    statsHTML += '<p class="hint">Numeric columns are profiled on the train, test and merged rows after filters and outlier decisions; value counts and the target overview use the labelled train rows. Quartiles interpolate between ranks, and skewness and excess kurtosis (0 for a normal distribution) are the bias-corrected sample estimators.</p>';
+    statisticalSummaries.innerHTML = statsHTML;
+    
+    // Store statistics for export
+    window.computedStats = {
+        numericStats,
+        categoricalStats,
+        filters: { combinator: filterCombinator, active: activeFilters.map(filter => filter.label) }
+    };
+}
+
+// Analyze gender impact specifically with detailed statistics
+// The compared column (Sex for Titanic) and the stratifying column (Pclass) come from the schema
+function analyzeGenderImpact() {
+    if (mergedData.length === 0) return;
+    
+    const column = schema.highlightColumn;
+    const stratifyColumn = schema.stratifyColumn;
+    if (!column) {
+        survivalComparison.innerHTML = '<p>Select a categorical column for the key insight in the schema panel.</p>';
+        window.genderAnalysis = null;
+        return;
+    }
+    
+    const analysis = analyzeKeyInsight(applyFilters(getLabelledTrainRows()), schema);
+    if (!analysis) {
+        survivalComparison.innerHTML = '<p>No labelled rows match the active filters.</p>';
+        window.genderAnalysis = null;
+        return;
+    }
+    const outcome = getOutcomeLabels();
+    const { groups, genderByClass } = analysis;
+    
+    // Levels of the compared column, highest rate first
+    const ranked = Object.keys(groups).sort((a, b) => groups[b].rate - groups[a].rate);
+    const high = analysis.highestRateGroup;
+    const low = analysis.lowestRateGroup;
+    const survivalRatio = isNaN(analysis.survivalRatio) ? 'N/A' : analysis.survivalRatio.toFixed(1);
+    const strata = Object.keys(genderByClass);
+    
+    // Update the survival comparison section
+    const groupCard = (level, rateClass) => `
+        <div class="comparison-item">
+            <h4>${escapeHtml(column)}: ${escapeHtml(level)}</h4>
+            <div class="survival-rate ${rateClass}">${groups[level].rate.toFixed(1)}%</div>
+            <p>${groups[level].survived} of ${groups[level].count} rows: ${escapeHtml(outcome.positive)}</p>
+        </div>
+    `;
+    survivalComparison.innerHTML = `
+        ${groupCard(high, 'female-rate')}
+        ${groupCard(low, 'male-rate')}
+        <div class="comparison-item">
+            <h4>${escapeHtml(outcome.positive)} Ratio</h4>
+            <div class="ratio-display">${survivalRatio}:1</div>
+            <p>${escapeHtml(column)} = ${escapeHtml(high)} was <strong>${survivalRatio} times</strong> as likely as ${escapeHtml(column)} = ${escapeHtml(low)}</p>
+        </div>
+    `;
+    
+    // Add the stratified analysis to the insight section (replacing the one from a previous run)
+    const insightSection = document.getElementById('gender-analysis');
+    const previousCard = document.getElementById('gender-by-class-card');
+    if (previousCard) previousCard.remove();
+    
+    if (strata.length > 0) {
+        let classAnalysisHTML = `<div class="evidence-card" id="gender-by-class-card"><h5>${escapeHtml(outcome.positive)} Rate by ${escapeHtml(column)} within ${escapeHtml(stratifyColumn)}</h5><ul>`;
+        strata.forEach(stratum => {
+            const data = genderByClass[stratum];
+            const rates = ranked.map(level => `${escapeHtml(level)} ${data[level].rate}%`).join(' vs ');
+            const counts = ranked.map(level => `${data[level].count} ${escapeHtml(level)}`).join(', ');
+            classAnalysisHTML += `
+                <li><strong>${escapeHtml(stratifyColumn)} ${escapeHtml(stratum)}:</strong> ${rates} (${counts})</li>
+            `;
+        });
+        classAnalysisHTML += '</ul></div>';
+        
+        const existingCards = insightSection.querySelectorAll('.evidence-card');
+        if (existingCards.length >= 4) {
+            // Insert after the third evidence card
+            existingCards[2].insertAdjacentHTML('afterend', classAnalysisHTML);
+        }
+    }
+    
+    // Store gender analysis for export
+    window.genderAnalysis = analysis;
+}
+
+// Generate all visualization charts
+function generateAllCharts() {
+    if (mergedData.length === 0 || !schema) return;
+    
+    // Filter to only labelled training data for charts with survival
+    // Each chart applies the active filters except the ones created by clicking it
+    const trainingData = getLabelledTrainQuery();
+    
+    // 1. Categorical features vs survival
+    generateCategoricalChart(applyQueryFilters(trainingData, 'categorical'));
+    
+    // 2. Distribution of every continuous numeric feature
+    generateNumericCharts(trainingData);
+    
+    // 3. Correlation heatmap
+    generateCorrelationHeatmap(applyQueryFilters(trainingData).select());
+    
+    // 4. Scatter-plot matrix of the train and test rows
+    generateScatterMatrix();
+}
+
+// Generate chart for categorical features vs survival
+// query is a store query of the labelled train rows
+function generateCategoricalChart(query) {
+    // Prepare data for every categorical feature in the schema
+    const categories = schema.categoricalColumns;
+    const outcome = getOutcomeLabels();
+    const labels = [];
+    const barFilters = [];
+    const survivedData = [];
+    const notSurvivedData = [];
+    
+    categories.forEach(category => {
+        query.groupBy(category).forEach(group => {
+            const value = group.key;
+            const survived = group.query.aggregate({
+                survived: { op: 'count', column: schema.targetColumn, where: isPositiveValue }
+            }).survived;
+            const notSurvived = group.query.size - survived;
+            
+            labels.push(`${category}: ${value}`);
+            barFilters.push({ column: category, kind: 'equals', value, label: `${category}: ${value}`, origin: 'categorical' });
+            survivedData.push(survived);
+            notSurvivedData.push(notSurvived);
+        });
+    });
+    
+    // Destroy existing chart if it exists
+    if (charts.categorical) {
+        charts.categorical.destroy();
+    }
+    
+    // Create grouped bar chart
+    const ctx = document.getElementById('categorical-chart').getContext('2d');
+    charts.categorical = new Chart(ctx, {
+        type: 'bar',
+        data: {
+            labels: labels,
+            datasets: [
+                {
+                    label: outcome.positive,
+                    data: survivedData,
+                    backgroundColor: 'rgba(46, 204, 113, 0.7)',
+                    borderColor: 'rgba(39, 174, 96, 1)',
+                    borderWidth: 1
+                },
+                {
+                    label: outcome.negative,
+                    data: notSurvivedData,
+                    backgroundColor: 'rgba(231, 76, 60, 0.7)',
+                    borderColor: 'rgba(192, 57, 43, 1)',
+                    borderWidth: 1
+                }
+            ]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            // Clicking a bar filters every other view to that category
+            onClick: (event, elements) => {
+                if (elements.length > 0) toggleFilter(barFilters[elements[0].index]);
+            },
+            scales: {
+                x: {
+                    ticks: {
+                        maxRotation: 45
+                    }
+                },
+                y: {
+                    beginAtZero: true,
+                    title: {
+                        display: true,
+                        text: 'Count'
+                    }
+                }
+            },
+            plugins: {
+                tooltip: {
+                    callbacks: {
+                        afterLabel: function(context) {
+                            const datasetIndex = context.datasetIndex;
+                            const dataIndex = context.dataIndex;
+                            const total = survivedData[dataIndex] + notSurvivedData[dataIndex];
+                            const percentage = datasetIndex === 0 
+                                ? ((survivedData[dataIndex] / total) * 100).toFixed(1)
+                                : ((notSurvivedData[dataIndex] / total) * 100).toFixed(1);
+                            return `${percentage}% of this group`;
+                        }
+                    }
+                }
+            }
+        }
+    });
+}
+
+// Bin rules offered by the histogram component
+const HISTOGRAM_BIN_RULES = {
+    sturges: 'Sturges',
+    fd: 'Freedman–Diaconis',
+    fixed: 'Fixed width',
+    custom: 'Custom edges'
+};
+const HISTOGRAM_MAX_BINS = 100;
+
+// Per-column histogram options, kept while the charts are redrawn (filters, new runs)
+let histogramSettings = {};
+
+function getHistogramSettings(col) {
+    if (!histogramSettings[col]) {
+        histogramSettings[col] = { rule: 'sturges', width: '', edges: '', log: false, kde: false, split: 'none' };
+    }
+    return histogramSettings[col];
+}
+
+// Bin edges in plotting space for the chosen rule
+// With the log scale on, values are plotted as log10(1 + x) and custom edges are given in original units
+function computeHistogramEdges(plotted, settings, toPlot) {
+    if (settings.rule === 'custom') {
+        const edges = [...new Set(settings.edges.split(',').map(text => parseFloat(text)).filter(isFinite))]
+            .sort((a, b) => a - b)
+            .map(toPlot);
+        if (edges.length < 2 || edges.some(edge => isNaN(edge))) {
+            throw new Error('Enter at least two comma-separated edges' + (settings.log ? ' greater than -1' : ''));
+        }
+        return edges;
+    }
+    
+    const sorted = [...plotted].sort((a, b) => a - b);
+    const min = sorted[0];
+    const max = sorted[sorted.length - 1];
+    if (max === min) return [min - 0.5, max + 0.5];
+    
+    let width;
+    if (settings.rule === 'fixed') {
+        width = parseFloat(settings.width);
+        if (!(width > 0)) throw new Error('Enter a bin width greater than 0' + (settings.log ? ' (in log10 units)' : ''));
+    } else if (settings.rule === 'fd') {
+        const iqr = computeQuantile(sorted, 0.75) - computeQuantile(sorted, 0.25);
+        width = 2 * iqr / Math.cbrt(sorted.length);
+    }
+    // Sturges, and the fallback when the interquartile range is zero
+    if (!(width > 0)) width = (max - min) / (Math.ceil(Math.log2(sorted.length)) + 1);
+    
+    const binCount = Math.min(HISTOGRAM_MAX_BINS, Math.max(1, Math.ceil((max - min) / width)));
+    width = settings.rule === 'fixed' && binCount < HISTOGRAM_MAX_BINS ? width : (max - min) / binCount;
+    return Array.from({ length: binCount + 1 }, (_, i) => min + i * width);
+}
+
+// Shortest labels (integers when every edge is one, else 1 to 4 decimals) that keep
+// every bin label distinct and both ends of each bin apart
+function formatHistogramLabels(edges) {
+    const first = edges.every(Number.isInteger) ? 0 : 1;
+    for (let decimals = first; decimals <= 4; decimals++) {
+        const ends = edges.map(edge => edge.toFixed(decimals));
+        const labels = ends.slice(0, -1).map((end, i) => `${end}-${ends[i + 1]}`);
+        if (new Set(ends).size === ends.length) return labels;
+    }
+    return edges.slice(0, -1).map((edge, i) => `${edge}-${edges[i + 1]}`);
+}
+
+// Histogram of a column under the given settings
+// Bins are half-open [a, b) except the last, so no value is counted twice; values outside
+// custom edges are reported instead of being clamped into the end bins
+function computeHistogram(values, settings) {
+    const useLog = settings.log && values.every(value => value > -1);
+    const toPlot = useLog ? value => Math.log10(1 + value) : value => value;
+    const fromPlot = useLog ? value => Math.pow(10, value) - 1 : value => value;
+    const plottedEdges = computeHistogramEdges(values.map(toPlot), settings, toPlot);
+    const edges = plottedEdges.map(fromPlot);
+    const binCount = edges.length - 1;
+    
+    const binOf = value => {
+        if (value < edges[0] || value > edges[binCount]) return -1;
+        if (value === edges[binCount]) return binCount - 1;
+        let low = 0;
+        let high = binCount - 1;
+        while (low < high) {
+            const middle = Math.ceil((low + high) / 2);
+            if (edges[middle] <= value) low = middle; else high = middle - 1;
+        }
+        return low;
+    };
+    
+    return {
+        edges,
+        plottedEdges,
+        useLog,
+        labels: formatHistogramLabels(edges),
+        count: list => {
+            const counts = Array(binCount).fill(0);
+            list.forEach(value => {
+                const bin = binOf(value);
+                if (bin >= 0) counts[bin]++;
+            });
+            return counts;
+        },
+        outside: list => list.filter(value => binOf(value) === -1).length,
+        toPlot
+    };
+}
+
+// Gaussian kernel density estimate (Silverman's bandwidth) expressed as expected counts per bin
+function computeKdeCounts(values, histogram) {
+    const plotted = values.map(histogram.toPlot);
+    const sorted = [...plotted].sort((a, b) => a - b);
+    const spread = Math.min(computeStdDev(plotted), (computeQuantile(sorted, 0.75) - computeQuantile(sorted, 0.25)) / 1.34) ||
+        computeStdDev(plotted);
+    const bandwidth = 0.9 * spread * Math.pow(plotted.length, -0.2);
+    if (!(bandwidth > 0)) return null;
+    
+    const edges = histogram.plottedEdges;
+    const norm = 1 / (plotted.length * bandwidth * Math.sqrt(2 * Math.PI));
+    return edges.slice(0, -1).map((edge, i) => {
+        const center = (edge + edges[i + 1]) / 2;
+        let density = 0;
+        plotted.forEach(value => {
+            const u = (center - value) / bandwidth;
+            density += Math.exp(-0.5 * u * u);
+        });
+        return density * norm * plotted.length * (edges[i + 1] - edge);
+    });
+}
+
+// Generate one histogram block (options and chart) for each continuous numeric feature in the schema
+// Canvases are created on the fly because the set of numeric columns depends on the dataset
+function generateNumericCharts(query) {
+    // Destroy charts from a previous run
+    Object.keys(charts).filter(key => key.startsWith('numeric:')).forEach(key => {
+        charts[key].destroy();
+        delete charts[key];
+    });
+    numericChartsContainer.innerHTML = '';
+    
+    if (schema.continuousColumns.length === 0) {
+        numericChartsContainer.innerHTML = '<p>The schema has no continuous numeric features.</p>';
+        return;
+    }
+    
+    schema.continuousColumns.forEach(col => {
+        const settings = getHistogramSettings(col);
+        const ruleOptions = Object.keys(HISTOGRAM_BIN_RULES)
+            .map(rule => `<option value="${rule}" ${settings.rule === rule ? 'selected' : ''}>${HISTOGRAM_BIN_RULES[rule]}</option>`)
+            .join('');
+        numericChartsContainer.insertAdjacentHTML('beforeend', `
+            <div class="histogram-block" data-histogram="${escapeHtml(col)}">
+                <h3>${escapeHtml(col)} Distribution</h3>
+                <div class="form-row histogram-controls">
+                    <label>Bins
+                        <select data-histogram-setting="rule">${ruleOptions}</select>
+                    </label>
+                    <label style="${settings.rule === 'fixed' ? '' : 'display: none;'}">Bin width
+                        <input type="text" data-histogram-setting="width" value="${escapeHtml(settings.width)}" placeholder="e.g. 5">
+                    </label>
+                    <label style="${settings.rule === 'custom' ? '' : 'display: none;'}">Edges
+                        <input type="text" data-histogram-setting="edges" value="${escapeHtml(settings.edges)}" placeholder="e.g. 0, 12, 18, 40, 80">
+                    </label>
+                    <label>Outcome
+                        <select data-histogram-setting="split">
+                            <option value="none" ${settings.split === 'none' ? 'selected' : ''}>All rows</option>
+                            <option value="stacked" ${settings.split === 'stacked' ? 'selected' : ''}>Stacked by outcome</option>
+                            <option value="overlaid" ${settings.split === 'overlaid' ? 'selected' : ''}>Overlaid by outcome</option>
+                        </select>
+                    </label>
+                    <label class="checkbox-label"><input type="checkbox" data-histogram-setting="log" ${settings.log ? 'checked' : ''}> Log scale</label>
+                    <label class="checkbox-label"><input type="checkbox" data-histogram-setting="kde" ${settings.kde ? 'checked' : ''}> Density curve</label>
+                </div>
+                <p class="hint histogram-note"></p>
+                <div class="chart-container">
+                    <canvas></canvas>
+                </div>
+            </div>
+        `);
+        renderNumericHistogram(col, query);
+    });
+}
+
+// (Re)draw the histogram of one column from its current settings
+function renderNumericHistogram(col, query = getLabelledTrainQuery()) {
+    const block = [...numericChartsContainer.querySelectorAll('.histogram-block')].find(element => element.dataset.histogram === col);
+    if (!block) return;
+    const key = 'numeric:' + col;
+    if (charts[key]) {
+        charts[key].destroy();
+        delete charts[key];
+    }
+    
+    const note = block.querySelector('.histogram-note');
+    try {
+        const result = generateNumericHistogram(applyQueryFilters(query, key), col, block.querySelector('canvas'));
+        charts[key] = result.chart;
+        note.textContent = result.notes.join(' ');
+    } catch (error) {
+        note.textContent = error.message;
+    }
+}
+
+// Store a changed histogram option and redraw that chart
+function handleHistogramControlChange(event) {
+    const setting = event.target.dataset.histogramSetting;
+    const block = event.target.closest('.histogram-block');
+    if (!setting || !block) return;
+    
+    const col = block.dataset.histogram;
+    const settings = getHistogramSettings(col);
+    settings[setting] = event.target.type === 'checkbox' ? event.target.checked : event.target.value;
+    if (setting === 'rule') {
+        block.querySelector('[data-histogram-setting="width"]').parentElement.style.display = settings.rule === 'fixed' ? '' : 'none';
+        block.querySelector('[data-histogram-setting="edges"]').parentElement.style.display = settings.rule === 'custom' ? '' : 'none';
+    }
+    renderNumericHistogram(col);
+}
+
+// Generate the histogram chart for one numeric column of a store query
+// Returns the chart plus notes about values the settings could not show
+function generateNumericHistogram(query, col, canvas) {
+    const settings = getHistogramSettings(col);
+    const present = query.filter(get => typeof get(col) === 'number');
+    const values = present.values(col);
+    if (values.length === 0) throw new Error('No values match the active filters.');
+    
+    const histogram = computeHistogram(values, settings);
+    const labels = histogram.labels;
+    const outcome = getOutcomeLabels();
+    const notes = [];
+    if (settings.log && !histogram.useLog) notes.push('Log scale needs values above -1, so the linear scale is shown.');
+    const outside = histogram.outside(values);
+    if (outside > 0) notes.push(`${outside} value(s) fall outside the custom edges and are not shown.`);
+    
+    const series = settings.split === 'none'
+        ? [{ label: 'Row Count', values, color: '52, 152, 219' }]
+        : [
+            { label: outcome.positive, values: present.filter(get => isPositiveValue(get(schema.targetColumn))).values(col), color: '46, 204, 113' },
+            { label: outcome.negative, values: present.filter(get => !isPositiveValue(get(schema.targetColumn))).values(col), color: '231, 76, 60' }
+        ];
+    const overlaid = settings.split === 'overlaid';
+    const datasets = series.map(entry => ({
+        type: 'bar',
+        label: entry.label,
+        data: histogram.count(entry.values),
+        backgroundColor: `rgba(${entry.color}, ${overlaid ? 0.4 : 0.7})`,
+        borderColor: `rgba(${entry.color}, 1)`,
+        borderWidth: 1,
+        order: 2
+    }));
+    if (settings.kde) {
+        series.forEach(entry => {
+            const density = entry.values.length > 1 ? computeKdeCounts(entry.values, histogram) : null;
+            if (!density) return;
+            datasets.push({
+                type: 'line',
+                label: `${entry.label} (density)`,
+                data: density,
+                borderColor: `rgba(${entry.color}, 1)`,
+                backgroundColor: 'transparent',
+                borderWidth: 2,
+                pointRadius: 0,
+                tension: 0.4,
+                // The stacked density curves would add up, so each one is drawn on its own
+                stack: `density:${entry.label}`,
+                order: 1
+            });
+        });
+    }
+    
+    const ctx = canvas.getContext('2d');
+    const chart = new Chart(ctx, {
+        type: 'bar',
+        data: {
+            labels: labels,
+            datasets
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            // Overlaid series are drawn on top of each other instead of side by side
+            grouped: !overlaid,
+            // Clicking a bin filters every other view to that range
+            onClick: (event, elements) => {
+                if (elements.length === 0) return;
+                const index = elements[0].index;
+                toggleFilter({
+                    column: col,
+                    kind: 'range',
+                    min: histogram.edges[index],
+                    max: histogram.edges[index + 1],
+                    includeMax: index === labels.length - 1,
+                    label: `${col}: ${labels[index]}`,
+                    origin: 'numeric:' + col
+                });
+            },
+            scales: {
+                y: {
+                    beginAtZero: true,
+                    stacked: settings.split === 'stacked',
+                    title: {
+                        display: true,
+                        text: 'Count'
+                    }
+                },
+                x: {
+                    stacked: settings.split === 'stacked',
+                    ticks: {
+                        maxRotation: 45
+                    },
+                    title: {
+                        display: true,
+                        text: histogram.useLog ? `${col} Range (log scale)` : `${col} Range`
+                    }
+                }
+            }
+        }
+    });
+    return { chart, notes };
+}
+
+// Order matrix rows/columns by average-linkage hierarchical clustering on 1 - |r|
+// Returns the leaf order of the dendrogram, so strongly related columns end up next to each other
+function computeClusterOrder(matrix) {
+    const distance = (a, b) => 1 - Math.abs(isNaN(matrix[a][b]) ? 0 : matrix[a][b]);
+    let clusters = matrix.map((row, i) => ({ members: [i], order: [i] }));
+    
+    while (clusters.length > 1) {
+        let best = null;
+        for (let i = 0; i < clusters.length - 1; i++) {
+            for (let j = i + 1; j < clusters.length; j++) {
+                let sum = 0;
+                clusters[i].members.forEach(a => clusters[j].members.forEach(b => {
+                    sum += distance(a, b);
+                }));
+                const average = sum / (clusters[i].members.length * clusters[j].members.length);
+                if (!best || average < best.average) best = { i, j, average };
+            }
+        }
+        const merged = {
+            members: [...clusters[best.i].members, ...clusters[best.j].members],
+            order: [...clusters[best.i].order, ...clusters[best.j].order]
+        };
+        clusters = clusters.filter((cluster, k) => k !== best.i && k !== best.j).concat([merged]);
+    }
+    return clusters[0].order;
+}
+
+// Colour for a correlation value: red for negative, white for zero, blue for positive
+function getHeatmapColor(value) {
+    if (isNaN(value)) return 'rgba(236, 240, 241, 1)';
+    const strength = Math.min(Math.abs(value), 1);
+    const [r, g, b] = value >= 0 ? [52, 152, 219] : [231, 76, 60];
+    const mix = channel => Math.round(255 + (channel - 255) * strength);
+    return `rgb(${mix(r)}, ${mix(g)}, ${mix(b)})`;
+}
+
+// Chart.js plugin that draws a matrix of coloured cells with the value printed in each one
+// The chart itself is a scatter chart with one invisible point per cell (used for tooltips)
+const heatmapPlugin = {
+    id: 'heatmapCells',
+    beforeDatasetsDraw(chart) {
+        const { ctx, scales: { x, y } } = chart;
+        const cells = chart.data.datasets[0].data;
+        const cellWidth = Math.abs(x.getPixelForValue(1) - x.getPixelForValue(0));
+        const cellHeight = Math.abs(y.getPixelForValue(1) - y.getPixelForValue(0));
+        
+        ctx.save();
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.font = `${Math.max(9, Math.min(14, cellWidth / 4))}px sans-serif`;
+        cells.forEach(cell => {
+            const left = x.getPixelForValue(cell.x - 0.5);
+            const top = y.getPixelForValue(cell.y - 0.5);
+            ctx.fillStyle = getHeatmapColor(cell.v);
+            ctx.fillRect(left, top, cellWidth, cellHeight);
+            ctx.strokeStyle = 'white';
+            ctx.strokeRect(left, top, cellWidth, cellHeight);
+            ctx.fillStyle = Math.abs(cell.v) > 0.6 ? 'white' : '#2c3e50';
+            ctx.fillText(isNaN(cell.v) ? '–' : cell.v.toFixed(2), left + cellWidth / 2, top + cellHeight / 2);
+        });
+        ctx.restore();
+    }
+};
+
+// Generate the correlation heatmap for the schema's numeric features and the target
+// Categorical features are added (Cramér's V / correlation ratio) when mixed types are enabled
+function generateCorrelationHeatmap(data) {
+    const method = correlationMethodSelect.value;
+    const includeCategorical = correlationMixedInput.checked;
+    
+    // Numeric columns (including numeric codes such as Pclass) plus the target when it is numeric
+    const kinds = {};
+    schema.numericColumns.forEach(col => {
+        kinds[col] = 'numeric';
+    });
+    if (includeCategorical) {
+        schema.categoricalColumns.filter(col => !kinds[col]).forEach(col => {
+            kinds[col] = 'categorical';
+        });
+    }
+    kinds[schema.targetColumn] = data.every(row => typeof row[schema.targetColumn] === 'number') ? 'numeric' : 'categorical';
+    let labels = Object.keys(kinds);
+    
+    // Calculate the association for every pair (the matrix is symmetric)
+    let matrix = labels.map(() => Array(labels.length).fill(0));
+    let measures = labels.map(() => Array(labels.length).fill(''));
+    for (let i = 0; i < labels.length; i++) {
+        matrix[i][i] = 1;
+        measures[i][i] = 'identity';
+        for (let j = i + 1; j < labels.length; j++) {
+            const result = computeAssociation(data, labels[i], labels[j], kinds[labels[i]], kinds[labels[j]], method);
+            matrix[i][j] = matrix[j][i] = result.value;
+            measures[i][j] = measures[j][i] = result.measure;
+        }
+    }
+    
+    // Optionally reorder rows and columns by hierarchical clustering
+    if (correlationClusterInput.checked && labels.length > 2) {
+        const order = computeClusterOrder(matrix);
+        labels = order.map(i => labels[i]);
+        matrix = order.map(i => order.map(j => matrix[i][j]));
+        measures = order.map(i => order.map(j => measures[i][j]));
+    }
+    
+    // Destroy existing chart if it exists
+    if (charts.correlation) {
+        charts.correlation.destroy();
+    }
+    
+    // Size the chart so cells stay roughly square and readable
+    const container = document.getElementById('correlation-chart').parentElement;
+    container.style.height = `${Math.max(300, labels.length * 45 + 100)}px`;
+    
+    const cells = [];
+    labels.forEach((rowLabel, i) => {
+        labels.forEach((colLabel, j) => {
+            cells.push({ x: j, y: i, v: matrix[i][j] });
+        });
+    });
+    const tickLabel = value => Number.isInteger(value) ? labels[value] : '';
+    
+    const ctx = document.getElementById('correlation-chart').getContext('2d');
+    charts.correlation = new Chart(ctx, {
+        type: 'scatter',
+        data: {
+            datasets: [{
+                label: 'Association',
+                data: cells,
+                pointRadius: 0,
+                pointHoverRadius: 0,
+                pointHitRadius: 20
+            }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            animation: false,
+            scales: {
+                x: {
+                    type: 'linear',
+                    position: 'top',
+                    min: -0.5,
+                    max: labels.length - 0.5,
+                    grid: { display: false },
+                    ticks: { stepSize: 1, autoSkip: false, maxRotation: 45, callback: tickLabel }
+                },
+                y: {
+                    type: 'linear',
+                    reverse: true,
+                    min: -0.5,
+                    max: labels.length - 0.5,
+                    grid: { display: false },
+                    ticks: { stepSize: 1, autoSkip: false, callback: tickLabel }
+                }
+            },
+            plugins: {
+                legend: {
+                    display: false
+                },
+                tooltip: {
+                    callbacks: {
+                        label: function(context) {
+                            const cell = context.raw;
+                            const value = isNaN(cell.v) ? 'n/a' : cell.v.toFixed(3);
+                            return `${labels[cell.y]} vs ${labels[cell.x]}: ${value} (${measures[cell.y][cell.x]})`;
+                        }
+                    }
+                }
+            }
+        },
+        plugins: [heatmapPlugin]
+    });
+    
+    // Store the matrix for export
+    window.correlationMatrix = {
+        method: CORRELATION_METHODS[method],
+        includeCategorical,
+        clustered: correlationClusterInput.checked,
+        labels,
+        matrix,
+        measures
+    };
+}
+
+// ---------------------------------------------------------------------------
+// Scatter-plot matrix and bivariate explorer
+// Every pair of the chosen numeric features as a small scatter plot of the filtered train and
+// test rows, coloured by outcome with the test rows in grey. Clicking a cell opens the pair in
+// a larger view with jitter on discrete columns, a trend line and hexbin density.
+// ---------------------------------------------------------------------------
+
+// Scatter plot settings
+// 1. maxFeatures - most features in the matrix (the number of cells grows with the square)
+// 2. cellSize - height of one matrix cell in pixels
+// 3. maxPoints - most rows drawn per plot; larger data is drawn from an evenly spaced sample
+// 4. hexbinRows - above this many rows the bivariate view shows hexbin density ("Auto")
+// 5. hexbinGridSize - hexagons across the x axis
+// 6. jitter - largest random offset of a discrete value, as a share of the gap between its levels
+// 7. loessSpan - share of the points each local LOESS fit uses
+const SCATTER_SETTINGS = {
+    maxFeatures: 6,
+    cellSize: 110,
+    maxPoints: 5000,
+    hexbinRows: 2000,
+    hexbinGridSize: 25,
+    jitter: 0.3,
+    loessSpan: 0.5
+};
+
+// Colour of the rows without a known outcome (the test split), as in the outlier plots
+const UNLABELLED_COLOR = 'rgba(149, 165, 166, 0.6)';
+
+// Features chosen for the matrix (null = the default choice) and the pair open in the larger view
+let scatterState = createScatterState();
+
+function createScatterState() {
+    return { features: null, pair: null };
+}
+
+// Numeric features of the matrix: the saved choice where it still exists, otherwise the
+// continuous features followed by the other numeric ones
+function getScatterFeatures() {
+    const available = schema.numericColumns;
+    const defaults = [...schema.continuousColumns, ...available.filter(col => !schema.continuousColumns.includes(col))];
+    return (scatterState.features || defaults).filter(col => available.includes(col)).slice(0, SCATTER_SETTINGS.maxFeatures);
+}
+
+// Filtered train and test rows, each with its outcome (null for rows without a known target),
+// unlabelled rows first so the coloured points are drawn on top
+function getScatterRows() {
+    return applyQueryFilters(applyOutlierQuery(dataStore.query())).select()
+        .map(row => ({ row, positive: row.source === 'train' && hasTarget(row) ? isPositiveValue(row[schema.targetColumn]) : null }))
+        .sort((a, b) => (a.positive === null ? 0 : 1) - (b.positive === null ? 0 : 1));
+}
+
+// Evenly spaced sample of at most maxPoints entries
+function sampleScatterRows(entries) {
+    const step = Math.ceil(entries.length / SCATTER_SETTINGS.maxPoints);
+    return step > 1 ? entries.filter((_, i) => i % step === 0) : entries;
+}
+
+// Point colour of a row's outcome
+function getScatterColor(positive) {
+    if (positive === null) return UNLABELLED_COLOR;
+    return OUTCOME_COLORS[positive ? 'positive' : 'negative'].point;
+}
+
+// Random offsets for the values of a column: none for continuous features, otherwise up to
+// the jitter share of the smallest gap between two levels
+function createJitter(col, values, rng) {
+    if (schema.continuousColumns.includes(col)) return () => 0;
+    const levels = [...new Set(values.filter(value => !isNaN(value)))].sort((a, b) => a - b);
+    const gap = levels.slice(1).reduce((smallest, level, i) => Math.min(smallest, level - levels[i]), Infinity);
+    const amount = SCATTER_SETTINGS.jitter * (isFinite(gap) ? gap : 1);
+    return () => (rng() - 0.5) * 2 * amount;
+}
+
+// Redraw the matrix with the checked features, keeping at most the maximum
+function handleScatterFeatureChange(event) {
+    if (event.target.dataset.scatterFeature === undefined) return;
+    const chosen = [...scatterFeaturesContainer.querySelectorAll('[data-scatter-feature]')]
+        .filter(input => input.checked)
+        .map(input => input.dataset.scatterFeature);
+    if (chosen.length > SCATTER_SETTINGS.maxFeatures) {
+        event.target.checked = false;
+        showStatus(`The scatter-plot matrix shows at most ${SCATTER_SETTINGS.maxFeatures} features`, 'error');
+        return;
+    }
+    scatterState.features = chosen;
+    generateScatterMatrix();
+}
+
+// Show the feature checkboxes and draw the matrix (and the open pair) from the filtered rows
+function generateScatterMatrix() {
+    const features = getScatterFeatures();
+    scatterFeaturesContainer.innerHTML = schema.numericColumns.map(col => `
+        <label><input type="checkbox" data-scatter-feature="${escapeHtml(col)}" ${features.includes(col) ? 'checked' : ''}> ${escapeHtml(col)}</label>
+    `).join('');
+    
+    if (charts.scatterMatrix) {
+        charts.scatterMatrix.destroy();
+        delete charts.scatterMatrix;
+    }
+    const canvas = document.getElementById('scatter-matrix-chart');
+    if (features.length < 2) {
+        canvas.parentElement.style.height = '0px';
+        scatterMatrixNote.textContent = 'Choose at least two numeric features.';
+        renderBivariateView();
+        return;
+    }
+    
+    // Jittered values, range and histogram of every feature over the drawn sample
+    const entries = getScatterRows();
+    const sample = sampleScatterRows(entries);
+    const rng = createRandom(11);
+    const columns = {};
+    features.forEach(col => {
+        const raw = sample.map(entry => typeof entry.row[col] === 'number' ? entry.row[col] : NaN);
+        const jitter = createJitter(col, raw, rng);
+        const values = Float64Array.from(raw, value => isNaN(value) ? NaN : value + jitter());
+        const present = [...values].filter(value => !isNaN(value));
+        const histogram = computeHistogramBins(present, 12);
+        columns[col] = {
+            values,
+            min: present.length > 0 ? present.reduce((lowest, value) => Math.min(lowest, value), Infinity) : 0,
+            max: present.length > 0 ? present.reduce((highest, value) => Math.max(highest, value), -Infinity) : 0,
+            counts: histogram.count(present)
+        };
+    });
+    const correlations = features.map(rowCol => features.map(col => {
+        const pairs = entries.filter(entry => typeof entry.row[rowCol] === 'number' && typeof entry.row[col] === 'number');
+        return computePearson(pairs.map(entry => entry.row[col]), pairs.map(entry => entry.row[rowCol]));
+    }));
+    
+    const cells = [];
+    features.forEach((rowCol, i) => {
+        features.forEach((col, j) => {
+            cells.push({ x: j, y: i });
+        });
+    });
+    const tickLabel = value => Number.isInteger(value) ? features[value] : '';
+    canvas.parentElement.style.height = `${features.length * SCATTER_SETTINGS.cellSize + 60}px`;
+    scatterMatrixNote.textContent = `${entries.length.toLocaleString()} rows${sample.length < entries.length ? ` (${sample.length.toLocaleString()} drawn)` : ''}. Discrete features are jittered; click a cell for the larger view.`;
+    
+    charts.scatterMatrix = new Chart(canvas.getContext('2d'), {
+        type: 'scatter',
+        data: {
+            datasets: [{
+                label: 'Pairs',
+                data: cells,
+                pointRadius: 0,
+                pointHoverRadius: 0,
+                pointHitRadius: SCATTER_SETTINGS.cellSize / 2,
+                matrix: { features, columns, colors: sample.map(entry => getScatterColor(entry.positive)) }
+            }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            animation: false,
+            onClick: (event, elements) => {
+                if (elements.length === 0) return;
+                const cell = cells[elements[0].index];
+                if (cell.x === cell.y) return;
+                scatterState.pair = { x: features[cell.x], y: features[cell.y] };
+                renderBivariateView();
+            },
+            scales: {
+                x: {
+                    type: 'linear',
+                    position: 'top',
+                    min: -0.5,
+                    max: features.length - 0.5,
+                    grid: { display: false },
+                    ticks: { stepSize: 1, autoSkip: false, callback: tickLabel }
+                },
+                y: {
+                    type: 'linear',
+                    reverse: true,
+                    min: -0.5,
+                    max: features.length - 0.5,
+                    grid: { display: false },
+                    ticks: { stepSize: 1, autoSkip: false, callback: tickLabel }
+                }
+            },
+            plugins: {
+                legend: {
+                    display: false
+                },
+                tooltip: {
+                    callbacks: {
+                        label: function(context) {
+                            const cell = context.raw;
+                            if (cell.x === cell.y) return `${features[cell.x]}: distribution`;
+                            const r = correlations[cell.y][cell.x];
+                            return `${features[cell.y]} vs ${features[cell.x]}: Pearson r = ${isNaN(r) ? 'n/a' : r.toFixed(3)}`;
+                        }
+                    }
+                }
+            }
+        },
+        plugins: [scatterMatrixPlugin]
+    });
+    renderBivariateView(entries);
+}
+
+// Draw every cell of the matrix: a histogram on the diagonal, a scatter plot elsewhere
+// (the x value from the cell's column, the y value from its row)
+const scatterMatrixPlugin = {
+    id: 'scatterMatrix',
+    beforeDatasetsDraw(chart) {
+        const { ctx, scales: { x, y } } = chart;
+        const { features, columns, colors } = chart.data.datasets[0].matrix;
+        const padding = 5;
+        
+        ctx.save();
+        features.forEach((rowCol, i) => {
+            features.forEach((col, j) => {
+                const left = x.getPixelForValue(j - 0.5) + padding;
+                const right = x.getPixelForValue(j + 0.5) - padding;
+                const top = y.getPixelForValue(i - 0.5) + padding;
+                const bottom = y.getPixelForValue(i + 0.5) - padding;
+                ctx.strokeStyle = '#ddd';
+                ctx.strokeRect(left, top, right - left, bottom - top);
+                const xs = columns[col];
+                const toX = value => left + (right - left) * (value - xs.min) / (xs.max - xs.min || 1);
+                
+                if (i === j) {
+                    const highest = Math.max(...xs.counts, 1);
+                    const width = (right - left) / xs.counts.length;
+                    ctx.fillStyle = 'rgba(52, 152, 219, 0.5)';
+                    xs.counts.forEach((count, k) => {
+                        const height = (bottom - top) * count / highest;
+                        ctx.fillRect(left + k * width, bottom - height, width - 1, height);
+                    });
+                    return;
+                }
+                
+                const ys = columns[rowCol];
+                const toY = value => bottom - (bottom - top) * (value - ys.min) / (ys.max - ys.min || 1);
+                for (let k = 0; k < colors.length; k++) {
+                    if (isNaN(xs.values[k]) || isNaN(ys.values[k])) continue;
+                    ctx.fillStyle = colors[k];
+                    ctx.fillRect(toX(xs.values[k]) - 1, toY(ys.values[k]) - 1, 2, 2);
+                }
+            });
+        });
+        ctx.restore();
+    }
+};
+
+// Colour of a hexagon: red to green with the outcome share of its labelled rows (grey when it
+// has none), more opaque the more rows it holds
+function getHexbinColor(bin, maxCount) {
+    const alpha = (0.25 + 0.75 * bin.count / maxCount).toFixed(2);
+    if (bin.labelled === 0) return `rgba(149, 165, 166, ${alpha})`;
+    const share = bin.positives / bin.labelled;
+    const mix = (from, to) => Math.round(from + (to - from) * share);
+    return `rgba(${mix(231, 46)}, ${mix(76, 204)}, ${mix(60, 113)}, ${alpha})`;
+}
+
+// Draw the hexagons of the dataset that carries hexbin counts
+const hexbinPlugin = {
+    id: 'hexbin',
+    beforeDatasetsDraw(chart) {
+        const dataset = chart.data.datasets.find(candidate => candidate.hexbin);
+        if (!dataset) return;
+        const { ctx, scales: { x, y } } = chart;
+        const { hexagon, bins } = dataset.hexbin;
+        const maxCount = Math.max(...bins.map(bin => bin.count), 1);
+        
+        ctx.save();
+        bins.forEach(bin => {
+            ctx.beginPath();
+            hexagon.forEach(corner => ctx.lineTo(x.getPixelForValue(bin.x + corner.x), y.getPixelForValue(bin.y + corner.y)));
+            ctx.closePath();
+            ctx.fillStyle = getHexbinColor(bin, maxCount);
+            ctx.fill();
+        });
+        ctx.restore();
+    }
+};
+
+// Larger scatter plot of the open pair: jittered points per outcome, or hexbin density for
+// large data, with the chosen trend line over all rows that have both values
+function renderBivariateView(entries) {
+    if (charts.bivariate) {
+        charts.bivariate.destroy();
+        delete charts.bivariate;
+    }
+    const pair = scatterState.pair;
+    if (!pair || !schema || !getScatterFeatures().includes(pair.x) || !getScatterFeatures().includes(pair.y)) {
+        bivariateView.style.display = 'none';
+        return;
+    }
+    bivariateView.style.display = '';
+    bivariateTitle.textContent = `${pair.y} vs ${pair.x}`;
+    
+    const complete = (entries || getScatterRows()).filter(entry => typeof entry.row[pair.x] === 'number' && typeof entry.row[pair.y] === 'number');
+    const xs = complete.map(entry => entry.row[pair.x]);
+    const ys = complete.map(entry => entry.row[pair.y]);
+    const outcome = getOutcomeLabels();
+    const mode = bivariateDensitySelect.value === 'auto'
+        ? (complete.length > SCATTER_SETTINGS.hexbinRows ? 'hexbin' : 'points')
+        : bivariateDensitySelect.value;
+    
+    const datasets = [];
+    if (mode === 'hexbin') {
+        const hexbin = computeHexbins(complete.map(entry => ({ x: entry.row[pair.x], y: entry.row[pair.y], positive: entry.positive })), SCATTER_SETTINGS.hexbinGridSize);
+        datasets.push({
+            label: 'Rows per hexagon (colour: outcome share)',
+            data: hexbin.bins,
+            hexbin,
+            pointRadius: 0,
+            pointHoverRadius: 0,
+            pointHitRadius: 8,
+            backgroundColor: 'rgba(46, 204, 113, 0.7)'
+        });
+    } else {
+        const rng = createRandom(13);
+        const jitterX = createJitter(pair.x, xs, rng);
+        const jitterY = createJitter(pair.y, ys, rng);
+        const groups = [
+            { key: true, label: outcome.positive },
+            { key: false, label: outcome.negative },
+            { key: null, label: 'Test / unlabelled' }
+        ];
+        groups.forEach(group => {
+            const points = sampleScatterRows(complete.filter(entry => entry.positive === group.key)).map(entry => ({
+                x: entry.row[pair.x] + jitterX(),
+                y: entry.row[pair.y] + jitterY(),
+                valueX: entry.row[pair.x],
+                valueY: entry.row[pair.y]
+            }));
+            datasets.push({
+                label: `${group.label} (${points.length})`,
+                data: points,
+                backgroundColor: getScatterColor(group.key),
+                pointRadius: 2.5
+            });
+        });
+    }
+    
+    let trendNote = '';
+    if (bivariateTrendSelect.value === 'linear') {
+        const fit = computeLinearFit(xs, ys);
+        if (fit) {
+            const low = xs.reduce((lowest, x) => Math.min(lowest, x), Infinity);
+            const high = xs.reduce((highest, x) => Math.max(highest, x), -Infinity);
+            datasets.push(createTrendDataset(`Linear fit (R² = ${fit.r2.toFixed(3)})`, [
+                { x: low, y: fit.intercept + fit.slope * low },
+                { x: high, y: fit.intercept + fit.slope * high }
+            ]));
+            trendNote = ` Linear fit: ${pair.y} = ${fit.intercept.toFixed(3)} ${fit.slope < 0 ? '-' : '+'} ${Math.abs(fit.slope).toFixed(3)} × ${pair.x}.`;
+        }
+    } else if (bivariateTrendSelect.value === 'loess') {
+        const curve = computeLoess(xs, ys, SCATTER_SETTINGS.loessSpan);
+        if (curve.length > 0) datasets.push(createTrendDataset(`LOESS (span ${SCATTER_SETTINGS.loessSpan})`, curve));
+    }
+    
+    const r = computePearson(xs, ys);
+    const jittered = [pair.x, pair.y].filter(col => mode === 'points' && !schema.continuousColumns.includes(col));
+    bivariateNote.textContent = `${complete.length.toLocaleString()} rows with both values, Pearson r = ${isNaN(r) ? 'n/a' : r.toFixed(3)}.` +
+        (jittered.length > 0 ? ` ${jittered.join(' and ')} ${jittered.length > 1 ? 'are' : 'is'} jittered.` : '') +
+        (mode === 'hexbin' ? ' Hexagons are coloured from red to green by the outcome share of their labelled rows (grey: test rows only).' : '') +
+        trendNote;
+    
+    charts.bivariate = new Chart(document.getElementById('bivariate-chart').getContext('2d'), {
+        type: 'scatter',
+        data: { datasets },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            animation: false,
+            scales: {
+                x: { title: { display: true, text: pair.x } },
+                y: { title: { display: true, text: pair.y } }
+            },
+            plugins: {
+                tooltip: {
+                    callbacks: {
+                        label: function(context) {
+                            const point = context.raw;
+                            if (context.dataset.hexbin) {
+                                const rate = point.labelled > 0 ? `, ${((point.positives / point.labelled) * 100).toFixed(1)}% ${outcome.positive} of ${point.labelled} labelled` : '';
+                                return `${point.count} rows${rate}`;
+                            }
+                            if (point.valueX === undefined) return `${context.dataset.label}: ${point.y.toFixed(2)} at ${point.x.toFixed(2)}`;
+                            return `${pair.x} = ${point.valueX}, ${pair.y} = ${point.valueY}`;
+                        }
+                    }
+                }
+            }
+        },
+        plugins: [hexbinPlugin]
+    });
+}
+
+// Line dataset of a trend curve
+function createTrendDataset(label, points) {
+    return {
+        type: 'line',
+        label,
+        data: points,
+        borderColor: '#2c3e50',
+        borderWidth: 2,
+        pointRadius: 0,
+        pointHitRadius: 4,
+        fill: false,
+        tension: 0
+    };
+}
+
+// ---------------------------------------------------------------------------
+// Feature space projection
+// The schema's features of the filtered train and test rows, one-hot encoded and
+// standardised, projected to two dimensions with PCA or with t-SNE in a worker. The points
+// are coloured by outcome or any other column, and hovering one shows the passenger's record.
+// ---------------------------------------------------------------------------
+
+// Projection settings
+// 1. maxTsneRows - t-SNE compares every pair of rows, so larger data is sampled evenly to this size
+// 2. components - principal components shown in the explained variance chart
+const PROJECTION_SETTINGS = {
+    maxTsneRows: 2000,
+    components: 10
+};
+
+// Rows and 2-D coordinates (x and y of every row in turn) of the last projection, kept so the
+// points can be recoloured without projecting again
+let projectionView = null;
+
+// The running t-SNE job; kept apart from activeTask so a projection never cancels a parse or a
+// statistics job (and is not cancelled by one)
+let projectionTask = null;
+
+// Stop the running t-SNE job, if any; its result is dropped
+function cancelProjectionJob() {
+    if (!projectionTask) return;
+    projectionTask.cancel();
+    projectionTask = null;
+}
+
+// Offer every column for the colouring (the target first) and drop the last projection
+function clearProjection() {
+    cancelProjectionJob();
+    window.projection = null;
+    projectionView = null;
+    projectionResults.innerHTML = '';
+    ['projection', 'projectionVariance'].forEach(key => {
+        if (charts[key]) {
+            charts[key].destroy();
+            delete charts[key];
+        }
+    });
+    if (!schema) return;
+    
+    const previous = projectionColorSelect.value;
+    const columns = [schema.targetColumn, ...getDatasetColumns().filter(col => col !== schema.targetColumn && !SCHEMA_RULES.metaColumns.includes(col))];
+    projectionColorSelect.innerHTML = columns
+        .map(col => `<option value="${escapeHtml(col)}">${escapeHtml(col)}${col === schema.targetColumn ? ' (outcome)' : ''}</option>`)
+        .join('');
+    if (columns.includes(previous)) projectionColorSelect.value = previous;
+}
+
+// Encode the filtered rows, run PCA and, when chosen, t-SNE, then render the results
+function runProjection() {
+    if (!schema) {
+        showStatus('Please confirm the schema first', 'error');
+        return;
+    }
+    const method = projectionMethodSelect.value;
+    const perplexity = parseFloat(projectionPerplexityInput.value);
+    if (method === 'tsne' && !(perplexity >= 2 && perplexity <= 100)) {
+        showStatus('The perplexity must be a number between 2 and 100', 'error');
+        return;
+    }
+    
+    const rows = applyQueryFilters(applyOutlierQuery(dataStore.query())).select();
+    const encoded = encodeFeatureMatrix(rows, schema);
+    if (rows.length < 3 || encoded.columns.length < 2) {
+        showStatus('The projection needs at least 3 rows and 2 varying feature columns', 'error');
+        return;
+    }
+    const pca = computePca(encoded.matrix, 2);
+    const components = pca.explained.slice(0, PROJECTION_SETTINGS.components);
+    const summary = {
+        method: method === 'tsne' ? 't-SNE' : 'PCA',
+        rows: rows.length,
+        projectedRows: rows.length,
+        perplexity: method === 'tsne' ? perplexity : null,
+        columns: encoded.columns,
+        explainedVariance: components,
+        loadings: Object.fromEntries(encoded.columns.map((col, c) => [col, pca.loadings.slice(0, 2).map(vector => vector[c])]))
+    };
+    
+    const finish = (projected, coordinates) => {
+        window.projection = { ...summary, projectedRows: projected.length };
+        projectionView = { rows: projected, coordinates };
+        renderProjection();
+        showStatus(`${summary.method} projection of ${projected.length.toLocaleString()} rows on ${encoded.columns.length} encoded columns`, 'success');
+    };
+    
+    if (method === 'pca') {
+        finish(rows, Float64Array.from(pca.scores.flat()));
+        return;
+    }
+    
+    // Exact t-SNE compares every pair, so large data is sampled evenly
+    const step = Math.ceil(rows.length / PROJECTION_SETTINGS.maxTsneRows);
+    const indices = rows.map((_, i) => i).filter(i => i % step === 0);
+    runProjectionJob(indices.map(i => encoded.matrix[i]), { ...TSNE_SETTINGS, perplexity }, embedding => {
+        finish(indices.map(i => rows[i]), embedding);
+    });
+}
+
+// Entry point of the projection worker: embed the posted matrix and report progress
+function projectionWorkerMain() {
+    self.onmessage = event => {
+        const { matrix, settings } = event.data;
+        const embedding = computeTsne(matrix, settings, fraction => {
+            self.postMessage({ type: 'progress', fraction });
+        });
+        self.postMessage({ type: 'result', embedding }, [embedding.buffer]);
+    };
+}
+
+// Run t-SNE in a worker built from computeTsne; falls back to the main thread when workers
+// cannot be created. A newer job replaces one that is still running
+function runProjectionJob(matrix, settings, onResult) {
+    cancelProjectionJob();
+    
+    const runOnMainThread = () => onResult(computeTsne(matrix, settings));
+    
+    let worker;
+    let url;
+    try {
+        const source = `${computeTsne.toString()}\n(${projectionWorkerMain.toString()})();`;
+        url = URL.createObjectURL(new Blob([source], { type: 'text/javascript' }));
+        worker = new Worker(url);
+    } catch (error) {
+        runOnMainThread();
+        return;
+    }
+    
+    const task = {
+        cancel: () => {
+            worker.terminate();
+            URL.revokeObjectURL(url);
+            if (!activeTask) hideProgress();
+        }
+    };
+    const finish = () => {
+        task.cancel();
+        projectionTask = null;
+    };
+    projectionTask = task;
+    showProgress('Computing the t-SNE projection...', 0);
+    
+    worker.onmessage = event => {
+        // Messages that were already queued when the job was replaced or cleared
+        if (projectionTask !== task) return;
+        if (event.data.type === 'progress') {
+            showProgress('Computing the t-SNE projection...', event.data.fraction);
+            return;
+        }
+        finish();
+        onResult(event.data.embedding);
+    };
+    worker.onerror = event => {
+        // Blocked workers (e.g. strict content security policies) fall back to the main thread
+        event.preventDefault();
+        if (projectionTask !== task) return;
+        finish();
+        runOnMainThread();
+    };
+    worker.postMessage({ matrix, settings });
+}
+
+// Explained variance chart, 2-D scatter and loadings table of the last projection
+function renderProjection() {
+    const projection = window.projection;
+    const loadingRows = Object.keys(projection.loadings)
+        .sort((a, b) => Math.abs(projection.loadings[b][0]) - Math.abs(projection.loadings[a][0]))
+        .map(col => `
+            <tr>
+                <td>${escapeHtml(col)}</td>
+                ${projection.loadings[col].map(value => `<td style="background-color: ${getHeatmapColor(value)}">${value.toFixed(3)}</td>`).join('')}
+            </tr>
+        `).join('');
+    const explained = projection.explainedVariance;
+    
+    projectionResults.innerHTML = `
+        <p class="hint">${projection.method} of ${projection.projectedRows.toLocaleString()}${projection.projectedRows < projection.rows ? ` sampled from ${projection.rows.toLocaleString()}` : ''} rows on ${projection.columns.length} encoded columns${projection.perplexity ? ` (perplexity ${projection.perplexity})` : ''}. The first two principal components explain ${((explained[0] + (explained[1] || 0)) * 100).toFixed(1)}% of the variance. Missing values sit at the column mean; t-SNE distances between clusters are not meaningful, only the neighbourhoods are.</p>
+        <div class="chart-grid">
+            <div>
+                <h3>${projection.method === 'PCA' ? 'PC1 vs PC2' : 't-SNE Embedding'}</h3>
+                <div class="chart-container projection-container">
+                    <canvas id="projection-chart"></canvas>
+                </div>
+            </div>
+            <div>
+                <h3>Explained Variance</h3>
+                <div class="chart-container">
+                    <canvas id="projection-variance-chart"></canvas>
+                </div>
+                <h3>Loadings</h3>
+                <div class="outlier-table">
+                    <table class="profile-table">
+                        <thead><tr><th>Encoded column</th><th>PC1</th><th>PC2</th></tr></thead>
+                        <tbody>${loadingRows}</tbody>
+                    </table>
+                </div>
+            </div>
+        </div>
+    `;
+    
+    if (charts.projectionVariance) charts.projectionVariance.destroy();
+    let cumulative = 0;
+    charts.projectionVariance = new Chart(document.getElementById('projection-variance-chart').getContext('2d'), {
+        type: 'bar',
+        data: {
+            labels: explained.map((_, k) => `PC${k + 1}`),
+            datasets: [
+                {
+                    type: 'line',
+                    label: 'Cumulative',
+                    data: explained.map(value => (cumulative += value) * 100),
+                    borderColor: '#2c3e50',
+                    pointRadius: 3,
+                    fill: false
+                },
+                {
+                    label: 'Explained variance',
+                    data: explained.map(value => value * 100),
+                    backgroundColor: 'rgba(52, 152, 219, 0.7)'
+                }
+            ]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            scales: {
+                y: {
+                    beginAtZero: true,
+                    max: 100,
+                    title: {
+                        display: true,
+                        text: '% of variance'
+                    }
+                }
+            }
+        }
+    });
+    renderProjectionScatter();
+}
+
+// Point colours of the projection: outcome classes for the target, one colour per level of a
+// categorical column, and a light-to-dark scale over the ranks of a numeric column
+// Returns the datasets of the scatter chart
+function createProjectionDatasets(rows, coordinates, col) {
+    const point = i => ({ x: coordinates[2 * i], y: coordinates[2 * i + 1], index: i });
+    if (col === schema.targetColumn) {
+        const outcome = getOutcomeLabels();
+        return [
+            { key: true, label: outcome.positive },
+            { key: false, label: outcome.negative },
+            { key: null, label: 'Test / unlabelled' }
+        ].map(group => {
+            const data = [];
+            rows.forEach((row, i) => {
+                const positive = row.source === 'train' && hasTarget(row) ? isPositiveValue(row[col]) : null;
+                if (positive === group.key) data.push(point(i));
+            });
+            return { label: `${group.label} (${data.length})`, data, backgroundColor: getScatterColor(group.key), pointRadius: 2.5 };
+        });
+    }
+    
+    const present = rows.map(row => row[col]).filter(value => !isMissing(value));
+    const levels = [...new Set(present)];
+    const missing = { label: 'Missing', data: [], backgroundColor: UNLABELLED_COLOR, pointRadius: 2.5 };
+    rows.forEach((row, i) => {
+        if (isMissing(row[col])) missing.data.push(point(i));
+    });
+    
+    if (levels.length > PIVOT_COLORS.length && present.every(value => typeof value === 'number')) {
+        const sorted = [...present].sort((a, b) => a - b);
+        const rank = value => {
+            let low = 0;
+            let high = sorted.length;
+            while (low < high) {
+                const middle = (low + high) >> 1;
+                if (sorted[middle] < value) low = middle + 1; else high = middle;
+            }
+            return sorted.length > 1 ? low / (sorted.length - 1) : 0;
+        };
+        const data = [];
+        const colors = [];
+        rows.forEach((row, i) => {
+            if (isMissing(row[col])) return;
+            const share = Math.min(rank(row[col]), 1);
+            const mix = (from, to) => Math.round(from + (to - from) * share);
+            data.push(point(i));
+            colors.push(`rgba(${mix(214, 21)}, ${mix(234, 67)}, ${mix(248, 96)}, 0.8)`);
+        });
+        return [{ label: `${col} (light = low, dark = high)`, data, backgroundColor: colors, pointRadius: 2.5 }, missing];
+    }
+    
+    // Most frequent levels first; the rest share the last colour
+    const counts = new Map();
+    present.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+    const ranked = [...counts.keys()].sort((a, b) => counts.get(b) - counts.get(a));
+    const shown = ranked.length > PIVOT_COLORS.length ? ranked.slice(0, PIVOT_COLORS.length - 1) : ranked;
+    const datasets = shown.map((level, k) => ({ level, label: String(level), data: [], backgroundColor: PIVOT_COLORS[k], pointRadius: 2.5 }));
+    const other = { label: `Other (${ranked.length - shown.length} values)`, data: [], backgroundColor: PIVOT_COLORS[PIVOT_COLORS.length - 1], pointRadius: 2.5 };
+    rows.forEach((row, i) => {
+        if (isMissing(row[col])) return;
+        const dataset = datasets.find(candidate => candidate.level === row[col]) || other;
+        dataset.data.push(point(i));
+    });
+    return [...datasets, other, missing].filter(dataset => dataset.data.length > 0);
+}
+
+// Draw the projected rows coloured by the chosen column; the tooltip lists the row's record
+function renderProjectionScatter() {
+    if (!projectionView) return;
+    if (charts.projection) charts.projection.destroy();
+    const { rows, coordinates } = projectionView;
+    const axes = window.projection.method === 'PCA'
+        ? window.projection.explainedVariance.slice(0, 2).map((value, k) => `PC${k + 1} (${(value * 100).toFixed(1)}%)`)
+        : ['t-SNE 1', 't-SNE 2'];
+    const columns = getDatasetColumns().filter(col => !SCHEMA_RULES.metaColumns.includes(col));
+    
+    charts.projection = new Chart(document.getElementById('projection-chart').getContext('2d'), {
+        type: 'scatter',
+        data: { datasets: createProjectionDatasets(rows, coordinates, projectionColorSelect.value) },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            animation: false,
+            scales: {
+                x: { title: { display: true, text: axes[0] } },
+                y: { title: { display: true, text: axes[1] } }
+            },
+            plugins: {
+                tooltip: {
+                    callbacks: {
+                        title: items => {
+                            const row = rows[items[0].raw.index];
+                            const id = schema.idColumn ? `${schema.idColumn} ${row[schema.idColumn]}` : `Row ${items[0].raw.index + 1}`;
+                            return `${id} (${row.source})`;
+                        },
+                        label: context => {
+                            const row = rows[context.raw.index];
+                            return columns.map(col => `${col}: ${isMissing(row[col]) ? 'N/A' : row[col]}`);
+                        }
+                    }
+                }
+            }
+        }
+    });
+}
+
+// ---------------------------------------------------------------------------
+// Survival pivot builder
+// Positive-class rates for every combination of up to three grouping columns, with
+// Wilson 95% confidence intervals and a flag on cells too small to trust.
+// ---------------------------------------------------------------------------
+
+const PIVOT_MAX_COLUMNS = 3;
+const PIVOT_COLORS = [
+    'rgba(52, 152, 219, 0.7)',
+    'rgba(230, 126, 34, 0.7)',
+    'rgba(46, 204, 113, 0.7)',
+    'rgba(155, 89, 182, 0.7)',
+    'rgba(231, 76, 60, 0.7)',
+    'rgba(241, 196, 15, 0.7)',
+    'rgba(26, 188, 156, 0.7)',
+    'rgba(52, 73, 94, 0.7)'
+];
+
+// Wilson score interval for a binomial proportion (95% by default)
+function computeWilsonInterval(successes, total, z = 1.96) {
+    if (total === 0) return { low: 0, high: 0 };
+    const p = successes / total;
+    const z2 = z * z;
+    const denominator = 1 + z2 / total;
+    const center = (p + z2 / (2 * total)) / denominator;
+    const half = (z * Math.sqrt(p * (1 - p) / total + z2 / (4 * total * total))) / denominator;
+    return { low: Math.max(0, center - half), high: Math.min(1, center + half) };
+}
+
+function formatBandEdge(value) {
+    return Number.isInteger(value) ? String(value) : value.toFixed(1);
+}
+
+// Map a grouping column to ordered levels and a function that assigns each row its level
+// Continuous columns are cut into equal-width or equal-count (quantile) bands; missing
+// values get their own "Missing" level
+function createPivotGrouping(col, rows, bandMethod, bandCount) {
+    const values = rows.map(row => row[col]).filter(value => !isMissing(value));
+    let levels;
+    let levelOf;
+    
+    if (schema.continuousColumns.includes(col) && values.length > 0) {
+        if (bandMethod === 'quantile') {
+            const edges = computeQuantileEdges(values, bandCount);
+            levels = edges.length === 0
+                ? ['All']
+                : [
+                    `< ${formatBandEdge(edges[0])}`,
+                    ...edges.slice(1).map((edge, i) => `${formatBandEdge(edges[i])}-${formatBandEdge(edge)}`),
+                    `≥ ${formatBandEdge(edges[edges.length - 1])}`
+                ];
+            levelOf = value => {
+                const band = edges.findIndex(edge => value < edge);
+                return levels[band === -1 ? edges.length : band];
+            };
+        } else {
+            const bins = computeHistogramBins(values, bandCount);
+            levels = bins.labels;
+            levelOf = value => {
+                const band = bins.edges.findIndex(([, upper]) => value < upper);
+                return levels[band === -1 ? levels.length - 1 : band];
+            };
+        }
+    } else {
+        levels = [...new Set(values.map(String))].sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+        levelOf = value => String(value);
+    }
+    
+    if (values.length < rows.length) levels = [...levels, 'Missing'];
+    return {
+        column: col,
+        levels,
+        assign: row => isMissing(row[col]) ? 'Missing' : levelOf(row[col])
+    };
+}
+
+// Count rows and positives for every observed combination of the grouping levels
+function computePivot(rows, columns, options) {
+    const groupings = columns.map(col => createPivotGrouping(col, rows, options.bandMethod, options.bandCount));
+    const cellsByKey = new Map();
+    rows.forEach(row => {
+        const keys = groupings.map(grouping => grouping.assign(row));
+        const id = JSON.stringify(keys);
+        if (!cellsByKey.has(id)) cellsByKey.set(id, { keys, count: 0, positives: 0 });
+        const cell = cellsByKey.get(id);
+        cell.count++;
+        if (isPositive(row)) cell.positives++;
+    });
+    
+    // Order the cells by the level order of each grouping column in turn
+    const levelIndex = (i, key) => groupings[i].levels.indexOf(key);
+    const cells = [...cellsByKey.values()].sort((a, b) => {
+        for (let i = 0; i < groupings.length; i++) {
+            const diff = levelIndex(i, a.keys[i]) - levelIndex(i, b.keys[i]);
+            if (diff !== 0) return diff;
+        }
+        return 0;
+    });
+    
+    const describe = cell => {
+        const interval = computeWilsonInterval(cell.positives, cell.count);
+        return {
+            ...cell,
+            rate: cell.count > 0 ? cell.positives / cell.count : 0,
+            low: interval.low,
+            high: interval.high,
+            sparse: cell.count < options.minCount
+        };
+    };
+    
+    return {
+        columns,
+        levels: groupings.map(grouping => grouping.levels),
+        bandMethod: options.bandMethod,
+        bandCount: options.bandCount,
+        minCount: options.minCount,
+        overall: describe({ keys: [], count: rows.length, positives: rows.filter(isPositive).length }),
+        cells: cells.map(describe)
+    };
+}
+
+// Fill the grouping selects from the confirmed schema and drop any previous result
+function clearPivot() {
+    window.pivotTable = null;
+    pivotResults.innerHTML = '';
+    if (charts.pivot) {
+        charts.pivot.destroy();
+        delete charts.pivot;
+    }
+    if (!schema) return;
+    
+    const candidates = [...schema.categoricalColumns, ...schema.continuousColumns];
+    pivotColumnSelects.forEach((select, i) => {
+        const previous = select.value;
+        const options = candidates.map(col => {
+            const banded = schema.continuousColumns.includes(col) ? ' (banded)' : '';
+            return `<option value="${escapeHtml(col)}">${escapeHtml(col)}${banded}</option>`;
+        });
+        // The first grouping column is required, the others are optional
+        select.innerHTML = (i === 0 ? '' : '<option value="">(none)</option>') + options.join('');
+        if (candidates.includes(previous) || (i > 0 && previous === '')) select.value = previous;
+    });
+}
+
+// Build the pivot from the chosen columns and render it
+function runPivot() {
+    if (!schema) {
+        showStatus('Please confirm the schema first', 'error');
+        return;
+    }
+    
+    const columns = [];
+    pivotColumnSelects.forEach(select => {
+        if (select.value && !columns.includes(select.value)) columns.push(select.value);
+    });
+    if (columns.length === 0) {
+        showStatus('Please choose at least one grouping column', 'error');
+        return;
+    }
+    
+    const rows = applyFilters(getLabelledTrainRows());
+    if (rows.length === 0) {
+        showStatus('No labelled rows match the active filters', 'error');
+        return;
+    }
+    
+    const pivot = computePivot(rows, columns.slice(0, PIVOT_MAX_COLUMNS), {
+        bandMethod: pivotBandMethodSelect.value,
+        bandCount: Math.max(2, parseInt(pivotBandCountInput.value, 10) || 5),
+        minCount: Math.max(1, parseInt(pivotMinCountInput.value, 10) || 10)
+    });
+    window.pivotTable = pivot;
+    renderPivot(pivot);
+    
+    const sparse = pivot.cells.filter(cell => cell.sparse).length;
+    showStatus(`Pivot built: ${pivot.cells.length} groups${sparse > 0 ? `, ${sparse} with fewer than ${pivot.minCount} rows` : ''}`, sparse > 0 ? 'warning' : 'success');
+}
+
+// Render the pivot table and the grouped bar chart
+function renderPivot(pivot) {
+    const outcome = getOutcomeLabels();
+    const percent = value => (value * 100).toFixed(1) + '%';
+    
+    let rowsHTML = '';
+    pivot.cells.forEach(cell => {
+        rowsHTML += `
+            <tr class="${cell.sparse ? 'sparse-row' : ''}">
+                ${cell.keys.map(key => `<td>${escapeHtml(key)}</td>`).join('')}
+                <td>${cell.count}</td>
+                <td>${cell.positives}</td>
+                <td><strong>${percent(cell.rate)}</strong></td>
+                <td>${percent(cell.low)} – ${percent(cell.high)}</td>
+                <td>${cell.sparse ? '⚠️ Sparse' : ''}</td>
+            </tr>
+        `;
+    });
+    
+    pivotResults.innerHTML = `
+        <p>Overall: ${pivot.overall.positives} of ${pivot.overall.count} ${escapeHtml(outcome.positive)} (${percent(pivot.overall.rate)}, 95% CI ${percent(pivot.overall.low)} – ${percent(pivot.overall.high)})</p>
+        <div class="data-preview">
+            <table>
+                <thead><tr>
+                    ${pivot.columns.map(col => `<th>${escapeHtml(col)}</th>`).join('')}
+                    <th>Count</th><th>${escapeHtml(outcome.positive)}</th><th>Rate</th><th>Wilson 95% CI</th><th></th>
+                </tr></thead>
+                <tbody>${rowsHTML}</tbody>
+            </table>
+        </div>
+        <p class="hint">Groups with fewer than ${pivot.minCount} rows are flagged as sparse: their rates are unreliable, as the wide intervals show.</p>
+        <div class="chart-container">
+            <canvas id="pivot-chart"></canvas>
+        </div>
+    `;
+    
+    if (charts.pivot) charts.pivot.destroy();
+    charts.pivot = generatePivotChart(pivot, document.getElementById('pivot-chart'));
+}
+
+// Draw the confidence interval of every bar as a whisker
+const errorBarsPlugin = {
+    id: 'errorBars',
+    afterDatasetsDraw(chart) {
+        const { ctx } = chart;
+        const y = chart.scales.y;
+        ctx.save();
+        ctx.strokeStyle = '#2c3e50';
+        ctx.lineWidth = 1.5;
+        chart.data.datasets.forEach((dataset, datasetIndex) => {
+            const meta = chart.getDatasetMeta(datasetIndex);
+            if (!dataset.errorBars || meta.hidden) return;
+            meta.data.forEach((bar, i) => {
+                const interval = dataset.errorBars[i];
+                if (!interval) return;
+                const top = y.getPixelForValue(interval.high);
+                const bottom = y.getPixelForValue(interval.low);
+                const cap = Math.min(6, bar.width / 4);
+                ctx.beginPath();
+                ctx.moveTo(bar.x, top);
+                ctx.lineTo(bar.x, bottom);
+                ctx.moveTo(bar.x - cap, top);
+                ctx.lineTo(bar.x + cap, top);
+                ctx.moveTo(bar.x - cap, bottom);
+                ctx.lineTo(bar.x + cap, bottom);
+                ctx.stroke();
+            });
+        });
+        ctx.restore();
+    }
+};
+
+// One bar group per level of the first (and third) column, one series per level of the second
+function generatePivotChart(pivot, canvas) {
+    const seriesIndex = pivot.columns.length > 1 ? 1 : -1;
+    const groupKey = cell => cell.keys.filter((_, i) => i !== seriesIndex).join(' / ');
+    const labels = [...new Set(pivot.cells.map(groupKey))];
+    const seriesLevels = seriesIndex === -1
+        ? ['Rate']
+        : pivot.levels[seriesIndex].filter(level => pivot.cells.some(cell => cell.keys[seriesIndex] === level));
+    
+    const datasets = seriesLevels.map((level, i) => {
+        const cells = labels.map(label => pivot.cells.find(cell =>
+            groupKey(cell) === label && (seriesIndex === -1 || cell.keys[seriesIndex] === level)));
+        return {
+            label: seriesIndex === -1 ? `${getOutcomeLabels().positive} rate` : `${pivot.columns[seriesIndex]} = ${level}`,
+            data: cells.map(cell => cell ? cell.rate * 100 : null),
+            errorBars: cells.map(cell => cell ? { low: cell.low * 100, high: cell.high * 100 } : null),
+            cells,
+            backgroundColor: cells.map(cell => cell && cell.sparse
+                ? PIVOT_COLORS[i % PIVOT_COLORS.length].replace('0.7', '0.25')
+                : PIVOT_COLORS[i % PIVOT_COLORS.length]),
+            borderColor: PIVOT_COLORS[i % PIVOT_COLORS.length].replace('0.7', '1'),
+            borderWidth: 1
+        };
+    });
+    
+    return new Chart(canvas.getContext('2d'), {
+        type: 'bar',
+        data: { labels, datasets },
+        options: {
             responsive: true,
             maintainAspectRatio: false,
             scales: {
@@ -310,10 +4679,14 @@ function analyzeMissingValues() {
                     max: 100,
                     title: {
                         display: true,
-                        text: 'Percentage Missing'
+                        text: `${getOutcomeLabels().positive} rate (%)`
                     }
                 },
                 x: {
+                    title: {
+                        display: true,
+                        text: pivot.columns.filter((_, i) => i !== seriesIndex).join(' / ')
+                    },
                     ticks: {
                         maxRotation: 45
                     }
@@ -322,290 +4695,672 @@ function analyzeMissingValues() {
             plugins: {
                 tooltip: {
                     callbacks: {
-                        label: function(context) {
-                            const item = missingData[context.dataIndex];
-                            return `${item.column}: ${item.missingPercent.toFixed(1)}% (${item.missingCount} rows)`;
+                        label: context => {
+                            const cell = context.dataset.cells[context.dataIndex];
+                            if (!cell) return '';
+                            const sparse = cell.sparse ? ' (sparse)' : '';
+                            return `${context.dataset.label}: ${(cell.rate * 100).toFixed(1)}% [${(cell.low * 100).toFixed(1)}–${(cell.high * 100).toFixed(1)}], n = ${cell.count}${sparse}`;
                         }
                     }
                 }
             }
-        }
+        },
+        plugins: [errorBarsPlugin]
     });
 }
 
-// Generate statistical summaries for numeric and categorical features
-function generateStatisticalSummaries() {
-    if (mergedData.length === 0) return;
-    
-    // Filter to only training data for survival analysis
-    const trainingData = mergedData.filter(row => row.source === 'train');
-    
-    // Calculate statistics for numeric columns
-    const numericStats = {};
-    CONFIG.numericColumns.forEach(col => {
-        const values = trainingData
-            .map(row => row[col])
-            .filter(val => val !== null && val !== undefined && !isNaN(val));
-        
-        if (values.length > 0) {
-            const mean = values.reduce((a, b) => a + b, 0) / values.length;
-            const sorted = [...values].sort((a, b) => a - b);
-            const median = sorted[Math.floor(sorted.length / 2)];
-            const stdDev = Math.sqrt(
-                values.reduce((sq, n) => sq + Math.pow(n - mean, 2), 0) / values.length
-            );
-            
-            numericStats[col] = { mean, median, stdDev, count: values.length, missing: trainingData.length - values.length };
-        }
-    });
+// ---------------------------------------------------------------------------
+// Outlier detection and review
+// Rows are flagged by IQR fences and z-scores per continuous column and by an isolation
+// forest over all numeric features. The user marks each flagged row to keep, cap (clamp
+// to the IQR fences) or exclude, and the statistics, charts, models and exports use the
+// rows after those decisions.
+// ---------------------------------------------------------------------------
+
+// Isolation forest size; the score threshold and the fence settings come from the panel
+const ISOLATION_FOREST_SETTINGS = {
+    trees: 100,
+    sampleSize: 256,
+    seed: 42
+};
+
+// Latest detection result, and the decision for each flagged row by its index in mergedData
+// ('exclude' or 'cap'; rows without an entry are kept)
+let outlierReport = null;
+let outlierDecisions = {};
+
+// Average path length of an unsuccessful binary search tree lookup among n points
+function computeAveragePathLength(n) {
+    if (n <= 1) return 0;
+    if (n === 2) return 1;
+    return 2 * (Math.log(n - 1) + 0.5772156649) - 2 * (n - 1) / n;
+}
+
+// Grow one isolation tree: random feature, random split between its min and max
+function growIsolationTree(X, indices, depth, maxDepth, rng) {
+    if (depth >= maxDepth || indices.length <= 1) return { size: indices.length };
     
-    // Calculate value counts for categorical columns with survival rates
-    const categoricalStats = {};
-    CONFIG.categoricalColumns.forEach(col => {
-        if (col === 'Survived' || col === 'source') return;
-        
-        const valueCounts = {};
-        trainingData.forEach(row => {
-            const value = row[col];
-            if (value !== null && value !== undefined) {
-                const key = String(value);
-                if (!valueCounts[key]) {
-                    valueCounts[key] = { count: 0, survived: 0 };
-                }
-                valueCounts[key].count++;
-                
-                // Count survival if available
-                if (row.Survived === 1) {
-                    valueCounts[key].survived++;
-                }
-            }
+    const candidates = [];
+    X[0].forEach((_, f) => {
+        let min = Infinity;
+        let max = -Infinity;
+        indices.forEach(i => {
+            min = Math.min(min, X[i][f]);
+            max = Math.max(max, X[i][f]);
         });
-        
-        categoricalStats[col] = valueCounts;
+        if (max > min) candidates.push({ f, min, max });
     });
+    if (candidates.length === 0) return { size: indices.length };
     
-    // Display the statistics
-    let statsHTML = '<div class="stats-grid">';
+    const { f, min, max } = candidates[Math.floor(rng() * candidates.length)];
+    const split = min + rng() * (max - min);
+    return {
+        feature: f,
+        split,
+        left: growIsolationTree(X, indices.filter(i => X[i][f] < split), depth + 1, maxDepth, rng),
+        right: growIsolationTree(X, indices.filter(i => X[i][f] >= split), depth + 1, maxDepth, rng)
+    };
+}
+
+function computeIsolationPathLength(node, x, depth) {
+    if (node.size !== undefined) return depth + computeAveragePathLength(node.size);
+    return computeIsolationPathLength(x[node.feature] < node.split ? node.left : node.right, x, depth + 1);
+}
+
+// Isolation forest: anomaly scores near 1 are isolated quickly, scores well below 0.5 are normal
+function createIsolationForest(options) {
+    let roots = [];
+    let sampleSize = 0;
+    return {
+        fit(X) {
+            sampleSize = Math.min(options.sampleSize, X.length);
+            const maxDepth = Math.ceil(Math.log2(Math.max(sampleSize, 2)));
+            roots = [];
+            for (let t = 0; t < options.trees; t++) {
+                const sample = shuffleInPlace(X.map((_, i) => i), options.rng).slice(0, sampleSize);
+                roots.push(growIsolationTree(X, sample, 0, maxDepth, options.rng));
+            }
+            return this;
+        },
+        score(X) {
+            const normalizer = computeAveragePathLength(sampleSize);
+            return X.map(x => {
+                const meanPath = roots.reduce((sum, root) => sum + computeIsolationPathLength(root, x, 0), 0) / roots.length;
+                return Math.pow(2, -meanPath / normalizer);
+            });
+        }
+    };
+}
+
+// Flag every merged row; fences, means and the forest are fitted on the training rows
+function detectOutliers(settings) {
+    const trainRows = mergedData.filter(row => row.source === 'train');
+    const continuous = schema.continuousColumns;
     
-    // Add numeric stats
-    Object.keys(numericStats).forEach(col => {
-        const stats = numericStats[col];
-        statsHTML += `
-            <div class="stat-card">
-                <h4>${col} (Numeric)</h4>
-                <p>Mean: <strong>${stats.mean.toFixed(2)}</strong></p>
-                <p>Median: <strong>${stats.median.toFixed(2)}</strong></p>
-                <p>Std Dev: <strong>${stats.stdDev.toFixed(2)}</strong></p>
-                <p>Valid Values: <strong>${stats.count}</strong></p>
-                <p>Missing: <strong>${stats.missing}</strong> (${((stats.missing/trainingData.length)*100).toFixed(1)}%)</p>
-            </div>
-        `;
+    const columns = {};
+    continuous.forEach(col => {
+        const values = trainRows.map(row => row[col]).filter(value => !isMissing(value) && !isNaN(value));
+        if (values.length === 0) return;
+        const sorted = [...values].sort((a, b) => a - b);
+        const q1 = computeQuantile(sorted, 0.25);
+        const q3 = computeQuantile(sorted, 0.75);
+        const low = q1 - settings.iqrMultiplier * (q3 - q1);
+        const high = q3 + settings.iqrMultiplier * (q3 - q1);
+        const inside = sorted.filter(value => value >= low && value <= high);
+        columns[col] = {
+            q1,
+            median: computeQuantile(sorted, 0.5),
+            q3,
+            low,
+            high,
+            whiskerLow: inside[0],
+            whiskerHigh: inside[inside.length - 1],
+            mean: computeMean(values),
+            std: computeStdDev(values)
+        };
     });
     
-    // Add categorical stats with survival rates
-    Object.keys(categoricalStats).forEach(col => {
-        const valueCounts = categoricalStats[col];
-        let valueHTML = '';
-        
-        Object.keys(valueCounts).forEach(value => {
-            const data = valueCounts[value];
-            const survivalRate = data.count > 0 ? ((data.survived / data.count) * 100).toFixed(1) : '0';
-            valueHTML += `<p>${value}: <strong>${data.count}</strong> (${survivalRate}% survived)</p>`;
+    // Isolation forest over every numeric feature, missing values filled with the train median
+    const forestColumns = schema.numericColumns.filter(col => schema.featureColumns.includes(col));
+    let scores = mergedData.map(() => null);
+    if (forestColumns.length > 0 && trainRows.length > 1) {
+        const medians = forestColumns.map(col => {
+            const values = trainRows.map(row => row[col]).filter(value => !isMissing(value) && !isNaN(value));
+            return values.length > 0 ? computeMedian(values) : 0;
         });
-        
-        statsHTML += `
-            <div class="stat-card">
-                <h4>${col} (Categorical)</h4>
-                ${valueHTML}
-            </div>
-        `;
+        const toVector = row => forestColumns.map((col, j) => isMissing(row[col]) || isNaN(row[col]) ? medians[j] : row[col]);
+        const forest = createIsolationForest({ ...ISOLATION_FOREST_SETTINGS, rng: createRandom(ISOLATION_FOREST_SETTINGS.seed) });
+        forest.fit(trainRows.map(toVector));
+        scores = forest.score(mergedData.map(toVector));
+    }
+    
+    const flagged = [];
+    mergedData.forEach((row, index) => {
+        const reasons = [];
+        Object.keys(columns).forEach(col => {
+            const value = row[col];
+            if (isMissing(value) || isNaN(value)) return;
+            const stats = columns[col];
+            if (value < stats.low || value > stats.high) reasons.push({ column: col, method: 'iqr', value });
+            const z = stats.std > 0 ? (value - stats.mean) / stats.std : 0;
+            if (Math.abs(z) > settings.zThreshold) reasons.push({ column: col, method: 'zscore', value, z });
+        });
+        if (scores[index] !== null && scores[index] > settings.scoreThreshold) {
+            reasons.push({ column: null, method: 'isolation', value: scores[index] });
+        }
+        if (reasons.length > 0) flagged.push({ index, reasons, score: scores[index] });
     });
     
-    // Add overall survival rate
-    const totalSurvived = trainingData.filter(row => row.Survived === 1).length;
-    const survivalRate = ((totalSurvived / trainingData.length) * 100).toFixed(1);
+    return { settings, columns, forestColumns, flagged };
+}
+
+// Run the detection from the panel settings and render the review list
+function runOutlierDetection() {
+    if (!schema) {
+        showStatus('Please confirm the schema first', 'error');
+        return;
+    }
     
-    statsHTML += `
-        <div class="stat-card">
-            <h4>Survival Overview</h4>
-            <p>Total Passengers: <strong>${trainingData.length}</strong></p>
-            <p>Survived: <strong>${totalSurvived}</strong> (${survivalRate}%)</p>
-            <p>Did Not Survive: <strong>${trainingData.length - totalSurvived}</strong> (${(100 - parseFloat(survivalRate)).toFixed(1)}%)</p>
-        </div>
-    `;
+    const settings = {
+        iqrMultiplier: parseFloat(outlierIqrInput.value) > 0 ? parseFloat(outlierIqrInput.value) : 1.5,
+        zThreshold: parseFloat(outlierZInput.value) > 0 ? parseFloat(outlierZInput.value) : 3,
+        scoreThreshold: parseFloat(outlierScoreInput.value) > 0 ? parseFloat(outlierScoreInput.value) : 0.6
+    };
+    outlierReport = detectOutliers(settings);
     
-    statsHTML += '</div>';
-    statisticalSummaries.innerHTML = statsHTML;
+    // Decisions only apply to rows that are still flagged
+    const flaggedIndices = new Set(outlierReport.flagged.map(entry => String(entry.index)));
+    Object.keys(outlierDecisions).forEach(index => {
+        if (!flaggedIndices.has(index)) delete outlierDecisions[index];
+    });
     
-    // Store statistics for export
-    window.computedStats = { numericStats, categoricalStats };
+    renderOutlierReport();
+    refreshFilteredViews();
+    showStatus(`Outlier detection complete: ${outlierReport.flagged.length} of ${mergedData.length} rows flagged`, outlierReport.flagged.length > 0 ? 'warning' : 'success');
 }
 
-// Analyze gender impact specifically with detailed statistics
-function analyzeGenderImpact() {
-    if (mergedData.length === 0) return;
-    
-    const trainingData = mergedData.filter(row => row.source === 'train');
-    
-    // Calculate gender survival statistics
-    const femalePassengers = trainingData.filter(row => row.Sex === 'female');
-    const malePassengers = trainingData.filter(row => row.Sex === 'male');
+// Rows after the outlier decisions: excluded rows dropped, capped rows copied with every
+// continuous value clamped to its IQR fences
+// Works on mergedData rows and on the imputed copies (same positions as mergedData)
+function applyOutlierDecisions(rows) {
+    if (!outlierReport || Object.keys(outlierDecisions).length === 0) return rows;
     
-    const femaleSurvived = femalePassengers.filter(row => row.Survived === 1).length;
-    const maleSurvived = malePassengers.filter(row => row.Survived === 1).length;
+    const lookup = new Map();
+    [mergedData, imputedData].forEach(source => {
+        source.forEach((row, index) => {
+            if (outlierDecisions[index]) lookup.set(row, outlierDecisions[index]);
+        });
+    });
     
-    const femaleSurvivalRate = ((femaleSurvived / femalePassengers.length) * 100).toFixed(1);
-    const maleSurvivalRate = ((maleSurvived / malePassengers.length) * 100).toFixed(1);
+    const result = [];
+    rows.forEach(row => {
+        const decision = lookup.get(row);
+        if (decision === 'exclude') return;
+        if (decision !== 'cap') {
+            result.push(row);
+            return;
+        }
+        const capped = { ...row };
+        Object.keys(outlierReport.columns).forEach(col => {
+            const { low, high } = outlierReport.columns[col];
+            if (!isMissing(capped[col]) && !isNaN(capped[col])) capped[col] = Math.min(Math.max(capped[col], low), high);
+        });
+        result.push(capped);
+    });
+    return result;
+}
+
+// Set the decision for one flagged row (or all of them) and refresh the dependent views
+function setOutlierDecision(indices, decision) {
+    indices.forEach(index => {
+        if (decision === 'keep') {
+            delete outlierDecisions[index];
+        } else {
+            outlierDecisions[index] = decision;
+        }
+    });
+    renderOutlierReport();
+    refreshFilteredViews();
+}
+
+// Drop the detection result and the decisions (new data, schema or features)
+function clearOutliers() {
+    outlierReport = null;
+    outlierDecisions = {};
+    renderOutlierReport();
+}
+
+// Detection settings, fences and decisions for the statistics export
+function getOutlierSummary() {
+    if (!outlierReport) return null;
+    const idColumn = getActiveSchema().idColumn;
+    const decisions = Object.values(outlierDecisions);
+    return {
+        settings: outlierReport.settings,
+        fences: outlierReport.columns,
+        forestColumns: outlierReport.forestColumns,
+        flaggedRows: outlierReport.flagged.length,
+        excluded: decisions.filter(decision => decision === 'exclude').length,
+        capped: decisions.filter(decision => decision === 'cap').length,
+        rows: outlierReport.flagged.map(entry => ({
+            id: idColumn ? mergedData[entry.index][idColumn] : entry.index + 1,
+            source: mergedData[entry.index].source,
+            reasons: entry.reasons.map(reason => reason.column ? `${reason.method}:${reason.column}` : reason.method),
+            isolationScore: entry.score,
+            decision: outlierDecisions[entry.index] || 'keep'
+        }))
+    };
+}
+
+// Render the summary, the box plots and the flagged rows with their decision controls
+function renderOutlierReport() {
+    Object.keys(charts).filter(key => key.startsWith('outlier:')).forEach(key => {
+        charts[key].destroy();
+        delete charts[key];
+    });
+    if (!outlierReport) {
+        outlierResults.innerHTML = '';
+        return;
+    }
     
-    // Calculate survival ratio (female:male)
-    const survivalRatio = (parseFloat(femaleSurvivalRate) / parseFloat(maleSurvivalRate)).toFixed(1);
+    const { flagged, columns, settings } = outlierReport;
+    const summary = getOutlierSummary();
+    const methodLabels = { iqr: 'IQR', zscore: 'z-score', isolation: 'Isolation' };
+    const gridColumns = getGridColumns();
     
-    // Calculate gender survival by class
-    const genderByClass = {};
-    [1, 2, 3].forEach(pclass => {
-        const classData = trainingData.filter(row => row.Pclass === pclass);
-        const femalesInClass = classData.filter(row => row.Sex === 'female');
-        const malesInClass = classData.filter(row => row.Sex === 'male');
-        
-        const femaleSurvivedInClass = femalesInClass.filter(row => row.Survived === 1).length;
-        const maleSurvivedInClass = malesInClass.filter(row => row.Survived === 1).length;
-        
-        const femaleRateInClass = femalesInClass.length > 0 ? 
-            ((femaleSurvivedInClass / femalesInClass.length) * 100).toFixed(1) : '0';
-        const maleRateInClass = malesInClass.length > 0 ? 
-            ((maleSurvivedInClass / malesInClass.length) * 100).toFixed(1) : '0';
-        
-        genderByClass[pclass] = {
-            femaleRate: femaleRateInClass,
-            maleRate: maleRateInClass,
-            femaleCount: femalesInClass.length,
-            maleCount: malesInClass.length
-        };
+    let rowsHTML = '';
+    flagged.forEach(entry => {
+        const row = mergedData[entry.index];
+        const decision = outlierDecisions[entry.index] || 'keep';
+        const reasons = entry.reasons
+            .map(reason => reason.column ? `${methodLabels[reason.method]}: ${escapeHtml(reason.column)}` : methodLabels[reason.method])
+            .join(', ');
+        rowsHTML += `
+            <tr class="${decision === 'exclude' ? 'sparse-row' : ''}">
+                <td>
+                    <select data-outlier-row="${entry.index}">
+                        <option value="keep" ${decision === 'keep' ? 'selected' : ''}>Keep</option>
+                        <option value="cap" ${decision === 'cap' ? 'selected' : ''}>Cap</option>
+                        <option value="exclude" ${decision === 'exclude' ? 'selected' : ''}>Exclude</option>
+                    </select>
+                </td>
+                <td>${entry.index + 1}</td>
+                <td>${reasons}</td>
+                <td>${entry.score !== null ? entry.score.toFixed(3) : '–'}</td>
+                ${gridColumns.map(col => isMissing(row[col])
+                    ? '<td class="missing-cell">N/A</td>'
+                    : `<td>${escapeHtml(String(row[col]))}</td>`).join('')}
+            </tr>
+        `;
     });
     
-    // Update the survival comparison section
-    survivalComparison.innerHTML = `
-        <div class="comparison-item">
-            <h4>Female Survival</h4>
-            <div class="survival-rate female-rate">${femaleSurvivalRate}%</div>
-            <p>${femaleSurvived} of ${femalePassengers.length} females survived</p>
-        </div>
-        <div class="comparison-item">
-            <h4>Male Survival</h4>
-            <div class="survival-rate male-rate">${maleSurvivalRate}%</div>
-            <p>${maleSurvived} of ${malePassengers.length} males survived</p>
-        </div>
-        <div class="comparison-item">
-            <h4>Survival Ratio</h4>
-            <div class="ratio-display">${survivalRatio}:1</div>
-            <p>Women were <strong>${survivalRatio} times</strong> more likely to survive than men</p>
-        </div>
+    outlierResults.innerHTML = `
+        <p>${flagged.length} of ${mergedData.length} rows flagged (IQR × ${settings.iqrMultiplier}, |z| > ${settings.zThreshold}, isolation score > ${settings.scoreThreshold}). ${summary.excluded} excluded, ${summary.capped} capped.</p>
+        <div class="chart-grid"></div>
+        ${flagged.length > 0 ? `
+            <div class="button-group">
+                <button class="small-btn" data-outlier-bulk="keep">Keep All</button>
+                <button class="small-btn" data-outlier-bulk="cap">Cap All</button>
+                <button class="small-btn danger-btn" data-outlier-bulk="exclude">Exclude All</button>
+            </div>
+            <div class="data-preview outlier-table">
+                <table>
+                    <thead><tr><th>Decision</th><th>#</th><th>Flagged by</th><th>Isolation score</th>${gridColumns.map(col => `<th>${escapeHtml(col)}</th>`).join('')}</tr></thead>
+                    <tbody>${rowsHTML}</tbody>
+                </table>
+            </div>
+        ` : ''}
+        <p class="hint">Cap clamps every continuous value of the row to the column's IQR fences. Excluded and capped rows carry into the statistics, charts, models and CSV exports; the data grid keeps showing the raw values.</p>
     `;
     
-    // Add gender-by-class analysis to the insight section
-    let classAnalysisHTML = '<div class="evidence-card"><h5>Gender Survival by Passenger Class</h5><ul>';
-    
-    [1, 2, 3].forEach(pclass => {
-        const data = genderByClass[pclass];
-        classAnalysisHTML += `
-            <li><strong>${pclass === 1 ? 'First' : pclass === 2 ? 'Second' : 'Third'} Class:</strong> 
-                Women ${data.femaleRate}% vs Men ${data.maleRate}% 
-                (${data.femaleCount} women, ${data.maleCount} men)</li>
-        `;
+    const grid = outlierResults.querySelector('.chart-grid');
+    Object.keys(columns).forEach(col => {
+        grid.insertAdjacentHTML('beforeend', `
+            <div>
+                <h3>${escapeHtml(col)}</h3>
+                <div class="chart-container box-plot-container">
+                    <canvas></canvas>
+                </div>
+            </div>
+        `);
+        const canvas = grid.lastElementChild.querySelector('canvas');
+        charts['outlier:' + col] = generateBoxPlot(col, columns[col], canvas);
+    });
+}
+
+// Draw the box (quartiles), the median and the whiskers behind the outlier points
+const boxPlotPlugin = {
+    id: 'boxPlot',
+    beforeDatasetsDraw(chart, args, box) {
+        const { ctx, scales: { x, y } } = chart;
+        const top = y.getPixelForValue(0.5);
+        const bottom = y.getPixelForValue(-0.5);
+        const middle = y.getPixelForValue(0);
+        
+        ctx.save();
+        ctx.strokeStyle = '#2c3e50';
+        ctx.lineWidth = 1.5;
+        ctx.fillStyle = 'rgba(52, 152, 219, 0.3)';
+        ctx.fillRect(x.getPixelForValue(box.q1), top, x.getPixelForValue(box.q3) - x.getPixelForValue(box.q1), bottom - top);
+        ctx.strokeRect(x.getPixelForValue(box.q1), top, x.getPixelForValue(box.q3) - x.getPixelForValue(box.q1), bottom - top);
+        ctx.beginPath();
+        ctx.moveTo(x.getPixelForValue(box.median), top);
+        ctx.lineTo(x.getPixelForValue(box.median), bottom);
+        [[box.whiskerLow, box.q1], [box.q3, box.whiskerHigh]].forEach(([from, to]) => {
+            ctx.moveTo(x.getPixelForValue(from), middle);
+            ctx.lineTo(x.getPixelForValue(to), middle);
+        });
+        [box.whiskerLow, box.whiskerHigh].forEach(value => {
+            ctx.moveTo(x.getPixelForValue(value), (top + middle) / 2);
+            ctx.lineTo(x.getPixelForValue(value), (bottom + middle) / 2);
+        });
+        ctx.stroke();
+        ctx.restore();
+    }
+};
+
+// Horizontal box plot of one column (train fences) with the values outside the fences as points
+function generateBoxPlot(col, stats, canvas) {
+    const rng = createRandom(7);
+    const points = { train: [], test: [] };
+    mergedData.forEach((row, index) => {
+        const value = row[col];
+        if (isMissing(value) || isNaN(value) || (value >= stats.low && value <= stats.high)) return;
+        points[row.source === 'test' ? 'test' : 'train'].push({ x: value, y: (rng() - 0.5) * 0.6, index });
     });
     
-    classAnalysisHTML += '</ul></div>';
-    
-    // Update the evidence section with class analysis
-    const insightSection = document.getElementById('gender-analysis');
-    const existingCards = insightSection.querySelectorAll('.evidence-card');
-    if (existingCards.length >= 4) {
-        // Insert after the third evidence card
-        existingCards[2].insertAdjacentHTML('afterend', classAnalysisHTML);
+    return new Chart(canvas.getContext('2d'), {
+        type: 'scatter',
+        data: {
+            datasets: [
+                {
+                    label: `Train outliers (${points.train.length})`,
+                    data: points.train,
+                    backgroundColor: 'rgba(231, 76, 60, 0.7)',
+                    pointRadius: 3
+                },
+                {
+                    label: `Test outliers (${points.test.length})`,
+                    data: points.test,
+                    backgroundColor: 'rgba(149, 165, 166, 0.7)',
+                    pointRadius: 3
+                }
+            ]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            scales: {
+                x: {
+                    min: Math.min(stats.whiskerLow, ...points.train.map(p => p.x), ...points.test.map(p => p.x)),
+                    max: Math.max(stats.whiskerHigh, ...points.train.map(p => p.x), ...points.test.map(p => p.x)),
+                    title: {
+                        display: true,
+                        text: col
+                    }
+                },
+                y: {
+                    min: -1,
+                    max: 1,
+                    display: false
+                }
+            },
+            plugins: {
+                boxPlot: stats,
+                tooltip: {
+                    callbacks: {
+                        label: context => `Row ${context.raw.index + 1}: ${context.raw.x}${outlierDecisions[context.raw.index] ? ` (${outlierDecisions[context.raw.index]})` : ''}`
+                    }
+                }
+            }
+        },
+        plugins: [boxPlotPlugin]
+    });
+}
+
+// ---------------------------------------------------------------------------
+// Train vs test drift report
+// Compares every feature's distribution between the two splits with the KS statistic
+// (numeric), chi-square test (categorical) and the population stability index (both).
+// ---------------------------------------------------------------------------
+
+// Thresholds used to flag a feature as shifted
+const DRIFT_THRESHOLDS = {
+    psiModerate: 0.1,
+    psiMajor: 0.25,
+    pValue: 0.05
+};
+
+// Two-sample Kolmogorov-Smirnov statistic with its asymptotic p-value
+function computeKolmogorovSmirnov(a, b) {
+    const sortedA = [...a].sort((x, y) => x - y);
+    const sortedB = [...b].sort((x, y) => x - y);
+    let i = 0;
+    let j = 0;
+    let statistic = 0;
+    while (i < sortedA.length && j < sortedB.length) {
+        const value = Math.min(sortedA[i], sortedB[j]);
+        while (i < sortedA.length && sortedA[i] === value) i++;
+        while (j < sortedB.length && sortedB[j] === value) j++;
+        statistic = Math.max(statistic, Math.abs(i / sortedA.length - j / sortedB.length));
     }
     
-    // Store gender analysis for export
-    window.genderAnalysis = {
-        femaleSurvivalRate: parseFloat(femaleSurvivalRate),
-        maleSurvivalRate: parseFloat(maleSurvivalRate),
-        survivalRatio: parseFloat(survivalRatio),
-        femalePassengers: femalePassengers.length,
-        malePassengers: malePassengers.length,
-        femaleSurvived,
-        maleSurvived,
-        genderByClass
+    const effective = sortedA.length * sortedB.length / (sortedA.length + sortedB.length);
+    const lambda = (Math.sqrt(effective) + 0.12 + 0.11 / Math.sqrt(effective)) * statistic;
+    let pValue = 0;
+    for (let k = 1; k <= 100; k++) {
+        const term = 2 * Math.pow(-1, k - 1) * Math.exp(-2 * k * k * lambda * lambda);
+        pValue += term;
+        if (Math.abs(term) < 1e-10) break;
+    }
+    return { statistic, pValue: lambda === 0 ? 1 : Math.max(0, Math.min(1, pValue)) };
+}
+
+// Population stability index between two lists of bin proportions
+// Empty bins get a small floor so the logarithm stays finite
+function computePsi(expected, actual) {
+    const floor = 1e-4;
+    return expected.reduce((sum, e, i) => {
+        const p = Math.max(e, floor);
+        const q = Math.max(actual[i], floor);
+        return sum + (q - p) * Math.log(q / p);
+    }, 0);
+}
+
+// Decile edges of the train values (duplicate edges removed) used to bin numeric PSI
+function computeQuantileEdges(values, count) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const edges = [];
+    for (let i = 1; i < count; i++) {
+        const edge = sorted[Math.floor(i * sorted.length / count)];
+        if (edges[edges.length - 1] !== edge) edges.push(edge);
+    }
+    return edges;
+}
+
+// Proportion of values falling in each bin defined by ascending inner edges
+function computeBinProportions(values, edges) {
+    const counts = Array(edges.length + 1).fill(0);
+    values.forEach(value => {
+        let bin = edges.findIndex(edge => value < edge);
+        if (bin === -1) bin = edges.length;
+        counts[bin]++;
+    });
+    return counts.map(count => values.length > 0 ? count / values.length : 0);
+}
+
+// Compare one numeric column between the splits
+function computeNumericDrift(col) {
+    const trainValues = trainData.map(row => row[col]).filter(value => !isMissing(value) && !isNaN(value));
+    const testValues = testData.map(row => row[col]).filter(value => !isMissing(value) && !isNaN(value));
+    const ks = computeKolmogorovSmirnov(trainValues, testValues);
+    const edges = computeQuantileEdges(trainValues, 10);
+    const psi = computePsi(computeBinProportions(trainValues, edges), computeBinProportions(testValues, edges));
+    return {
+        column: col,
+        kind: 'numeric',
+        trainCount: trainValues.length,
+        testCount: testValues.length,
+        trainMean: computeMean(trainValues),
+        testMean: computeMean(testValues),
+        ks: ks.statistic,
+        pValue: ks.pValue,
+        test: 'KS',
+        psi
     };
 }
 
-// Generate all visualization charts
-function generateAllCharts() {
-    if (mergedData.length === 0) return;
-    
-    // Filter to only training data for charts with survival
-    const trainingData = mergedData.filter(row => row.source === 'train');
-    
-    // 1. Categorical features vs survival
-    generateCategoricalChart(trainingData);
-    
-    // 2. Age distribution
-    generateAgeChart(trainingData);
+// Compare one categorical column between the splits
+function computeCategoricalDrift(col) {
+    const trainValues = trainData.map(row => row[col]).filter(value => !isMissing(value)).map(String);
+    const testValues = testData.map(row => row[col]).filter(value => !isMissing(value)).map(String);
+    const contingency = buildContingencyTable(
+        [...trainValues, ...testValues],
+        [...trainValues.map(() => 'train'), ...testValues.map(() => 'test')]
+    );
+    const chi = computeChiSquare(contingency);
+    const categories = contingency.rows;
+    const share = (values, category) => values.filter(value => value === category).length / values.length;
+    const trainShares = categories.map(category => share(trainValues, category));
+    const testShares = categories.map(category => share(testValues, category));
+    return {
+        column: col,
+        kind: 'categorical',
+        trainCount: trainValues.length,
+        testCount: testValues.length,
+        categories,
+        trainShares,
+        testShares,
+        chiSquare: chi.statistic,
+        df: chi.df,
+        pValue: computeChiSquarePValue(chi.statistic, chi.df),
+        test: 'Chi-square',
+        psi: computePsi(trainShares, testShares)
+    };
+}
+
+// Decide whether a feature shifted between splits
+function classifyDrift(result) {
+    if (result.psi >= DRIFT_THRESHOLDS.psiMajor) return { flagged: true, label: 'Major shift' };
+    if (result.psi >= DRIFT_THRESHOLDS.psiModerate) return { flagged: true, label: 'Moderate shift' };
+    if (result.pValue < DRIFT_THRESHOLDS.pValue) return { flagged: true, label: 'Significant difference' };
+    return { flagged: false, label: 'Stable' };
+}
+
+// Build the drift report for every feature in the schema and render it
+function runDriftReport() {
+    if (!schema) {
+        showStatus('Please confirm the schema first', 'error');
+        return;
+    }
+    if (trainData.length === 0 || testData.length === 0) {
+        showStatus('Both train and test rows are needed for a drift report', 'error');
+        return;
+    }
     
-    // 3. Fare distribution
-    generateFareChart(trainingData);
+    const results = [
+        ...schema.continuousColumns.map(computeNumericDrift),
+        ...schema.categoricalColumns.map(computeCategoricalDrift)
+    ].map(result => ({ ...result, ...classifyDrift(result) }));
     
-    // 4. Correlation heatmap
-    generateCorrelationHeatmap(trainingData);
+    window.driftReport = {
+        thresholds: DRIFT_THRESHOLDS,
+        trainRows: trainData.length,
+        testRows: testData.length,
+        features: results.map(({ categories, trainShares, testShares, ...summary }) => summary)
+    };
+    renderDriftReport(results);
     
-    // 5. Gender survival visualization
-    generateGenderSurvivalChart(trainingData);
+    const flagged = results.filter(result => result.flagged).length;
+    showStatus(`Drift report complete: ${flagged} of ${results.length} features flagged`, flagged > 0 ? 'warning' : 'success');
 }
 
-// Generate chart for categorical features vs survival
-function generateCategoricalChart(data) {
-    // Prepare data for Sex, Pclass, and Embarked
-    const categories = ['Sex', 'Pclass', 'Embarked'];
-    const labels = [];
-    const survivedData = [];
-    const notSurvivedData = [];
+// Render the drift table and one overlay chart per feature
+function renderDriftReport(results) {
+    Object.keys(charts).filter(key => key.startsWith('drift:')).forEach(key => {
+        charts[key].destroy();
+        delete charts[key];
+    });
     
-    categories.forEach(category => {
-        const uniqueValues = [...new Set(data.map(row => row[category]).filter(val => val !== null && val !== undefined))];
-        
-        uniqueValues.forEach(value => {
-            const filtered = data.filter(row => row[category] === value);
-            const survived = filtered.filter(row => row.Survived === 1).length;
-            const notSurvived = filtered.length - survived;
-            
-            labels.push(`${category}: ${value}`);
-            survivedData.push(survived);
-            notSurvivedData.push(notSurvived);
-        });
+    // Flagged features first, then by PSI
+    const ordered = [...results].sort((a, b) => (b.flagged - a.flagged) || (b.psi - a.psi));
+    let rowsHTML = '';
+    ordered.forEach(result => {
+        const statistic = result.kind === 'numeric'
+            ? `KS D = ${result.ks.toFixed(3)}`
+            : `χ² = ${result.chiSquare.toFixed(2)} (df ${result.df})`;
+        rowsHTML += `
+            <tr class="${result.flagged ? 'flagged-row' : ''}">
+                <td><strong>${escapeHtml(result.column)}</strong></td>
+                <td>${result.kind}</td>
+                <td>${statistic}</td>
+                <td>${result.pValue < 0.001 ? '< 0.001' : result.pValue.toFixed(3)}</td>
+                <td>${result.psi.toFixed(3)}</td>
+                <td>${result.label}</td>
+            </tr>
+        `;
+    });
+    driftResults.innerHTML = `
+        <div class="data-preview">
+            <table>
+                <thead><tr><th>Feature</th><th>Type</th><th>Statistic</th><th>p-value</th><th>PSI</th><th>Status</th></tr></thead>
+                <tbody>${rowsHTML}</tbody>
+            </table>
+        </div>
+        <p class="hint">PSI ≥ ${DRIFT_THRESHOLDS.psiModerate} is a moderate shift and ≥ ${DRIFT_THRESHOLDS.psiMajor} a major shift; p-values below ${DRIFT_THRESHOLDS.pValue} mark a significant difference.</p>
+        <div class="chart-grid"></div>
+    `;
+    
+    const grid = driftResults.querySelector('.chart-grid');
+    ordered.forEach(result => {
+        grid.insertAdjacentHTML('beforeend', `
+            <div>
+                <h3>${escapeHtml(result.column)} <small>(${result.label})</small></h3>
+                <div class="chart-container">
+                    <canvas></canvas>
+                </div>
+            </div>
+        `);
+        const canvas = grid.lastElementChild.querySelector('canvas');
+        charts['drift:' + result.column] = generateDriftChart(result, canvas);
     });
-    
-    // Destroy existing chart if it exists
-    if (charts.categorical) {
-        charts.categorical.destroy();
+}
+
+// Overlay the train and test distributions of one feature as proportions
+function generateDriftChart(result, canvas) {
+    let labels;
+    let trainShares;
+    let testShares;
+    if (result.kind === 'numeric') {
+        const trainValues = trainData.map(row => row[result.column]).filter(value => !isMissing(value) && !isNaN(value));
+        const testValues = testData.map(row => row[result.column]).filter(value => !isMissing(value) && !isNaN(value));
+        const bins = computeHistogramBins([...trainValues, ...testValues], 15);
+        labels = bins.labels;
+        trainShares = bins.count(trainValues).map(count => count / trainValues.length);
+        testShares = bins.count(testValues).map(count => count / testValues.length);
+    } else {
+        labels = result.categories;
+        trainShares = result.trainShares;
+        testShares = result.testShares;
     }
     
-    // Create grouped bar chart
-    const ctx = document.getElementById('categorical-chart').getContext('2d');
-    charts.categorical = new Chart(ctx, {
+    return new Chart(canvas.getContext('2d'), {
         type: 'bar',
         data: {
-            labels: labels,
+            labels,
             datasets: [
                 {
-                    label: 'Survived',
-                    data: survivedData,
-                    backgroundColor: 'rgba(46, 204, 113, 0.7)',
-                    borderColor: 'rgba(39, 174, 96, 1)',
+                    label: `Train (${result.trainCount})`,
+                    data: trainShares.map(share => share * 100),
+                    backgroundColor: 'rgba(52, 152, 219, 0.5)',
+                    borderColor: 'rgba(41, 128, 185, 1)',
                     borderWidth: 1
                 },
                 {
-                    label: 'Did Not Survive',
-                    data: notSurvivedData,
-                    backgroundColor: 'rgba(231, 76, 60, 0.7)',
-                    borderColor: 'rgba(192, 57, 43, 1)',
+                    label: `Test (${result.testCount})`,
+                    data: testShares.map(share => share * 100),
+                    backgroundColor: 'rgba(230, 126, 34, 0.5)',
+                    borderColor: 'rgba(211, 84, 0, 1)',
                     borderWidth: 1
                 }
             ]
@@ -613,100 +5368,633 @@ function generateCategoricalChart(data) {
         options: {
             responsive: true,
             maintainAspectRatio: false,
+            // Numeric histograms are drawn on top of each other; categories side by side
+            grouped: result.kind !== 'numeric',
             scales: {
+                y: {
+                    beginAtZero: true,
+                    title: {
+                        display: true,
+                        text: '% of split'
+                    }
+                },
                 x: {
                     ticks: {
                         maxRotation: 45
                     }
+                }
+            },
+            plugins: {
+                tooltip: {
+                    callbacks: {
+                        label: context => `${context.dataset.label}: ${context.parsed.y.toFixed(1)}%`
+                    }
+                }
+            }
+        }
+    });
+}
+
+// ---------------------------------------------------------------------------
+// Grouped numeric comparisons
+// Every numeric feature per outcome class of the labelled training rows (with the active
+// filters), as violin and box plots next to the summary cards, optionally split by the levels
+// of a second categorical column such as Pclass or Sex.
+// ---------------------------------------------------------------------------
+
+// Fill and outline of the two outcome classes, as in the categorical chart
+const OUTCOME_COLORS = {
+    positive: { fill: 'rgba(46, 204, 113, 0.35)', line: 'rgba(39, 174, 96, 1)', point: 'rgba(46, 204, 113, 0.7)' },
+    negative: { fill: 'rgba(231, 76, 60, 0.35)', line: 'rgba(192, 57, 43, 1)', point: 'rgba(231, 76, 60, 0.7)' }
+};
+
+// Destroy the plots of a previous run
+function destroyGroupedCharts() {
+    Object.keys(charts).filter(key => key.startsWith('grouped:')).forEach(key => {
+        charts[key].destroy();
+        delete charts[key];
+    });
+}
+
+// Offer the categorical features as the second grouping column and drop the plots
+function clearGroupedComparisons() {
+    window.groupedStats = null;
+    groupedResults.innerHTML = '';
+    destroyGroupedCharts();
+    if (!schema) return;
+    
+    const previous = groupedBySelect.value;
+    groupedBySelect.innerHTML = '<option value="">(none)</option>' + schema.categoricalColumns
+        .map(col => `<option value="${escapeHtml(col)}">${escapeHtml(col)}</option>`)
+        .join('');
+    if (schema.categoricalColumns.includes(previous)) groupedBySelect.value = previous;
+}
+
+// Profile every numeric feature per outcome (and second grouping level) and draw the plots
+function runGroupedComparisons() {
+    const rows = applyFilters(getLabelledTrainRows());
+    window.groupedStats = computeGroupedProfiles(rows, schema, groupedBySelect.value || null);
+    renderGroupedComparisons(rows);
+}
+
+// Label of one group: the outcome, below the second grouping level when there is one
+function getGroupLabel(group) {
+    const outcome = getOutcomeLabels()[group.positive ? 'positive' : 'negative'];
+    return group.level === null ? outcome : [`${window.groupedStats.groupColumn} = ${group.level}`, outcome];
+}
+
+// One violin / box plot per numeric feature with the per-group profiles below it
+function renderGroupedComparisons(rows) {
+    destroyGroupedCharts();
+    const { groupColumn, columns } = window.groupedStats;
+    if (window.groupedStats.rows === 0) {
+        groupedResults.innerHTML = '<p>No labelled rows match the active filters.</p>';
+        return;
+    }
+    
+    groupedResults.innerHTML = '<div class="chart-grid"></div>';
+    const grid = groupedResults.querySelector('.chart-grid');
+    Object.keys(columns).forEach(col => {
+        const groups = columns[col];
+        if (groups.length === 0) return;
+        const rowsHTML = groups.map(group => `
+            <tr>
+                <td>${escapeHtml([].concat(getGroupLabel(group)).join(', '))}</td>
+                <td>${group.profile.count}</td>
+                <td>${formatProfileValue(group.profile.mean)}</td>
+                <td>${formatProfileValue(group.profile.median)}</td>
+                <td>${formatProfileValue(group.profile.q1)} – ${formatProfileValue(group.profile.q3)}</td>
+                <td>${formatProfileValue(group.profile.stdDev)}</td>
+            </tr>
+        `).join('');
+        grid.insertAdjacentHTML('beforeend', `
+            <div>
+                <h3>${escapeHtml(col)}</h3>
+                <div class="chart-container">
+                    <canvas></canvas>
+                </div>
+                <table class="profile-table">
+                    <thead><tr><th>Group</th><th>n</th><th>Mean</th><th>Median</th><th>Q1 – Q3</th><th>Std Dev</th></tr></thead>
+                    <tbody>${rowsHTML}</tbody>
+                </table>
+            </div>
+        `);
+        const canvas = grid.lastElementChild.querySelector('canvas');
+        const values = splitByTarget(col, rows, schema, groupColumn).map(group => group.values);
+        charts['grouped:' + col] = generateDistributionPlot(col, groups, values, canvas);
+    });
+}
+
+// Draw a violin (mirrored kernel density) and / or a box with whiskers for every group,
+// centred on the group's position of the x axis, behind the points beyond the whiskers
+const distributionPlotPlugin = {
+    id: 'distributionPlot',
+    beforeDatasetsDraw(chart, args, options) {
+        const { ctx, scales: { x, y } } = chart;
+        const unit = x.getPixelForValue(1) - x.getPixelForValue(0);
+        
+        ctx.save();
+        ctx.lineWidth = 1.5;
+        options.groups.forEach((group, i) => {
+            const colors = OUTCOME_COLORS[group.positive ? 'positive' : 'negative'];
+            const center = x.getPixelForValue(i);
+            
+            if (options.style !== 'box') {
+                const { points, density } = options.densities[i];
+                const width = k => Math.min(density[k] / options.maxDensity, 1) * 0.4 * unit;
+                ctx.fillStyle = colors.fill;
+                ctx.strokeStyle = colors.line;
+                ctx.beginPath();
+                points.forEach((value, k) => ctx.lineTo(center + width(k), y.getPixelForValue(value)));
+                for (let k = points.length - 1; k >= 0; k--) ctx.lineTo(center - width(k), y.getPixelForValue(points[k]));
+                ctx.closePath();
+                ctx.fill();
+                ctx.stroke();
+            }
+            
+            if (options.style !== 'violin') {
+                // A narrow dark box inside the violin, a wide coloured one on its own
+                const half = (options.style === 'box' ? 0.25 : 0.05) * unit;
+                const top = y.getPixelForValue(group.profile.q3);
+                const bottom = y.getPixelForValue(group.profile.q1);
+                ctx.fillStyle = options.style === 'box' ? colors.fill : 'rgba(44, 62, 80, 0.85)';
+                ctx.strokeStyle = options.style === 'box' ? colors.line : '#2c3e50';
+                ctx.fillRect(center - half, top, 2 * half, bottom - top);
+                ctx.strokeRect(center - half, top, 2 * half, bottom - top);
+                ctx.beginPath();
+                [[group.profile.q3, group.whiskerHigh], [group.profile.q1, group.whiskerLow]].forEach(([from, to]) => {
+                    ctx.moveTo(center, y.getPixelForValue(from));
+                    ctx.lineTo(center, y.getPixelForValue(to));
+                    ctx.moveTo(center - half / 2, y.getPixelForValue(to));
+                    ctx.lineTo(center + half / 2, y.getPixelForValue(to));
+                });
+                ctx.stroke();
+                ctx.beginPath();
+                ctx.strokeStyle = options.style === 'box' ? '#2c3e50' : 'white';
+                ctx.moveTo(center - half, y.getPixelForValue(group.profile.median));
+                ctx.lineTo(center + half, y.getPixelForValue(group.profile.median));
+                ctx.stroke();
+            }
+        });
+        ctx.restore();
+    }
+};
+
+// Violin / box plot of one numeric column with one position per group; values is the ascending
+// values of each group (splitByTarget), from which the densities and the outlying points come
+function generateDistributionPlot(col, groups, values, canvas) {
+    const rng = createRandom(7);
+    const outcome = getOutcomeLabels();
+    const points = { positive: [], negative: [] };
+    groups.forEach((group, i) => {
+        values[i].forEach(value => {
+            if (value >= group.whiskerLow && value <= group.whiskerHigh) return;
+            points[group.positive ? 'positive' : 'negative'].push({ x: i + (rng() - 0.5) * 0.2, y: value, group: i });
+        });
+    });
+    const densities = values.map(list => computeKernelDensity(list));
+    const maxDensity = Math.max(...densities.flatMap(kde => kde.points.length > 1 ? kde.density : []), 0) || 1;
+    const lowest = Math.min(...groups.map(group => group.profile.min));
+    const highest = Math.max(...groups.map(group => group.profile.max));
+    const padding = (highest - lowest) * 0.05 || 1;
+    
+    return new Chart(canvas.getContext('2d'), {
+        type: 'scatter',
+        data: {
+            datasets: ['positive', 'negative'].map(key => ({
+                label: `${outcome[key]} beyond the whiskers (${points[key].length})`,
+                data: points[key],
+                backgroundColor: OUTCOME_COLORS[key].point,
+                pointRadius: 2.5
+            }))
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            scales: {
+                x: {
+                    min: -0.5,
+                    max: groups.length - 0.5,
+                    grid: { display: false },
+                    ticks: {
+                        stepSize: 1,
+                        callback: value => Number.isInteger(value) && groups[value] ? getGroupLabel(groups[value]) : ''
+                    }
                 },
                 y: {
-                    beginAtZero: true,
+                    min: lowest - padding,
+                    max: highest + padding,
                     title: {
                         display: true,
-                        text: 'Count'
+                        text: col
                     }
                 }
             },
             plugins: {
+                distributionPlot: { groups, densities, maxDensity, style: groupedPlotSelect.value },
                 tooltip: {
                     callbacks: {
-                        afterLabel: function(context) {
-                            const datasetIndex = context.datasetIndex;
-                            const dataIndex = context.dataIndex;
-                            const total = survivedData[dataIndex] + notSurvivedData[dataIndex];
-                            const percentage = datasetIndex === 0 
-                                ? ((survivedData[dataIndex] / total) * 100).toFixed(1)
-                                : ((notSurvivedData[dataIndex] / total) * 100).toFixed(1);
-                            return `${percentage}% of this group`;
-                        }
+                        label: context => `${[].concat(getGroupLabel(groups[context.raw.group])).join(', ')}: ${context.raw.y}`
                     }
                 }
             }
-        }
+        },
+        plugins: [distributionPlotPlugin]
     });
 }
 
-// Generate histogram for Age distribution
-function generateAgeChart(data) {
-    // Filter out missing ages
-    const ages = data.map(row => row.Age).filter(age => age !== null && age !== undefined && !isNaN(age));
+// ---------------------------------------------------------------------------
+// Feature-target hypothesis tests
+// One significance test per feature against the target (chi-square or Fisher's exact
+// test for categorical features, Mann-Whitney U and Welch's t-test for continuous ones),
+// with effect sizes and Benjamini-Hochberg adjusted p-values.
+// ---------------------------------------------------------------------------
+
+// Run every test on the labelled training rows (and the active filters) and render the ranked table
+function runHypothesisTests() {
+    window.hypothesisTests = computeHypothesisTests(applyFilters(getLabelledTrainRows()), schema);
+    if (!window.hypothesisTests) {
+        hypothesisResults.innerHTML = '<p>Both outcome classes are needed in the labelled rows to run the tests.</p>';
+        return;
+    }
+    renderHypothesisTests(window.hypothesisTests);
+}
+
+// Very small p-values are below double precision once computed as 1 - CDF
+function formatPValue(p) {
+    if (p < 1e-15) return '< 1e-15';
+    if (p < 0.001) return p.toExponential(1);
+    return p.toFixed(3);
+}
+
+function renderHypothesisTests(report) {
+    const effectNames = { cramersV: "Cramér's V", cohensD: "Cohen's d" };
+    let rowsHTML = '';
+    report.tests.forEach((result, i) => {
+        let statistic = '–';
+        if (result.statistic !== null) {
+            const symbol = { 'Chi-square': 'χ²', 'Mann-Whitney U': 'U', "Welch's t-test": 't' }[result.test];
+            statistic = `${symbol} = ${result.statistic.toFixed(2)}${result.df !== null ? ` (df ${Number.isInteger(result.df) ? result.df : result.df.toFixed(1)})` : ''}`;
+        }
+        const warning = result.lowExpectedCounts ? ' <span title="Some expected counts are below 5">⚠️</span>' : '';
+        rowsHTML += `
+            <tr>
+                <td>${i + 1}</td>
+                <td><strong>${escapeHtml(result.feature)}</strong></td>
+                <td>${result.test}${warning}</td>
+                <td>${statistic}</td>
+                <td>${formatPValue(result.pValue)}</td>
+                <td>${formatPValue(result.adjustedPValue)}</td>
+                <td>${effectNames[result.effectSize.name]} = ${result.effectSize.value.toFixed(3)} (${result.effectSize.magnitude})</td>
+                <td>${result.significant ? '<strong>Yes</strong>' : 'No'}</td>
+            </tr>
+        `;
+    });
     
-    // Create age bins
-    const bins = [0, 10, 20, 30, 40, 50, 60, 70, 80];
-    const ageGroups = Array(bins.length - 1).fill(0);
+    hypothesisResults.innerHTML = `
+        <div class="data-preview">
+            <table>
+                <thead><tr><th>Rank</th><th>Feature</th><th>Test</th><th>Statistic</th><th>p-value</th><th>BH-adjusted p</th><th>Effect size</th><th>Significant</th></tr></thead>
+                <tbody>${rowsHTML}</tbody>
+            </table>
+        </div>
+        <p class="hint">Tested on ${report.rows} labelled rows. Adjusted p-values control the false discovery rate across all ${report.tests.length} tests (Benjamini–Hochberg); a test is significant below ${report.alpha}. Cohen's d is positive when the ${escapeHtml(getOutcomeLabels().positive)} group has the larger mean.</p>
+    `;
+}
+
+// ---------------------------------------------------------------------------
+// Feature ranking
+// Ranks every feature by how well it predicts the target on its own: information value
+// from weight-of-evidence (WoE) bins, mutual information over the same bins, the AUC of
+// the WoE-encoded feature, and the permutation importance in a quickly fitted decision tree.
+// ---------------------------------------------------------------------------
+
+// Binning and permutation settings
+// 1. bins - initial quantile bins of continuous features
+// 2. minBinShare - bins with fewer rows than this share are merged into a neighbour
+// 3. maxLevels - categorical features keep their most frequent levels, the rest become "Other"
+// 4. holdoutFolds - one of this many stratified folds is held out to measure permutation importance
+// 5. repeats - permutations per feature, averaged
+const RANKING_SETTINGS = {
+    bins: 10,
+    minBinShare: 0.05,
+    maxLevels: 20,
+    holdoutFolds: 4,
+    repeats: 5,
+    seed: 42
+};
+
+// Metrics the ranking can be sorted by
+const RANKING_METRICS = {
+    iv: { label: 'Information value', digits: 3 },
+    mi: { label: 'Mutual information (bits)', digits: 4 },
+    auc: { label: 'Single-feature AUC', digits: 3 },
+    permutation: { label: 'Permutation importance (AUC drop)', digits: 4 }
+};
+
+// Usual reading of an information value
+function describeInformationValue(iv) {
+    if (iv < 0.02) return 'not predictive';
+    if (iv < 0.1) return 'weak';
+    if (iv < 0.3) return 'medium';
+    if (iv < 0.5) return 'strong';
+    return 'suspiciously strong';
+}
+
+// Group the values of one feature into bins with their row and positive counts
+// Continuous features start from quantile bins, which are merged with a neighbour until
+// every bin is large enough and holds both outcomes; other features get one bin per level.
+// Missing values always get their own bin. Each bin has a test(value) that matches its rows
+function createWoeBins(col, rows, y) {
+    const bins = [];
+    const present = [];
+    const missing = { label: 'Missing', test: isMissing, count: 0, positives: 0 };
+    rows.forEach((row, i) => {
+        if (isMissing(row[col])) {
+            missing.count++;
+            missing.positives += y[i];
+        } else {
+            present.push({ value: row[col], label: y[i] });
+        }
+    });
     
-    ages.forEach(age => {
-        for (let i = 0; i < bins.length - 1; i++) {
-            if (age >= bins[i] && age < bins[i + 1]) {
-                ageGroups[i]++;
-                break;
-            } else if (i === bins.length - 2 && age >= bins[i + 1]) {
-                ageGroups[i]++;
-                break;
+    if (schema.continuousColumns.includes(col) && present.length > 0) {
+        const sorted = present.map(entry => entry.value).sort((a, b) => a - b);
+        const edges = [];
+        for (let k = 1; k < RANKING_SETTINGS.bins; k++) {
+            const edge = computeQuantile(sorted, k / RANKING_SETTINGS.bins);
+            if (edge < sorted[sorted.length - 1] && edges[edges.length - 1] !== edge) edges.push(edge);
+        }
+        // Interval i holds the values in (edges[i - 1], edges[i]]; the last one is unbounded above
+        let intervals = [...edges, Infinity].map(high => ({ high, count: 0, positives: 0 }));
+        present.forEach(entry => {
+            const interval = intervals.find(candidate => entry.value <= candidate.high);
+            interval.count++;
+            interval.positives += entry.label;
+        });
+        
+        const minCount = RANKING_SETTINGS.minBinShare * rows.length;
+        const needsMerge = interval => interval.count < minCount || interval.positives === 0 || interval.positives === interval.count;
+        let index = intervals.findIndex(needsMerge);
+        while (intervals.length > 1 && index !== -1) {
+            // Merge into the neighbour with the closer positive rate
+            const rate = interval => interval.count > 0 ? interval.positives / interval.count : 0;
+            const current = intervals[index];
+            let other = index === 0 ? 1 : index - 1;
+            if (index > 0 && index < intervals.length - 1 &&
+                Math.abs(rate(intervals[index + 1]) - rate(current)) < Math.abs(rate(intervals[index - 1]) - rate(current))) {
+                other = index + 1;
             }
+            const [first, second] = [Math.min(index, other), Math.max(index, other)];
+            intervals.splice(first, 2, {
+                high: intervals[second].high,
+                count: intervals[first].count + intervals[second].count,
+                positives: intervals[first].positives + intervals[second].positives
+            });
+            index = intervals.findIndex(needsMerge);
+        }
+        
+        intervals.forEach((interval, i) => {
+            const low = i === 0 ? -Infinity : intervals[i - 1].high;
+            let label = `${formatBandEdge(low)} – ${formatBandEdge(interval.high)}`;
+            if (intervals.length === 1) label = 'All values';
+            else if (i === 0) label = `≤ ${formatBandEdge(interval.high)}`;
+            else if (i === intervals.length - 1) label = `> ${formatBandEdge(low)}`;
+            bins.push({
+                label,
+                test: value => !isMissing(value) && value > low && value <= interval.high,
+                count: interval.count,
+                positives: interval.positives
+            });
+        });
+    } else {
+        const counts = new Map();
+        present.forEach(entry => {
+            const key = String(entry.value);
+            if (!counts.has(key)) counts.set(key, { label: key, count: 0, positives: 0 });
+            counts.get(key).count++;
+            counts.get(key).positives += entry.label;
+        });
+        const levels = [...counts.values()].sort((a, b) => b.count - a.count);
+        const kept = levels.slice(0, RANKING_SETTINGS.maxLevels);
+        const keptKeys = new Set(kept.map(level => level.label));
+        kept.forEach(level => {
+            bins.push({ ...level, test: value => !isMissing(value) && String(value) === level.label });
+        });
+        if (levels.length > kept.length) {
+            const other = levels.slice(kept.length);
+            bins.push({
+                label: `Other (${other.length} levels)`,
+                test: value => !isMissing(value) && !keptKeys.has(String(value)),
+                count: other.reduce((sum, level) => sum + level.count, 0),
+                positives: other.reduce((sum, level) => sum + level.positives, 0)
+            });
+        }
+    }
+    
+    if (missing.count > 0) bins.push(missing);
+    return bins;
+}
+
+// Add WoE, IV contribution and positive rate to each bin and return the feature's IV and MI
+// WoE = ln(share of positives / share of negatives), so a positive WoE means a higher positive rate
+function computeWoeStatistics(bins, positives, negatives) {
+    const total = positives + negatives;
+    let iv = 0;
+    let mi = 0;
+    bins.forEach(bin => {
+        const binNegatives = bin.count - bin.positives;
+        // Half a count keeps the logarithm finite for bins with only one outcome
+        const positiveShare = (bin.positives || 0.5) / positives;
+        const negativeShare = (binNegatives || 0.5) / negatives;
+        bin.rate = bin.count > 0 ? bin.positives / bin.count : 0;
+        bin.woe = Math.log(positiveShare / negativeShare);
+        bin.iv = (positiveShare - negativeShare) * bin.woe;
+        iv += bin.iv;
+        
+        // Mutual information between the bin and the outcome, in bits
+        [[bin.positives, positives], [binNegatives, negatives]].forEach(([joint, outcomeTotal]) => {
+            if (joint > 0) mi += (joint / total) * Math.log2((joint / total) / ((bin.count / total) * (outcomeTotal / total)));
+        });
+    });
+    return { iv, mi };
+}
+
+// AUC drop of a decision tree when each feature is shuffled on held-out rows
+function computePermutationImportance(rows, y) {
+    const rng = createRandom(RANKING_SETTINGS.seed);
+    const validation = createStratifiedFolds(y, RANKING_SETTINGS.holdoutFolds, rng)[0];
+    const held = new Set(validation);
+    const trainRows = rows.filter((row, i) => !held.has(i));
+    const validRows = validation.map(i => rows[i]);
+    const validY = validation.map(i => y[i]);
+    
+    const encoder = fitFeatureEncoder(trainRows, schema.featureColumns);
+    const model = BASELINE_MODELS.tree.create(rng).fit(trainRows.map(encoder.transform), y.filter((label, i) => !held.has(i)));
+    const baseline = computeAuc(validY, model.predictProba(validRows.map(encoder.transform)));
+    
+    const importance = {};
+    schema.featureColumns.forEach(col => {
+        const drops = [];
+        for (let r = 0; r < RANKING_SETTINGS.repeats; r++) {
+            const shuffled = shuffleInPlace(validRows.map(row => row[col]), rng);
+            const X = validRows.map((row, i) => encoder.transform({ ...row, [col]: shuffled[i] }));
+            drops.push(baseline - computeAuc(validY, model.predictProba(X)));
         }
+        importance[col] = { mean: computeMean(drops), std: computeStdDev(drops) };
     });
+    return { baseline, validationRows: validRows.length, importance };
+}
+
+// Rank every feature on the labelled rows that match the active filters
+function runFeatureRanking() {
+    if (!schema) {
+        showStatus('Please confirm the schema first', 'error');
+        return;
+    }
     
-    // Create labels for bins
-    const labels = [];
-    for (let i = 0; i < bins.length - 1; i++) {
-        labels.push(`${bins[i]}-${bins[i + 1]}`);
+    const rows = applyFilters(getLabelledTrainRows());
+    const y = rows.map(row => isPositive(row) ? 1 : 0);
+    const positives = y.reduce((sum, label) => sum + label, 0);
+    if (positives === 0 || positives === rows.length || rows.length < 2 * RANKING_SETTINGS.holdoutFolds) {
+        showStatus('Both outcome classes are needed in the labelled rows to rank the features', 'error');
+        return;
     }
     
-    // Destroy existing chart if it exists
-    if (charts.age) {
-        charts.age.destroy();
+    const permutation = computePermutationImportance(rows, y);
+    const features = schema.featureColumns.filter(col => col !== schema.targetColumn).map(col => {
+        const bins = createWoeBins(col, rows, y);
+        const { iv, mi } = computeWoeStatistics(bins, positives, rows.length - positives);
+        const scores = rows.map(row => bins.find(bin => bin.test(row[col])).woe);
+        return {
+            feature: col,
+            binning: schema.continuousColumns.includes(col) ? 'quantile' : 'levels',
+            iv,
+            strength: describeInformationValue(iv),
+            mi,
+            auc: computeAuc(y, scores),
+            permutation: permutation.importance[col].mean,
+            permutationStd: permutation.importance[col].std,
+            bins: bins.map(({ label, count, positives, rate, woe, iv }) => ({ label, count, positives, rate, woe, iv }))
+        };
+    });
+    
+    window.featureRanking = {
+        rows: rows.length,
+        treeAuc: permutation.baseline,
+        validationRows: permutation.validationRows,
+        settings: RANKING_SETTINGS,
+        features
+    };
+    renderFeatureRanking();
+    showStatus(`Ranked ${features.length} features on ${rows.length} labelled rows`, 'success');
+}
+
+// Drop the ranking (new data, schema or features)
+function clearRanking() {
+    window.featureRanking = null;
+    rankingResults.innerHTML = '';
+    if (charts.ranking) {
+        charts.ranking.destroy();
+        delete charts.ranking;
     }
+}
+
+// Render the ranking table, the bar chart sorted by the chosen metric and a WoE table
+function renderFeatureRanking() {
+    const ranking = window.featureRanking;
+    if (!ranking) return;
+    const metric = rankingMetricSelect.value;
+    const sorted = [...ranking.features].sort((a, b) => b[metric] - a[metric]);
+    const previous = rankingResults.querySelector('[data-woe-feature]');
+    const selected = previous && ranking.features.some(entry => entry.feature === previous.value) ? previous.value : sorted[0].feature;
+    const format = key => value => isNaN(value) ? '–' : value.toFixed(RANKING_METRICS[key].digits);
     
-    // Create histogram
-    const ctx = document.getElementById('age-chart').getContext('2d');
-    charts.age = new Chart(ctx, {
+    const rowsHTML = sorted.map((entry, i) => `
+        <tr>
+            <td>${i + 1}</td>
+            <td><strong>${escapeHtml(entry.feature)}</strong></td>
+            <td>${format('iv')(entry.iv)} (${entry.strength})</td>
+            <td>${format('mi')(entry.mi)}</td>
+            <td>${format('auc')(entry.auc)}</td>
+            <td>${format('permutation')(entry.permutation)} ± ${format('permutation')(entry.permutationStd)}</td>
+        </tr>
+    `).join('');
+    const featureOptions = sorted
+        .map(entry => `<option value="${escapeHtml(entry.feature)}" ${entry.feature === selected ? 'selected' : ''}>${escapeHtml(entry.feature)}</option>`)
+        .join('');
+    
+    if (charts.ranking) {
+        charts.ranking.destroy();
+        delete charts.ranking;
+    }
+    rankingResults.innerHTML = `
+        <div class="chart-container">
+            <canvas id="ranking-chart"></canvas>
+        </div>
+        <div class="data-preview">
+            <table>
+                <thead><tr><th>Rank</th><th>Feature</th><th>Information value</th><th>Mutual information</th><th>AUC</th><th>Permutation importance</th></tr></thead>
+                <tbody>${rowsHTML}</tbody>
+            </table>
+        </div>
+        <p class="hint">Computed on ${ranking.rows} labelled rows. The AUC is that of the feature's WoE encoding, so it is at least 0.5 whatever the direction. Permutation importance is the drop in AUC of a decision tree (AUC ${ranking.treeAuc.toFixed(3)} on ${ranking.validationRows} held-out rows) when the feature is shuffled, averaged over ${ranking.settings.repeats} shuffles.</p>
+        <h3>Weight of Evidence</h3>
+        <div class="form-row">
+            <label>Feature
+                <select data-woe-feature>${featureOptions}</select>
+            </label>
+        </div>
+        <div id="woe-table"></div>
+    `;
+    charts.ranking = generateRankingChart(sorted, metric, document.getElementById('ranking-chart'));
+    renderWoeTable(selected);
+}
+
+// Horizontal bars of one metric, best feature on top; clicking a bar shows its WoE table
+function generateRankingChart(features, metric, canvas) {
+    const values = features.map(entry => isNaN(entry[metric]) ? 0 : entry[metric]);
+    return new Chart(canvas.getContext('2d'), {
         type: 'bar',
         data: {
-            labels: labels,
+            labels: features.map(entry => entry.feature),
             datasets: [{
-                label: 'Passenger Count',
-                data: ageGroups,
+                label: RANKING_METRICS[metric].label,
+                data: values,
                 backgroundColor: 'rgba(52, 152, 219, 0.7)',
-                borderColor: 'rgba(41, 128, 185, 1)',
+                borderColor: 'rgba(52, 152, 219, 1)',
                 borderWidth: 1
             }]
         },
         options: {
+            indexAxis: 'y',
             responsive: true,
             maintainAspectRatio: false,
+            onClick: (event, elements) => {
+                if (elements.length === 0) return;
+                const select = rankingResults.querySelector('[data-woe-feature]');
+                select.value = features[elements[0].index].feature;
+                renderWoeTable(select.value);
+            },
             scales: {
-                y: {
-                    beginAtZero: true,
-                    title: {
-                        display: true,
-                        text: 'Count'
-                    }
-                },
                 x: {
+                    beginAtZero: metric !== 'auc',
+                    min: metric === 'auc' ? 0.5 : undefined,
                     title: {
                         display: true,
-                        text: 'Age Range'
+                        text: RANKING_METRICS[metric].label
+                    }
+                }
+            },
+            plugins: {
+                tooltip: {
+                    callbacks: {
+                        afterLabel: function(context) {
+                            const entry = features[context.dataIndex];
+                            return Object.keys(RANKING_METRICS)
+                                .filter(key => key !== metric)
+                                .map(key => `${RANKING_METRICS[key].label}: ${isNaN(entry[key]) ? '–' : entry[key].toFixed(RANKING_METRICS[key].digits)}`);
+                        }
                     }
                 }
             }
@@ -714,73 +6002,533 @@ function generateAgeChart(data) {
     });
 }
 
-// Generate histogram for Fare distribution
-function generateFareChart(data) {
-    // Filter out missing fares
-    const fares = data.map(row => row.Fare).filter(fare => fare !== null && fare !== undefined && !isNaN(fare));
+// Bins of one feature with counts, positive rate, WoE and IV contribution
+function renderWoeTable(feature) {
+    const entry = window.featureRanking.features.find(candidate => candidate.feature === feature);
+    const outcome = getOutcomeLabels();
+    const total = entry.bins.reduce((sum, bin) => sum + bin.count, 0);
+    const rowsHTML = entry.bins.map(bin => `
+        <tr>
+            <td>${escapeHtml(bin.label)}</td>
+            <td>${bin.count}</td>
+            <td>${(bin.count / total * 100).toFixed(1)}%</td>
+            <td>${bin.positives}</td>
+            <td>${(bin.rate * 100).toFixed(1)}%</td>
+            <td class="${bin.woe >= 0 ? 'woe-positive' : 'woe-negative'}">${bin.woe.toFixed(3)}</td>
+            <td>${bin.iv.toFixed(4)}</td>
+        </tr>
+    `).join('');
+    document.getElementById('woe-table').innerHTML = `
+        <div class="data-preview">
+            <table>
+                <thead><tr><th>Bin</th><th>Rows</th><th>Share</th><th>${escapeHtml(outcome.positive)}</th><th>Rate</th><th>WoE</th><th>IV</th></tr></thead>
+                <tbody>${rowsHTML}</tbody>
+                <tfoot><tr><th colspan="6">Information value (${entry.strength})</th><th>${entry.iv.toFixed(4)}</th></tr></tfoot>
+            </table>
+        </div>
+        <p class="hint">${entry.binning === 'quantile' ? 'Quantile bins, merged until each holds at least ' + Math.round(RANKING_SETTINGS.minBinShare * 100) + '% of the rows and both outcomes.' : 'One bin per level.'} WoE is ln(share of ${escapeHtml(outcome.positive)} / share of ${escapeHtml(outcome.negative)}); positive values mean a higher ${escapeHtml(outcome.positive)} rate than overall.</p>
+    `;
+}
+
+// ---------------------------------------------------------------------------
+// Baseline model trainer
+// Pure-JS logistic regression, decision tree and random forest, evaluated with stratified
+// k-fold cross-validation on the labelled train rows. The final models are refitted on all
+// labelled rows and kept in trainedModels so other features can reuse them.
+// ---------------------------------------------------------------------------
+
+// Models offered in the trainer: key -> display name and factory
+const BASELINE_MODELS = {
+    logistic: { name: 'Logistic Regression', create: () => createLogisticRegression({ iterations: 800, learningRate: 0.1, l2: 0.01 }) },
+    tree: { name: 'Decision Tree', create: rng => createDecisionTree({ maxDepth: 5, minSamplesLeaf: 5, rng }) },
+    forest: { name: 'Random Forest', create: rng => createRandomForest({ trees: 50, maxDepth: 8, minSamplesLeaf: 2, rng }) }
+};
+
+// Colours used for the models in the ROC chart
+const MODEL_COLORS = {
+    logistic: 'rgba(52, 152, 219, 1)',
+    tree: 'rgba(230, 126, 34, 1)',
+    forest: 'rgba(46, 204, 113, 1)'
+};
+
+// Fitted models by key, each with its encoder and cross-validation results
+let trainedModels = {};
+
+// Seeded pseudo-random number generator (mulberry32) so folds and forests are reproducible
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return function() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Shuffle an array in place with the given random generator
+function shuffleInPlace(array, rng) {
+    for (let i = array.length - 1; i > 0; i--) {
+        const j = Math.floor(rng() * (i + 1));
+        [array[i], array[j]] = [array[j], array[i]];
+    }
+    return array;
+}
+
+// Fit a feature encoder on training rows: numeric features are median-filled,
+// categorical features are one-hot encoded over the levels seen in training
+function fitFeatureEncoder(rows, featureColumns) {
+    const parts = [];
+    featureColumns.forEach(col => {
+        if (schema.columnTypes[col] === 'numeric') {
+            const values = rows.map(row => row[col]).filter(value => !isMissing(value) && !isNaN(value));
+            const fill = values.length > 0 ? computeMedian(values) : 0;
+            parts.push({ col, kind: 'numeric', fill, names: [col] });
+        } else {
+            // Keep the 30 most frequent levels so rare codes do not explode the design matrix
+            const counts = {};
+            rows.forEach(row => {
+                if (!isMissing(row[col])) counts[String(row[col])] = (counts[String(row[col])] || 0) + 1;
+            });
+            const levels = Object.keys(counts).sort((a, b) => counts[b] - counts[a]).slice(0, 30);
+            parts.push({ col, kind: 'onehot', levels, names: levels.map(level => `${col}=${level}`) });
+        }
+    });
+    
+    return {
+        names: parts.flatMap(part => part.names),
+        transform: row => parts.flatMap(part => {
+            const value = row[part.col];
+            if (part.kind === 'numeric') {
+                return [isMissing(value) || isNaN(value) ? part.fill : Number(value)];
+            }
+            return part.levels.map(level => !isMissing(value) && String(value) === level ? 1 : 0);
+        })
+    };
+}
+
+// Logistic regression trained with batch gradient descent on standardized inputs
+function createLogisticRegression(options) {
+    let weights = [];
+    let bias = 0;
+    let means = [];
+    let stds = [];
+    const sigmoid = z => 1 / (1 + Math.exp(-z));
+    const scale = x => x.map((value, j) => (value - means[j]) / stds[j]);
+    
+    return {
+        fit(X, y) {
+            const n = X.length;
+            const d = X[0].length;
+            means = Array.from({ length: d }, (_, j) => computeMean(X.map(x => x[j])));
+            stds = Array.from({ length: d }, (_, j) => computeStdDev(X.map(x => x[j])) || 1);
+            const Z = X.map(scale);
+            weights = Array(d).fill(0);
+            bias = 0;
+            
+            for (let iter = 0; iter < options.iterations; iter++) {
+                const gradient = Array(d).fill(0);
+                let biasGradient = 0;
+                for (let i = 0; i < n; i++) {
+                    let z = bias;
+                    for (let j = 0; j < d; j++) z += weights[j] * Z[i][j];
+                    const error = sigmoid(z) - y[i];
+                    for (let j = 0; j < d; j++) gradient[j] += error * Z[i][j];
+                    biasGradient += error;
+                }
+                for (let j = 0; j < d; j++) {
+                    weights[j] -= options.learningRate * (gradient[j] / n + options.l2 * weights[j]);
+                }
+                bias -= options.learningRate * biasGradient / n;
+            }
+            return this;
+        },
+        predictProba(X) {
+            return X.map(x => {
+                const z = scale(x).reduce((sum, value, j) => sum + weights[j] * value, bias);
+                return sigmoid(z);
+            });
+        },
+        // Coefficients on the standardized scale, for inspection
+        coefficients() {
+            return { weights: [...weights], bias };
+        }
+    };
+}
+
+// Grow a CART classification tree (Gini impurity) on the rows listed in indices
+// featureCount limits the features tried at each split (random forests use sqrt(d))
+function growTree(X, y, indices, depth, options) {
+    const n = indices.length;
+    const positives = indices.reduce((sum, i) => sum + y[i], 0);
+    const leaf = { probability: positives / n, samples: n };
+    if (depth >= options.maxDepth || n < 2 * options.minSamplesLeaf || positives === 0 || positives === n) {
+        return leaf;
+    }
+    
+    const gini = (count, pos) => count === 0 ? 0 : 1 - Math.pow(pos / count, 2) - Math.pow((count - pos) / count, 2);
+    const d = X[0].length;
+    let features = Array.from({ length: d }, (_, j) => j);
+    if (options.featureCount && options.featureCount < d) {
+        features = shuffleInPlace(features, options.rng).slice(0, options.featureCount);
+    }
+    
+    let best = null;
+    const parentImpurity = gini(n, positives);
+    features.forEach(feature => {
+        const sorted = [...indices].sort((a, b) => X[a][feature] - X[b][feature]);
+        let leftCount = 0;
+        let leftPositives = 0;
+        for (let k = 0; k < n - 1; k++) {
+            leftCount++;
+            leftPositives += y[sorted[k]];
+            const current = X[sorted[k]][feature];
+            const next = X[sorted[k + 1]][feature];
+            if (current === next || leftCount < options.minSamplesLeaf || n - leftCount < options.minSamplesLeaf) continue;
+            
+            const impurity = (leftCount * gini(leftCount, leftPositives) +
+                (n - leftCount) * gini(n - leftCount, positives - leftPositives)) / n;
+            if (!best || impurity < best.impurity) {
+                best = { feature, threshold: (current + next) / 2, impurity };
+            }
+        }
+    });
+    
+    if (!best || best.impurity >= parentImpurity) return leaf;
+    
+    const left = indices.filter(i => X[i][best.feature] <= best.threshold);
+    const right = indices.filter(i => X[i][best.feature] > best.threshold);
+    return {
+        feature: best.feature,
+        threshold: best.threshold,
+        samples: n,
+        left: growTree(X, y, left, depth + 1, options),
+        right: growTree(X, y, right, depth + 1, options)
+    };
+}
+
+// Follow a tree down to the leaf for one input vector
+function predictTree(node, x) {
+    while (node.left) {
+        node = x[node.feature] <= node.threshold ? node.left : node.right;
+    }
+    return node.probability;
+}
+
+// Single decision tree classifier
+function createDecisionTree(options) {
+    let root = null;
+    return {
+        fit(X, y) {
+            root = growTree(X, y, X.map((_, i) => i), 0, options);
+            return this;
+        },
+        predictProba(X) {
+            return X.map(x => predictTree(root, x));
+        },
+        tree() {
+            return root;
+        }
+    };
+}
+
+// Random forest: bootstrap samples, sqrt(d) features per split, averaged leaf probabilities
+function createRandomForest(options) {
+    let roots = [];
+    return {
+        fit(X, y) {
+            const featureCount = Math.max(1, Math.round(Math.sqrt(X[0].length)));
+            roots = [];
+            for (let t = 0; t < options.trees; t++) {
+                const sample = X.map(() => Math.floor(options.rng() * X.length));
+                roots.push(growTree(X, y, sample, 0, { ...options, featureCount }));
+            }
+            return this;
+        },
+        predictProba(X) {
+            return X.map(x => roots.reduce((sum, root) => sum + predictTree(root, x), 0) / roots.length);
+        }
+    };
+}
+
+// Area under the ROC curve via the rank-sum (Mann-Whitney) formulation, ties averaged
+function computeAuc(yTrue, scores) {
+    const order = scores.map((score, i) => ({ score, label: yTrue[i] })).sort((a, b) => a.score - b.score);
+    let rankSum = 0;
+    let i = 0;
+    while (i < order.length) {
+        let j = i;
+        while (j + 1 < order.length && order[j + 1].score === order[i].score) j++;
+        const averageRank = (i + j + 2) / 2;
+        for (let k = i; k <= j; k++) {
+            if (order[k].label === 1) rankSum += averageRank;
+        }
+        i = j + 1;
+    }
+    const positives = yTrue.filter(label => label === 1).length;
+    const negatives = yTrue.length - positives;
+    if (positives === 0 || negatives === 0) return NaN;
+    return (rankSum - positives * (positives + 1) / 2) / (positives * negatives);
+}
+
+// ROC curve points (false positive rate, true positive rate) over every distinct threshold
+function computeRocCurve(yTrue, scores) {
+    const order = scores.map((score, i) => ({ score, label: yTrue[i] })).sort((a, b) => b.score - a.score);
+    const positives = yTrue.filter(label => label === 1).length;
+    const negatives = yTrue.length - positives;
+    const points = [{ x: 0, y: 0 }];
+    let tp = 0;
+    let fp = 0;
+    order.forEach((item, i) => {
+        if (item.label === 1) tp++; else fp++;
+        if (i === order.length - 1 || order[i + 1].score !== item.score) {
+            points.push({ x: fp / negatives, y: tp / positives });
+        }
+    });
+    return points;
+}
+
+// Accuracy, precision, recall, F1, ROC AUC and confusion counts at a probability threshold
+function computeClassificationMetrics(yTrue, scores, threshold = 0.5) {
+    const confusion = { tp: 0, fp: 0, tn: 0, fn: 0 };
+    yTrue.forEach((label, i) => {
+        const predicted = scores[i] >= threshold ? 1 : 0;
+        if (predicted === 1 && label === 1) confusion.tp++;
+        else if (predicted === 1) confusion.fp++;
+        else if (label === 1) confusion.fn++;
+        else confusion.tn++;
+    });
+    const precision = confusion.tp + confusion.fp > 0 ? confusion.tp / (confusion.tp + confusion.fp) : 0;
+    const recall = confusion.tp + confusion.fn > 0 ? confusion.tp / (confusion.tp + confusion.fn) : 0;
+    return {
+        accuracy: (confusion.tp + confusion.tn) / yTrue.length,
+        precision,
+        recall,
+        f1: precision + recall > 0 ? 2 * precision * recall / (precision + recall) : 0,
+        auc: computeAuc(yTrue, scores),
+        confusion
+    };
+}
+
+// Split row indices into k stratified folds (each fold keeps the class balance)
+function createStratifiedFolds(y, k, rng) {
+    const folds = Array.from({ length: k }, () => []);
+    [1, 0].forEach(label => {
+        const indices = shuffleInPlace(y.map((value, i) => i).filter(i => y[i] === label), rng);
+        indices.forEach((index, i) => folds[i % k].push(index));
+    });
+    return folds;
+}
+
+// Get the labelled training rows the models learn from (imputed copies when requested)
+function getModelTrainingRows(useImputed) {
+    const source = useImputed && imputedData.length > 0 ? imputedData : mergedData;
+    return applyOutlierDecisions(source.filter(row => row.source === 'train' && hasTarget(row)));
+}
+
+// Cross-validate one model type and refit it on all labelled rows
+function trainBaselineModel(key, rows, folds, seed) {
+    const y = rows.map(row => isPositive(row) ? 1 : 0);
+    const outOfFold = Array(rows.length).fill(0);
+    const foldMetrics = [];
+    
+    folds.forEach((validation, f) => {
+        const held = new Set(validation);
+        const trainRows = rows.filter((row, i) => !held.has(i));
+        const trainY = y.filter((label, i) => !held.has(i));
+        const encoder = fitFeatureEncoder(trainRows, schema.featureColumns);
+        const model = BASELINE_MODELS[key].create(createRandom(seed + f + 1));
+        model.fit(trainRows.map(encoder.transform), trainY);
+        
+        const scores = model.predictProba(validation.map(i => encoder.transform(rows[i])));
+        validation.forEach((index, i) => {
+            outOfFold[index] = scores[i];
+        });
+        foldMetrics.push(computeClassificationMetrics(validation.map(i => y[i]), scores));
+    });
+    
+    // Summarize each metric across folds as mean and standard deviation
+    const summary = {};
+    ['accuracy', 'precision', 'recall', 'f1', 'auc'].forEach(metric => {
+        const values = foldMetrics.map(m => m[metric]);
+        summary[metric] = { mean: computeMean(values), std: computeStdDev(values) };
+    });
+    const outOfFoldMetrics = computeClassificationMetrics(y, outOfFold);
+    
+    // Final model on every labelled row, reused by other parts of the app
+    const encoder = fitFeatureEncoder(rows, schema.featureColumns);
+    const model = BASELINE_MODELS[key].create(createRandom(seed));
+    model.fit(rows.map(encoder.transform), y);
+    
+    return {
+        key,
+        name: BASELINE_MODELS[key].name,
+        model,
+        encoder,
+        featureColumns: [...schema.featureColumns],
+        targetColumn: schema.targetColumn,
+        positiveClass: schema.positiveClass,
+        predictProba: inputRows => model.predictProba(inputRows.map(encoder.transform)),
+        cv: {
+            folds: folds.length,
+            summary,
+            foldMetrics: foldMetrics.map(({ confusion, ...metrics }) => metrics),
+            confusion: outOfFoldMetrics.confusion,
+            roc: computeRocCurve(y, outOfFold)
+        }
+    };
+}
+
+// Train every selected model with cross-validation and show the results
+function trainBaselineModels() {
+    if (!schema) {
+        showStatus('Please confirm the schema first', 'error');
+        return;
+    }
     
-    // Create fare bins (using percentiles for better visualization)
-    const sortedFares = [...fares].sort((a, b) => a - b);
-    const binCount = 10;
-    const binSize = Math.ceil(sortedFares.length / binCount);
-    const fareGroups = Array(binCount).fill(0);
-    const labels = [];
+    const selected = [...modelChoices.querySelectorAll('input:checked')].map(input => input.value);
+    const k = parseInt(cvFoldsInput.value, 10);
+    const seed = parseInt(modelSeedInput.value, 10) || 0;
+    const rows = getModelTrainingRows(useImputedInput.checked);
     
-    for (let i = 0; i < binCount; i++) {
-        const startIdx = i * binSize;
-        const endIdx = Math.min(startIdx + binSize, sortedFares.length);
-        
-        if (startIdx < sortedFares.length) {
-            const minFare = sortedFares[startIdx];
-            const maxFare = sortedFares[Math.min(endIdx - 1, sortedFares.length - 1)];
-            labels.push(`$${minFare.toFixed(0)}-${maxFare.toFixed(0)}`);
-            
-            // Count values in this range
-            fares.forEach(fare => {
-                if (fare >= minFare && (i === binCount - 1 || fare < maxFare)) {
-                    fareGroups[i]++;
-                }
+    if (selected.length === 0) {
+        showStatus('Select at least one model to train', 'error');
+        return;
+    }
+    if (!(k >= 2 && k <= 20)) {
+        showStatus('The number of folds must be between 2 and 20', 'error');
+        return;
+    }
+    if (rows.length < k * 2) {
+        showStatus('Not enough labelled rows for cross-validation', 'error');
+        return;
+    }
+    
+    showStatus(`Training ${selected.length} model(s) with ${k}-fold cross-validation...`, 'warning');
+    trainModelsBtn.disabled = true;
+    
+    // Let the status message render before the synchronous training starts
+    setTimeout(() => {
+        try {
+            const y = rows.map(row => isPositive(row) ? 1 : 0);
+            const folds = createStratifiedFolds(y, k, createRandom(seed));
+            trainedModels = {};
+            selected.forEach(key => {
+                trainedModels[key] = trainBaselineModel(key, rows, folds, seed);
+                trainedModels[key].trainedOn = { rows: rows.length, imputed: useImputedInput.checked && imputedData.length > 0 };
             });
+            renderModelResults();
+            showStatus(`Trained ${selected.length} model(s) on ${rows.length} labelled rows`, 'success');
+        } catch (error) {
+            showStatus('Model training failed: ' + error.message, 'error');
         }
+        updateUIState();
+    }, 20);
+}
+
+// Render the metric table, confusion matrices and ROC curves of the trained models
+function renderModelResults() {
+    const keys = Object.keys(trainedModels);
+    if (charts.roc) {
+        charts.roc.destroy();
+        delete charts.roc;
     }
     
-    // Destroy existing chart if it exists
-    if (charts.fare) {
-        charts.fare.destroy();
+    // Models available for the submission file
+    submissionModelSelect.innerHTML = keys
+        .map(key => `<option value="${key}">${trainedModels[key].name}</option>`)
+        .join('');
+    
+    if (keys.length === 0) {
+        modelResults.innerHTML = '';
+        return;
     }
     
-    // Create histogram
-    const ctx = document.getElementById('fare-chart').getContext('2d');
-    charts.fare = new Chart(ctx, {
-        type: 'bar',
+    const outcome = getOutcomeLabels();
+    const format = stat => `${stat.mean.toFixed(3)} ± ${stat.std.toFixed(3)}`;
+    let rowsHTML = '';
+    let matricesHTML = '';
+    keys.forEach(key => {
+        const result = trainedModels[key];
+        const s = result.cv.summary;
+        rowsHTML += `
+            <tr>
+                <td><strong>${result.name}</strong></td>
+                <td>${format(s.accuracy)}</td>
+                <td>${format(s.precision)}</td>
+                <td>${format(s.recall)}</td>
+                <td>${format(s.f1)}</td>
+                <td>${format(s.auc)}</td>
+            </tr>
+        `;
+        const c = result.cv.confusion;
+        matricesHTML += `
+            <div class="stat-card">
+                <h4>${result.name}: Confusion Matrix (out-of-fold)</h4>
+                <table class="confusion-matrix">
+                    <tr><th></th><th>Predicted ${escapeHtml(outcome.negative)}</th><th>Predicted ${escapeHtml(outcome.positive)}</th></tr>
+                    <tr><th>Actual ${escapeHtml(outcome.negative)}</th><td class="correct">${c.tn}</td><td class="wrong">${c.fp}</td></tr>
+                    <tr><th>Actual ${escapeHtml(outcome.positive)}</th><td class="wrong">${c.fn}</td><td class="correct">${c.tp}</td></tr>
+                </table>
+            </div>
+        `;
+    });
+    
+    const first = trainedModels[keys[0]];
+    modelResults.innerHTML = `
+        <h3>Cross-Validation Results (${first.cv.folds} folds, mean ± std)</h3>
+        <div class="data-preview">
+            <table>
+                <thead><tr><th>Model</th><th>Accuracy</th><th>Precision</th><th>Recall</th><th>F1</th><th>ROC AUC</th></tr></thead>
+                <tbody>${rowsHTML}</tbody>
+            </table>
+        </div>
+        <div class="stats-grid">${matricesHTML}</div>
+    `;
+    
+    const ctx = document.getElementById('roc-chart').getContext('2d');
+    charts.roc = new Chart(ctx, {
+        type: 'scatter',
         data: {
-            labels: labels,
-            datasets: [{
-                label: 'Passenger Count',
-                data: fareGroups,
-                backgroundColor: 'rgba(155, 89, 182, 0.7)',
-                borderColor: 'rgba(142, 68, 173, 1)',
-                borderWidth: 1
-            }]
+            datasets: [
+                ...keys.map(key => ({
+                    label: `${trainedModels[key].name} (AUC ${trainedModels[key].cv.summary.auc.mean.toFixed(3)})`,
+                    data: trainedModels[key].cv.roc,
+                    showLine: true,
+                    pointRadius: 0,
+                    borderColor: MODEL_COLORS[key],
+                    backgroundColor: MODEL_COLORS[key],
+                    borderWidth: 2
+                })),
+                {
+                    label: 'Chance',
+                    data: [{ x: 0, y: 0 }, { x: 1, y: 1 }],
+                    showLine: true,
+                    pointRadius: 0,
+                    borderColor: 'rgba(149, 165, 166, 1)',
+                    borderDash: [6, 6],
+                    borderWidth: 1
+                }
+            ]
         },
         options: {
             responsive: true,
             maintainAspectRatio: false,
             scales: {
-                y: {
-                    beginAtZero: true,
+                x: {
+                    min: 0,
+                    max: 1,
                     title: {
                         display: true,
-                        text: 'Count'
+                        text: 'False Positive Rate'
                     }
                 },
-                x: {
-                    ticks: {
-                        maxRotation: 45
-                    },
+                y: {
+                    min: 0,
+                    max: 1,
                     title: {
                         display: true,
-                        text: 'Fare Range ($)'
+                        text: 'True Positive Rate'
                     }
                 }
             }
@@ -788,127 +6536,120 @@ function generateFareChart(data) {
     });
 }
 
-// Generate correlation heatmap for numeric features
-function generateCorrelationHeatmap(data) {
-    // Select numeric columns for correlation
-    const numericCols = CONFIG.numericColumns.filter(col => 
-        col !== 'SibSp' && col !== 'Parch' && col !== 'Pclass' // These are better treated as categorical
-    );
-    
-    // Prepare data matrix
-    const matrixData = [];
-    const labels = [...numericCols, 'Survived'];
+// Predict the target for every test row, in test-file order, with a trained model
+// Returns [{ id, prediction }] where prediction is 1 for the positive class and 0 otherwise
+function buildSubmissionRows(modelKey, threshold) {
+    const result = trainedModels[modelKey];
+    const source = result.trainedOn.imputed && imputedData.length > 0 ? imputedData : mergedData;
+    const testRows = source.filter(row => row.source === 'test');
+    const scores = result.predictProba(testRows);
+    return testRows.map((row, i) => ({
+        id: row[schema.idColumn],
+        prediction: scores[i] >= threshold ? 1 : 0
+    }));
+}
+
+// Check a submission against test.csv: same IDs in the same order, no duplicates, only 0/1 predictions
+// Returns a list of problems (empty when the submission is valid)
+function validateSubmission(rows) {
+    const problems = [];
+    const expectedIds = testData.map(row => row[schema.idColumn]);
+    const ids = rows.map(row => row.id);
     
-    // Calculate correlations
-    for (let i = 0; i < labels.length; i++) {
-        matrixData[i] = [];
-        for (let j = 0; j < labels.length; j++) {
-            if (i === j) {
-                matrixData[i][j] = 1; // Perfect correlation with itself
-            } else {
-                const col1 = labels[i];
-                const col2 = labels[j];
-                
-                // Extract valid pairs
-                const pairs = data
-                    .filter(row => 
-                        row[col1] !== null && row[col1] !== undefined && !isNaN(row[col1]) &&
-                        row[col2] !== null && row[col2] !== undefined && !isNaN(row[col2])
-                    )
-                    .map(row => ({ x: row[col1], y: row[col2] }));
-                
-                if (pairs.length > 0) {
-                    // Calculate correlation coefficient
-                    const sumX = pairs.reduce((sum, pair) => sum + pair.x, 0);
-                    const sumY = pairs.reduce((sum, pair) => sum + pair.y, 0);
-                    const sumXY = pairs.reduce((sum, pair) => sum + pair.x * pair.y, 0);
-                    const sumX2 = pairs.reduce((sum, pair) => sum + pair.x * pair.x, 0);
-                    const sumY2 = pairs.reduce((sum, pair) => sum + pair.y * pair.y, 0);
-                    
-                    const n = pairs.length;
-                    const numerator = n * sumXY - sumX * sumY;
-                    const denominator = Math.sqrt((n * sumX2 - sumX * sumX) * (n * sumY2 - sumY * sumY));
-                    
-                    matrixData[i][j] = denominator !== 0 ? numerator / denominator : 0;
-                } else {
-                    matrixData[i][j] = 0;
-                }
-            }
-        }
+    if (ids.length !== expectedIds.length) {
+        problems.push(`${ids.length} predictions for ${expectedIds.length} test rows`);
     }
-    
-    // Destroy existing chart if it exists
-    if (charts.correlation) {
-        charts.correlation.destroy();
+    const missingIds = ids.filter(isMissing).length;
+    if (missingIds > 0) {
+        problems.push(`${missingIds} test row(s) have no ${schema.idColumn}`);
     }
-    
-    // Create heatmap
-    const ctx = document.getElementById('correlation-chart').getContext('2d');
-    charts.correlation = new Chart(ctx, {
-        type: 'bar',
-        data: {
-            labels: labels,
-            datasets: labels.map((label, i) => ({
-                label: label,
-                data: matrixData[i],
-                backgroundColor: matrixData[i].map(value => {
-                    // Color scale from red (negative) to blue (positive)
-                    if (value >= 0) {
-                        return `rgba(52, 152, 219, ${Math.abs(value)})`;
-                    } else {
-                        return `rgba(231, 76, 60, ${Math.abs(value)})`;
-                    }
-                }),
-                borderColor: 'rgba(255, 255, 255, 0.2)',
-                borderWidth: 1
-            }))
-        },
-        options: {
-            responsive: true,
-            maintainAspectRatio: false,
-            indexAxis: 'y',
-            scales: {
-                x: {
-                    display: false
-                },
-                y: {
-                    ticks: {
-                        autoSkip: false
-                    }
-                }
-            },
-            plugins: {
-                tooltip: {
-                    callbacks: {
-                        label: function(context) {
-                            const rowLabel = context.dataset.label;
-                            const colLabel = labels[context.dataIndex];
-                            const value = matrixData[labels.indexOf(rowLabel)][context.dataIndex];
-                            return `${rowLabel} vs ${colLabel}: ${value.toFixed(3)}`;
-                        }
-                    }
-                },
-                legend: {
-                    display: false
-                }
-            }
-        }
+    const seenIds = new Set();
+    const duplicates = new Set();
+    ids.forEach(id => {
+        if (seenIds.has(id)) duplicates.add(id);
+        seenIds.add(id);
     });
+    if (duplicates.size > 0) {
+        problems.push(`duplicate ${schema.idColumn} values: ${[...duplicates].slice(0, 5).join(', ')}`);
+    }
+    const expectedSet = new Set(expectedIds.map(String));
+    const unexpected = ids.filter(id => !expectedSet.has(String(id)));
+    const idSet = new Set(ids.map(String));
+    const absent = expectedIds.filter(id => !idSet.has(String(id)));
+    if (unexpected.length > 0 || absent.length > 0) {
+        problems.push(`ID set differs from test.csv (${unexpected.length} unexpected, ${absent.length} missing)`);
+    } else if (ids.some((id, i) => String(id) !== String(expectedIds[i]))) {
+        problems.push('rows are not in test.csv order');
+    }
+    const invalid = rows.filter(row => row.prediction !== 0 && row.prediction !== 1).length;
+    if (invalid > 0) {
+        problems.push(`${invalid} prediction(s) are not 0 or 1`);
+    }
+    return problems;
 }
 
-// Generate gender survival comparison chart
-function generateGenderSurvivalChart(data) {
-    const femalePassengers = data.filter(row => row.Sex === 'female');
-    const malePassengers = data.filter(row => row.Sex === 'male');
+// Build, validate and download the Kaggle submission CSV (ID column, target column)
+function downloadSubmission() {
+    const modelKey = submissionModelSelect.value;
+    const threshold = parseFloat(submissionThresholdInput.value);
     
-    const femaleSurvived = femalePassengers.filter(row => row.Survived === 1).length;
-    const maleSurvived = malePassengers.filter(row => row.Survived === 1).length;
-    
-    const femaleDied = femalePassengers.length - femaleSurvived;
-    const maleDied = malePassengers.length - maleSurvived;
+    if (!trainedModels[modelKey]) {
+        showStatus('Train a model before creating a submission', 'error');
+        return;
+    }
+    if (!schema.idColumn) {
+        showStatus('The schema has no ID column; mark one as type "id" to create a submission', 'error');
+        return;
+    }
+    if (!(threshold > 0 && threshold < 1)) {
+        showStatus('The decision threshold must be between 0 and 1', 'error');
+        return;
+    }
     
-    // Create a separate chart for gender survival (in categorical chart)
-    // We'll just ensure the categorical chart properly highlights gender
+    try {
+        const rows = buildSubmissionRows(modelKey, threshold);
+        const problems = validateSubmission(rows);
+        if (problems.length > 0) {
+            showStatus('Submission not created: ' + problems.join('; '), 'error');
+            return;
+        }
+        
+        const csv = Papa.unparse({
+            fields: [schema.idColumn, schema.targetColumn],
+            data: rows.map(row => [row.id, row.prediction])
+        });
+        downloadFile(csv, `submission_${modelKey}.csv`, 'text/csv;charset=utf-8;');
+        const positives = rows.filter(row => row.prediction === 1).length;
+        showStatus(`Submission with ${rows.length} predictions exported (${positives} predicted ${escapeHtml(getOutcomeLabels().positive)})`, 'success');
+    } catch (error) {
+        showStatus('Error creating submission: ' + error.message, 'error');
+    }
+}
+
+// Drop fitted models that no longer match the data or schema
+function clearTrainedModels() {
+    trainedModels = {};
+    renderModelResults();
+}
+
+// Summaries of the trained models for the statistics export (without the fitted internals)
+function getModelSummaries() {
+    const summaries = {};
+    Object.keys(trainedModels).forEach(key => {
+        const result = trainedModels[key];
+        summaries[key] = {
+            name: result.name,
+            featureColumns: result.featureColumns,
+            trainedOn: result.trainedOn,
+            cv: {
+                folds: result.cv.folds,
+                summary: result.cv.summary,
+                foldMetrics: result.cv.foldMetrics,
+                confusion: result.cv.confusion
+            }
+        };
+    });
+    return summaries;
 }
 
 // Export merged dataset as CSV
@@ -919,23 +6660,28 @@ function exportMergedData() {
     }
     
     try {
-        const csv = Papa.unparse(mergedData);
-        const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
-        const url = URL.createObjectURL(blob);
-        const link = document.createElement('a');
-        link.href = url;
-        link.setAttribute('download', 'titanic_merged_dataset.csv');
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
-        URL.revokeObjectURL(url);
-        
+        downloadFile(Papa.unparse(applyOutlierQuery(dataStore.query()).select()), 'titanic_merged_dataset.csv', 'text/csv;charset=utf-8;');
         showStatus('Merged dataset exported as CSV', 'success');
     } catch (error) {
         showStatus('Error exporting CSV: ' + error.message, 'error');
     }
 }
 
+// Export the imputed dataset as CSV (same rows and columns as the raw merged export)
+function exportImputedData() {
+    if (imputedData.length === 0) {
+        showStatus('No imputed data to export. Apply imputation first.', 'error');
+        return;
+    }
+    
+    try {
+        downloadFile(Papa.unparse(applyOutlierQuery(createColumnStore(imputedData).query()).select()), 'titanic_imputed_dataset.csv', 'text/csv;charset=utf-8;');
+        showStatus('Imputed dataset exported as CSV', 'success');
+    } catch (error) {
+        showStatus('Error exporting CSV: ' + error.message, 'error');
+    }
+}
+
 // Export statistical summaries as JSON
 function exportStatistics() {
     if (!window.computedStats) {
@@ -945,21 +6691,24 @@ function exportStatistics() {
     
     try {
         // Include gender analysis in the export
-        const exportData = {
-            ...window.computedStats,
-            genderAnalysis: window.genderAnalysis || {}
-        };
+        const exportData = buildStatisticsExport({
+            computedStats: window.computedStats,
+            groupedStats: window.groupedStats,
+            genderAnalysis: window.genderAnalysis,
+            imputation: imputationSummary,
+            models: getModelSummaries(),
+            correlation: window.correlationMatrix,
+            drift: window.driftReport,
+            pivot: window.pivotTable,
+            hypothesisTests: window.hypothesisTests,
+            featureRanking: window.featureRanking,
+            projection: window.projection,
+            outliers: getOutlierSummary(),
+            dataQuality: getQualitySummary()
+        });
         
         const statsJson = JSON.stringify(exportData, null, 2);
-        const blob = new Blob([statsJson], { type: 'application/json;charset=utf-8;' });
-        const url = URL.createObjectURL(blob);
-        const link = document.createElement('a');
-        link.href = url;
-        link.setAttribute('download', 'titanic_statistics.json');
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
-        URL.revokeObjectURL(url);
+        downloadFile(statsJson, 'titanic_statistics.json', 'application/json;charset=utf-8;');
         
         showStatus('Statistics exported as JSON (includes gender analysis)', 'success');
     } catch (error) {
@@ -967,16 +6716,498 @@ function exportStatistics() {
     }
 }
 
-// Reset the application to initial state
+// ---------------------------------------------------------------------------
+// Session persistence
+// The whole session (parsed rows, schema, feature definitions, imputation plan, filters,
+// outlier decisions and panel settings) is saved to IndexedDB and restored on reload. The rows
+// are written once per load; after that, interactions only rewrite the small settings record,
+// and only when it changed. Both together are the .eda.json project file.
+// ---------------------------------------------------------------------------
+
+const SESSION_FORMAT = 'titanic-eda-session';
+const SESSION_VERSION = 1;
+const SESSION_DB = { name: 'titanic-eda', store: 'sessions', key: 'current', dataKey: 'data' };
+const SESSION_SAVE_DELAY = 1000;
+
+// Panel controls whose values are part of the session (restored after the schema, which
+// fills some of the selects)
+const SESSION_CONTROL_IDS = [
+    'correlation-method', 'correlation-mixed', 'correlation-cluster', 'bivariate-trend', 'bivariate-density',
+    'pivot-column-1', 'pivot-column-2', 'pivot-column-3', 'pivot-band-method', 'pivot-band-count', 'pivot-min-count',
+    'grouped-by', 'grouped-plot', 'ranking-metric', 'projection-method', 'projection-perplexity', 'projection-color',
+    'outlier-iqr', 'outlier-z', 'outlier-score',
+    'cv-folds', 'model-seed', 'use-imputed', 'submission-threshold'
+];
+
+let sessionSaveTimer = null;
+let restoringSession = false;
+
+// Settings as last written to IndexedDB (JSON without savedAt), and whether the stored rows are
+// those of the current load
+let savedSessionSettings = null;
+let sessionDataSaved = false;
+
+// Snapshot of everything needed to rebuild the current analysis
+function buildSession() {
+    return { ...buildSessionSettings(), ...buildSessionData() };
+}
+
+// The parsed rows of the session; derived columns are recomputed from their definitions on restore
+function buildSessionData() {
+    const stripDerived = rows => rows.map(row => {
+        const copy = { ...row };
+        appliedDerivedColumns.forEach(col => {
+            delete copy[col];
+        });
+        return copy;
+    });
+    return {
+        trainData: stripDerived(trainData),
+        testData: stripDerived(testData)
+    };
+}
+
+// Everything but the rows: small enough to rebuild and compare after every interaction
+function buildSessionSettings() {
+    const controls = {};
+    SESSION_CONTROL_IDS.forEach(id => {
+        const input = document.getElementById(id);
+        if (input) controls[id] = input.type === 'checkbox' ? input.checked : input.value;
+    });
+    
+    return {
+        format: SESSION_FORMAT,
+        version: SESSION_VERSION,
+        savedAt: new Date().toISOString(),
+        sourceFiles,
+        derivedFeatures: derivedFeatures.map(({ kind, name, extractor, source, expression }) => ({ kind, name, extractor, source, expression })),
+        qualityRules: qualityRules.map(({ kind, column, param, splits, severity, builtin }) => ({ kind, column, param, splits, severity, builtin })),
+        schemaDraft,
+        schemaConfirmed: Boolean(schema),
+        imputationPlan,
+        imputationApplied: imputedData.length > 0,
+        outliers: outlierReport ? { settings: outlierReport.settings, decisions: outlierDecisions } : null,
+        filters: { active: activeFilters, combinator: filterCombinator },
+        grid: gridState,
+        histogramSettings,
+        scatterMatrix: scatterState,
+        controls,
+        models: [...modelChoices.querySelectorAll('input[type="checkbox"]')].filter(input => input.checked).map(input => input.value),
+        views: {
+            eda: Boolean(window.computedStats),
+            charts: Boolean(charts.categorical),
+            pivot: Boolean(window.pivotTable),
+            ranking: Boolean(window.featureRanking),
+            projection: Boolean(window.projection),
+            drift: Boolean(window.driftReport)
+        }
+    };
+}
+
+// Rebuild the analysis from a snapshot, replaying each step in the order the user would
+function restoreSession(session) {
+    if (!session || session.format !== SESSION_FORMAT) throw new Error('Not a Titanic EDA project file');
+    if (session.version > SESSION_VERSION) throw new Error(`Project version ${session.version} is newer than this app supports`);
+    
+    restoringSession = true;
+    try {
+        clearSession();
+        sourceFiles = session.sourceFiles || { train: null, test: null };
+        trainData = session.trainData;
+        testData = session.testData;
+        mergedData = [...trainData, ...testData];
+        dataLoaded = mergedData.length > 0;
+        qualityRules = session.qualityRules || createDefaultQualityRules();
+        if (dataLoaded) runQualityRules({ train: trainData, test: testData });
+        
+        derivedFeatures = session.derivedFeatures || [];
+        appliedDerivedColumns = [];
+        applyDerivedFeatures();
+        renderFeatureWorkbench();
+        
+        schemaDraft = session.schemaDraft;
+        schema = session.schemaConfirmed ? buildSchema(schemaDraft) : null;
+        renderSchemaPanel();
+        imputationPlan = session.imputationPlan || {};
+        clearImputationResults();
+        clearTrainedModels();
+        clearPivot();
+        clearGroupedComparisons();
+        clearProjection();
+        clearRanking();
+        clearOutliers();
+        
+        Object.keys(session.controls || {}).forEach(id => {
+            const input = document.getElementById(id);
+            if (!input) return;
+            if (input.type === 'checkbox') input.checked = session.controls[id]; else input.value = session.controls[id];
+        });
+        modelChoices.querySelectorAll('input[type="checkbox"]').forEach(input => {
+            input.checked = (session.models || []).includes(input.value);
+        });
+        histogramSettings = session.histogramSettings || {};
+        scatterState = { ...createScatterState(), ...session.scatterMatrix };
+        gridState = { ...createGridState(), ...session.grid };
+        gridSearchInput.value = gridState.search;
+        gridPageSizeSelect.value = String(gridState.pageSize);
+        activeFilters = session.filters ? session.filters.active : [];
+        filterCombinator = session.filters ? session.filters.combinator : 'AND';
+        filterCombinatorSelect.value = filterCombinator;
+        renderFilterChips();
+        
+        displayDatasetOverview();
+        displayColumnInfo();
+        renderDataGrid();
+        
+        if (schema) {
+            if (session.imputationApplied) runImputation();
+            if (session.outliers) {
+                outlierIqrInput.value = session.outliers.settings.iqrMultiplier;
+                outlierZInput.value = session.outliers.settings.zThreshold;
+                outlierScoreInput.value = session.outliers.settings.scoreThreshold;
+                outlierReport = detectOutliers(session.outliers.settings);
+                outlierDecisions = session.outliers.decisions || {};
+                renderOutlierReport();
+            }
+            if (session.views.eda) runFullEDA();
+            if (session.views.charts) generateAllCharts();
+            if (session.views.pivot) runPivot();
+            if (session.views.ranking) runFeatureRanking();
+            if (session.views.projection) runProjection();
+            if (session.views.drift) runDriftReport();
+        }
+        updateUIState();
+    } finally {
+        restoringSession = false;
+    }
+}
+
+// Open the session database, creating the store on first use
+function openSessionDb(callback) {
+    if (!window.indexedDB) return;
+    const request = indexedDB.open(SESSION_DB.name, 1);
+    request.onupgradeneeded = () => {
+        request.result.createObjectStore(SESSION_DB.store);
+    };
+    request.onsuccess = () => callback(request.result);
+    request.onerror = () => showStatus(`Session storage unavailable: ${escapeHtml(request.error.message)}`, 'warning');
+}
+
+// Save the session shortly after the last interaction
+function scheduleSessionSave() {
+    if (restoringSession) return;
+    clearTimeout(sessionSaveTimer);
+    sessionSaveTimer = setTimeout(saveSession, SESSION_SAVE_DELAY);
+}
+
+// Write the settings when they changed since the last save, and the rows when they were not
+// written since they were loaded
+function saveSession() {
+    if (!dataLoaded) return;
+    let settings;
+    let data = null;
+    try {
+        settings = buildSessionSettings();
+        const { savedAt, ...state } = settings;
+        const snapshot = JSON.stringify(state);
+        if (snapshot === savedSessionSettings && sessionDataSaved) return;
+        savedSessionSettings = snapshot;
+        if (!sessionDataSaved) data = buildSessionData();
+    } catch (error) {
+        showStatus(`Could not save the session: ${escapeHtml(error.message)}`, 'warning');
+        return;
+    }
+    sessionDataSaved = true;
+    openSessionDb(db => {
+        const transaction = db.transaction(SESSION_DB.store, 'readwrite');
+        const store = transaction.objectStore(SESSION_DB.store);
+        if (data) store.put(data, SESSION_DB.dataKey);
+        store.put(settings, SESSION_DB.key);
+        transaction.onerror = () => {
+            // Write everything again on the next save
+            savedSessionSettings = null;
+            sessionDataSaved = false;
+            showStatus(`Could not save the session: ${escapeHtml(transaction.error.message)}`, 'warning');
+        };
+    });
+}
+
+// Restore the saved session, if any, when the page loads
+function restoreSavedSession() {
+    openSessionDb(db => {
+        const store = db.transaction(SESSION_DB.store, 'readonly').objectStore(SESSION_DB.store);
+        const settingsRequest = store.get(SESSION_DB.key);
+        const dataRequest = store.get(SESSION_DB.dataKey);
+        dataRequest.onsuccess = () => {
+            const settings = settingsRequest.result;
+            if (!settings) return;
+            // Sessions saved before the rows had their own record still carry them in the settings
+            const session = { ...dataRequest.result, ...settings };
+            try {
+                restoreSession(session);
+                sessionDataSaved = Boolean(dataRequest.result);
+                showStatus(`Restored the session saved at ${new Date(session.savedAt).toLocaleString()}`, 'success');
+            } catch (error) {
+                showStatus(`Could not restore the saved session: ${escapeHtml(error.message)}`, 'error');
+            }
+        };
+    });
+}
+
+function clearSavedSession() {
+    clearTimeout(sessionSaveTimer);
+    openSessionDb(db => {
+        const store = db.transaction(SESSION_DB.store, 'readwrite').objectStore(SESSION_DB.store);
+        store.delete(SESSION_DB.key);
+        store.delete(SESSION_DB.dataKey);
+    });
+}
+
+// Download the session as a project file
+function exportProject() {
+    if (!dataLoaded) {
+        showStatus('No session to export. Load data first.', 'error');
+        return;
+    }
+    
+    try {
+        downloadFile(JSON.stringify(buildSession()), 'titanic_analysis.eda.json', 'application/json;charset=utf-8;');
+        showStatus('Project exported as .eda.json', 'success');
+    } catch (error) {
+        showStatus(`Error exporting project: ${escapeHtml(error.message)}`, 'error');
+    }
+}
+
+// Open a project file and make it the current session
+function importProject() {
+    const file = projectFileInput.files[0];
+    if (!file) {
+        showStatus('Please select an .eda.json project file', 'error');
+        return;
+    }
+    
+    const reader = new FileReader();
+    reader.onload = () => {
+        try {
+            restoreSession(JSON.parse(reader.result));
+            saveSession();
+            showStatus(`Project "${escapeHtml(file.name)}" opened: ${mergedData.length} rows`, 'success');
+        } catch (error) {
+            showStatus(`Error opening project: ${escapeHtml(error.message)}`, 'error');
+        }
+    };
+    reader.onerror = () => showStatus('Error reading project file', 'error');
+    reader.readAsText(file);
+}
+
+// ---------------------------------------------------------------------------
+// HTML / PDF report
+// A standalone HTML file with the page's own styles, the result panels and every chart
+// embedded as a PNG data URL, so it opens offline. The print layout is used for PDFs.
+// ---------------------------------------------------------------------------
+
+// Parts of the page copied into the report, in order; parts without results are skipped
+const REPORT_SECTIONS = [
+    { title: 'Dataset Overview', ids: ['dataset-overview', 'column-info'], ready: () => dataLoaded },
+    { title: 'Data Quality', ids: ['quality-results'], ready: () => Boolean(qualityCheckedAt) },
+    { title: 'Missing Value Analysis', ids: ['missing-values-chart'], ready: () => Boolean(charts.missingValues) },
+    { title: 'Missing Value Imputation', ids: ['imputation-results'], ready: () => imputedData.length > 0 },
+    { title: 'Outliers', ids: ['outlier-results'], ready: () => Boolean(outlierReport) },
+    { title: 'Statistical Summaries', ids: ['statistical-summaries', 'grouped-results'], ready: () => Boolean(window.computedStats) },
+    { title: 'Hypothesis Tests', ids: ['hypothesis-results'], ready: () => Boolean(window.hypothesisTests) },
+    { title: 'Feature Ranking', ids: ['ranking-results'], ready: () => Boolean(window.featureRanking) },
+    { title: 'Visualizations', ids: ['categorical-chart', 'numeric-charts', 'correlation-chart', 'scatter-matrix-chart', 'bivariate-chart'], ready: () => Boolean(charts.categorical) },
+    { title: 'Feature Space Projection', ids: ['projection-results'], ready: () => Boolean(window.projection) },
+    { title: 'Survival Pivot', ids: ['pivot-results'], ready: () => Boolean(window.pivotTable) },
+    { title: 'Train vs Test Drift', ids: ['drift-results'], ready: () => Boolean(window.driftReport) },
+    { title: 'Baseline Models', ids: ['model-results', 'roc-chart'], ready: () => Object.keys(trainedModels).length > 0 },
+    { title: 'Key Insight', ids: ['gender-analysis'], ready: () => Boolean(window.genderAnalysis) }
+];
+
+// Styles added on top of the page styles: static chart images and a print layout
+const REPORT_STYLES = `
+    .chart-container { height: auto; }
+    .chart-container img, .report-chart { display: block; max-width: 100%; margin: 10px auto; }
+    .report-meta td, .report-meta th { padding: 6px 10px; }
+    @media print {
+        body { background: white; padding: 0; max-width: none; }
+        .section, .insight-box { box-shadow: none; break-inside: avoid-page; }
+        .section + .section { break-before: page; }
+        .outlier-table, .data-preview { max-height: none; overflow: visible; }
+        th { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+    }
+`;
+
+// Copy a live element for the report: canvases become images of the chart they hold
+// (empty canvases are dropped) and form controls become plain text
+function cloneForReport(element) {
+    const chartCanvases = new Set(Object.values(charts).map(chart => chart.canvas));
+    const canvases = element.tagName === 'CANVAS' ? [element] : [...element.querySelectorAll('canvas')];
+    const clone = element.cloneNode(true);
+    const cloneCanvases = clone.tagName === 'CANVAS' ? [clone] : [...clone.querySelectorAll('canvas')];
+    
+    const images = canvases.map((canvas, i) => {
+        const target = cloneCanvases[i];
+        if (!chartCanvases.has(canvas)) {
+            target.remove();
+            return null;
+        }
+        const image = document.createElement('img');
+        image.className = 'report-chart';
+        image.src = canvas.toDataURL('image/png');
+        image.alt = 'Chart';
+        if (target.parentNode) target.replaceWith(image);
+        return image;
+    });
+    if (clone.tagName === 'CANVAS') return images[0];
+    
+    clone.querySelectorAll('select').forEach(select => {
+        const original = element.querySelector(`select[data-outlier-row="${select.dataset.outlierRow}"]`) || select;
+        const span = document.createElement('span');
+        span.textContent = original.options[original.selectedIndex] ? original.options[original.selectedIndex].text : '';
+        select.replaceWith(span);
+    });
+    clone.querySelectorAll('button, input, .form-row, .button-group, .histogram-note:empty').forEach(control => control.remove());
+    return clone;
+}
+
+// Assemble the standalone report document
+function buildReportHtml() {
+    const generatedAt = new Date();
+    const activeSchema = getActiveSchema();
+    const pageStyles = [...document.querySelectorAll('style')].map(style => style.textContent).join('\n');
+    const decisions = Object.values(outlierDecisions);
+    
+    const metaRows = [
+        ['Generated', generatedAt.toLocaleString()],
+        ['Training file', `${sourceFiles.train || 'unknown'} (${trainData.length} rows)`],
+        ['Test file', `${sourceFiles.test || 'unknown'} (${testData.length} rows)`],
+        ['Target', activeSchema.targetColumn || 'not set'],
+        ['Features', schema ? schema.featureColumns.join(', ') : 'schema not confirmed'],
+        ['Active filters', activeFilters.length > 0 ? activeFilters.map(filter => filter.label).join(` ${filterCombinator} `) : 'none'],
+        ['Outlier decisions', `${decisions.filter(decision => decision === 'exclude').length} excluded, ${decisions.filter(decision => decision === 'cap').length} capped`]
+    ];
+    
+    const container = document.createElement('div');
+    REPORT_SECTIONS.filter(section => section.ready()).forEach(section => {
+        const block = document.createElement('div');
+        block.className = 'section';
+        block.innerHTML = `<h2>${escapeHtml(section.title)}</h2>`;
+        section.ids.forEach(id => {
+            const element = document.getElementById(id);
+            const copy = element && cloneForReport(element);
+            if (copy) block.appendChild(copy);
+        });
+        container.appendChild(block);
+    });
+    
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Titanic EDA Report - ${escapeHtml(generatedAt.toISOString())}</title>
+    <style>${pageStyles}${REPORT_STYLES}</style>
+</head>
+<body>
+    <header>
+        <h1>🚢 Titanic Dataset EDA Report</h1>
+        <p>Generated ${escapeHtml(generatedAt.toLocaleString())}</p>
+    </header>
+    <div class="section">
+        <table class="report-meta">
+            ${metaRows.map(([label, value]) => `<tr><th>${label}</th><td>${escapeHtml(value)}</td></tr>`).join('')}
+        </table>
+    </div>
+    ${container.innerHTML}
+</body>
+</html>`;
+}
+
+// Download the report as a single HTML file
+function exportReport() {
+    if (!dataLoaded) {
+        showStatus('No data to report. Load data first.', 'error');
+        return;
+    }
+    
+    try {
+        const stamp = new Date().toISOString().slice(0, 19).replace(/[T:]/g, '-');
+        downloadFile(buildReportHtml(), `titanic_eda_report_${stamp}.html`, 'text/html;charset=utf-8;');
+        showStatus('Report exported as HTML', 'success');
+    } catch (error) {
+        showStatus('Error exporting report: ' + error.message, 'error');
+    }
+}
+
+// Open the browser's print dialog on the report (choose "Save as PDF" there)
+function printReport() {
+    if (!dataLoaded) {
+        showStatus('No data to report. Load data first.', 'error');
+        return;
+    }
+    
+    try {
+        const frame = document.createElement('iframe');
+        frame.style.position = 'fixed';
+        frame.style.width = '0';
+        frame.style.height = '0';
+        frame.style.border = 'none';
+        frame.onload = () => {
+            frame.contentWindow.focus();
+            frame.contentWindow.print();
+            // Give the print dialog time to take its snapshot before removing the frame
+            setTimeout(() => frame.remove(), 1000);
+        };
+        frame.srcdoc = buildReportHtml();
+        document.body.appendChild(frame);
+    } catch (error) {
+        showStatus('Error preparing the report for printing: ' + error.message, 'error');
+    }
+}
+
+// Reset the application to initial state and forget the saved session
 function resetAll() {
+    clearSession();
+    clearSavedSession();
+    showStatus('Application reset successfully', 'success');
+}
+
+// Drop the data, every result and every view
+function clearSession() {
+    if (activeTask) activeTask.cancel();
+    activeTask = null;
+    cancelProjectionJob();
+    hideProgress();
+    savedSessionSettings = null;
+    sessionDataSaved = false;
     mergedData = [];
+    dataStore = null;
+    qualityRules = createDefaultQualityRules();
+    qualityResults = new Map();
+    qualityCheckedAt = null;
+    renderQualityReport();
     trainData = [];
     testData = [];
+    sourceFiles = { train: null, test: null };
     dataLoaded = false;
+    schemaDraft = null;
+    schema = null;
+    derivedFeatures = [];
+    appliedDerivedColumns = [];
+    imputationPlan = {};
+    imputedData = [];
+    imputationSummary = null;
+    trainedModels = {};
+    histogramSettings = {};
+    scatterState = createScatterState();
+    activeFilters = [];
+    renderFilterChips();
     
     // Clear file inputs
     trainFileInput.value = '';
     testFileInput.value = '';
+    combinedFileInput.value = '';
     
     // Destroy all charts
     Object.values(charts).forEach(chart => {
@@ -985,17 +7216,56 @@ function resetAll() {
         }
     });
     charts = {};
+    window.computedStats = null;
+    window.genderAnalysis = null;
+    window.correlationMatrix = null;
+    window.driftReport = null;
     
     // Clear all displayed content
     datasetOverview.innerHTML = '<p>Load data to see overview information here.</p>';
     columnInfo.innerHTML = '<p>Load data to see column details here.</p>';
-    dataPreviewTable.innerHTML = '<thead><tr><th>#</th><th>PassengerId</th><th>Survived</th><th>Pclass</th><th>Name</th><th>Sex</th><th>Age</th><th>Source</th></tr></thead><tbody><tr><td colspan="8">No data loaded yet.</td></tr></tbody>';
+    gridState = createGridState();
+    gridRows = [];
+    gridSearchInput.value = '';
+    gridPageSizeSelect.value = '100';
+    gridColumnsToggle.innerHTML = '';
+    gridPager.innerHTML = '';
+    dataGridTable.innerHTML = '<thead><tr><th>#</th><th>Preview</th></tr></thead><tbody><tr><td colspan="2">No data loaded yet.</td></tr></tbody>';
+    schemaPanel.innerHTML = '<p>Load data to see the inferred schema here.</p>';
+    numericChartsContainer.innerHTML = '';
+    scatterFeaturesContainer.innerHTML = '';
+    scatterMatrixNote.textContent = '';
+    bivariateView.style.display = 'none';
+    derivedFeaturesList.innerHTML = '<p>No derived features yet.</p>';
+    imputationPanel.innerHTML = '<p>Confirm the schema to configure imputation.</p>';
+    imputationResults.innerHTML = '';
+    modelResults.innerHTML = '';
     statisticalSummaries.innerHTML = '<p>Run EDA to see statistical summaries here.</p>';
     survivalComparison.innerHTML = '<p>Run EDA to see survival comparison data.</p>';
+    driftResults.innerHTML = '';
+    pivotResults.innerHTML = '';
+    window.pivotTable = null;
+    groupedResults.innerHTML = '';
+    groupedBySelect.innerHTML = '';
+    window.groupedStats = null;
+    hypothesisResults.innerHTML = '<p>Run EDA to test each feature against the target.</p>';
+    window.hypothesisTests = null;
+    rankingResults.innerHTML = '';
+    window.featureRanking = null;
+    projectionResults.innerHTML = '';
+    projectionColorSelect.innerHTML = '';
+    window.projection = null;
+    projectionView = null;
+    outlierReport = null;
+    outlierDecisions = {};
+    outlierResults.innerHTML = '';
+    pivotColumnSelects.forEach(select => {
+        select.innerHTML = '';
+    });
     loadingStatus.innerHTML = '';
     
     // Clear chart canvases
-    ['missing-values-chart', 'categorical-chart', 'age-chart', 'fare-chart', 'correlation-chart'].forEach(id => {
+    ['missing-values-chart', 'categorical-chart', 'correlation-chart', 'roc-chart'].forEach(id => {
         const canvas = document.getElementById(id);
         if (canvas) {
             const ctx = canvas.getContext('2d');
@@ -1004,15 +7274,30 @@ function resetAll() {
     });
     
     updateUIState();
-    showStatus('Application reset successfully', 'success');
 }
 
 // Update UI button states based on data availability
 function updateUIState() {
-    runEdaBtn.disabled = !dataLoaded;
+    confirmSchemaBtn.disabled = !dataLoaded;
+    addBuiltinFeatureBtn.disabled = !dataLoaded;
+    addExpressionFeatureBtn.disabled = !dataLoaded;
+    runEdaBtn.disabled = !dataLoaded || !schema;
     showChartsBtn.disabled = !dataLoaded;
     exportCsvBtn.disabled = !dataLoaded;
+    exportProjectBtn.disabled = !dataLoaded;
+    exportReportBtn.disabled = !dataLoaded;
+    printReportBtn.disabled = !dataLoaded;
+    checkQualityBtn.disabled = !dataLoaded;
     exportStatsBtn.disabled = !window.computedStats;
+    applyImputationBtn.disabled = !schema;
+    exportImputedBtn.disabled = imputedData.length === 0;
+    trainModelsBtn.disabled = !schema;
+    runDriftBtn.disabled = !schema;
+    runPivotBtn.disabled = !schema;
+    runRankingBtn.disabled = !schema;
+    runProjectionBtn.disabled = !schema;
+    detectOutliersBtn.disabled = !schema;
+    downloadSubmissionBtn.disabled = !schema || Object.keys(trainedModels).length === 0;
 }
 
 // Show status messages to the user
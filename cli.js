@@ -0,0 +1,75 @@
+#!/usr/bin/env node
+// cli.js
+// Command-line EDA: runs the analysis core on a train and a test CSV file and prints the same
+// statistics JSON as the app's "Export Statistics (JSON)" button, or writes it to a file
+//
+// Usage: node cli.js <train.csv> <test.csv> [--out statistics.json] [--missing]
+//   --out, -o   write the JSON to this file instead of printing it
+//   --missing   also print the missing values per column (to stderr, so the JSON stays clean)
+
+import fs from 'fs';
+import { parseArgs } from 'util';
+import Papa from 'papaparse';
+import { runEda } from './analysis.js';
+
+const USAGE = 'Usage: node cli.js <train.csv> <test.csv> [--out statistics.json] [--missing]';
+
+// Parse a delimited text file the way the app does (header row, typed values, detected delimiter)
+function readCsv(path) {
+    const results = Papa.parse(fs.readFileSync(path, 'utf8'), {
+        header: true,
+        dynamicTyping: true,
+        skipEmptyLines: true,
+        quotes: true
+    });
+    if (results.errors.length > 0) {
+        const error = results.errors[0];
+        throw new Error(`Error reading ${path}: ${error.message}${error.row !== undefined ? ` (row ${error.row + 1})` : ''}`);
+    }
+    return results.data;
+}
+
+function main(argv) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            out: { type: 'string', short: 'o' },
+            missing: { type: 'boolean', default: false },
+            help: { type: 'boolean', short: 'h', default: false }
+        }
+    });
+    if (values.help) {
+        console.log(USAGE);
+        return 0;
+    }
+    if (positionals.length !== 2) {
+        console.error(USAGE);
+        return 2;
+    }
+
+    const [trainPath, testPath] = positionals;
+    const result = runEda(readCsv(trainPath), readCsv(testPath));
+
+    if (values.missing) {
+        result.missingValues.forEach(item => {
+            console.error(`${item.column}: ${item.missingCount} missing (${item.missingPercent.toFixed(1)}%)`);
+        });
+    }
+
+    const json = JSON.stringify(result.statistics, null, 2);
+    if (values.out) {
+        fs.writeFileSync(values.out, json);
+        console.error(`Statistics written to ${values.out} (target "${result.schema.targetColumn}", ${result.schema.featureColumns.length} features)`);
+    } else {
+        console.log(json);
+    }
+    return 0;
+}
+
+try {
+    process.exitCode = main(process.argv.slice(2));
+} catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+}
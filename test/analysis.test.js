@@ -0,0 +1,385 @@
+// Tests of the analysis core against small hand-checked inputs and the bundled Titanic files
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    isMissing, computeMean, computeMedian, computeMode, computeStdDev, computeQuantile, computeHistogramBins,
+    inferSchema, buildSchema, createRowTable, buildStatsDataset, describeNumericValues, aggregateDataset,
+    summarizeMissingValues, summarizeNumericProfiles, analyzeKeyInsight, computePearson, computeSpearman,
+    computeKendall, computeCramersV, computeChiSquarePValue, computeFisherExact, adjustPValuesBH,
+    computeHypothesisTests, splitByTarget, describeGroups, computeKernelDensity, computeGroupedProfiles,
+    computeLinearFit, computeLoess, computeHexbins, TSNE_SETTINGS, encodeFeatureMatrix, computePca, computeTsne,
+    createDefaultQualityRules, checkQualityRules, findFailedQualityRules,
+    validateQualityRule, validateSplits, runEda
+} from '../analysis.js';
+import { loadTitanic } from './helpers.js';
+
+// Approximate equality for floating-point results
+function assertClose(actual, expected, tolerance = 1e-6) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${expected}, got ${actual}`);
+}
+
+// The Titanic splits tagged and confirmed the way the app does before running the EDA
+function prepareTitanic() {
+    const { train, test } = loadTitanic();
+    train.forEach(row => {
+        row.source = 'train';
+    });
+    test.forEach(row => {
+        row.source = 'test';
+    });
+    const schema = buildSchema(inferSchema(train, test));
+    const labelled = train.filter(row => !isMissing(row[schema.targetColumn]));
+    return { train, test, merged: [...train, ...test], schema, labelled };
+}
+
+describe('basic statistics', () => {
+    test('isMissing treats null, undefined, empty strings and NaN as missing', () => {
+        [null, undefined, '', NaN].forEach(value => assert.equal(isMissing(value), true));
+        [0, 'a', false].forEach(value => assert.equal(isMissing(value), false));
+    });
+
+    test('median averages the two middle values of an even count', () => {
+        assert.equal(computeMedian([4, 1, 3, 2]), 2.5);
+        assert.equal(computeMedian([5, 1, 3]), 3);
+    });
+
+    test('mean, sample standard deviation, mode and quantiles', () => {
+        assert.equal(computeMean([1, 2, 3, 4]), 2.5);
+        assertClose(computeStdDev([2, 4, 4, 4, 5, 5, 7, 9]), Math.sqrt(32 / 7));
+        assert.equal(computeStdDev([3]), 0);
+        assert.equal(computeMode([1, 2, 2, 3, 3]), 2);
+        assert.equal(computeQuantile([1, 2, 3, 4], 0.25), 1.75);
+        assert.ok(isNaN(computeQuantile([], 0.5)));
+    });
+
+    test('descriptive profile of sorted values', () => {
+        const profile = describeNumericValues(Float64Array.from([0, 2, 4, 4, 4, 5, 5, 7, 9]).subarray(1), 10);
+        assert.equal(profile.count, 8);
+        assert.equal(profile.missing, 2);
+        assert.equal(profile.mean, 5);
+        assertClose(profile.stdDev, Math.sqrt(32 / 7));
+        assert.deepEqual([profile.q1, profile.median, profile.q3, profile.iqr], [4, 4.5, 5.5, 1.5]);
+        // Excel's SKEW and KURT of the same values
+        assertClose(profile.skewness, 0.8184875534);
+        assertClose(profile.kurtosis, 0.940625);
+        assert.deepEqual([profile.mode, profile.modeCount, profile.zeros, profile.unique], [4, 3, 0, 5]);
+
+        const empty = describeNumericValues(new Float64Array(0), 3);
+        assert.equal(empty.missing, 3);
+        assert.ok(isNaN(empty.median));
+        assert.ok(isNaN(describeNumericValues(Float64Array.from([1, 1, 1]), 3).skewness));
+    });
+
+    test('histogram bins of a train and a test column with more values than fit on the call stack', () => {
+        const train = Array.from({ length: 150000 }, (_, i) => i % 100);
+        const test = Array.from({ length: 100000 }, (_, i) => 50 + i % 100);
+        const bins = computeHistogramBins([...train, ...test], 15);
+        assert.deepEqual(bins.edges[0], [0, 149 / 15]);
+        assert.equal(bins.edges[14][1], 149);
+        assert.equal(bins.count(train).reduce((sum, count) => sum + count, 0), 150000);
+        assert.equal(bins.count(test).reduce((sum, count) => sum + count, 0), 100000);
+    });
+
+    test('histogram bins of a large column before and after imputation', () => {
+        // Every fifth value missing, then filled with the median, as the imputation chart bins them
+        const before = Array.from({ length: 250000 }, (_, i) => i % 5 === 0 ? null : i % 80);
+        const median = computeMedian(before.filter(value => !isMissing(value)));
+        const after = before.map(value => isMissing(value) ? median : value);
+        const bins = computeHistogramBins(after, 10);
+        const beforeCounts = bins.count(before.filter(value => !isMissing(value)));
+        const afterCounts = bins.count(after);
+        assert.equal(beforeCounts.reduce((sum, count) => sum + count, 0), 200000);
+        assert.equal(afterCounts.reduce((sum, count) => sum + count, 0), 250000);
+        const medianBin = bins.edges.findIndex(([low, high]) => median >= low && median < high);
+        assert.equal(afterCounts[medianBin] - beforeCounts[medianBin], 50000);
+    });
+});
+
+describe('correlation and tests', () => {
+    test('rank and linear correlations', () => {
+        assertClose(computePearson([1, 2, 3], [2, 4, 6]), 1);
+        assertClose(computeSpearman([1, 2, 3, 4], [1, 8, 27, 64]), 1);
+        assertClose(computeKendall([1, 2, 3], [3, 2, 1]), -1);
+        assertClose(computeCramersV(['a', 'a', 'b', 'b'], [1, 1, 0, 0]), 1);
+    });
+
+    test('p-values', () => {
+        // 3.841 is the 95th percentile of chi-square with one degree of freedom
+        assertClose(computeChiSquarePValue(3.841459, 1), 0.05, 1e-5);
+        // Lady tasting tea: 3 of 4 cups right
+        assertClose(computeFisherExact([[3, 1], [1, 3]]), 0.4857142857, 1e-6);
+        assert.deepEqual(adjustPValuesBH([0.01, 0.04, 0.03, 0.2]).map(p => Number(p.toFixed(4))), [0.04, 0.0533, 0.0533, 0.2]);
+    });
+});
+
+describe('Titanic schema inference', () => {
+    test('proposes Survived as the target and the usual seven features', () => {
+        const { schema } = prepareTitanic();
+        assert.equal(schema.targetColumn, 'Survived');
+        assert.equal(schema.positiveClass, 1);
+        assert.equal(schema.idColumn, 'PassengerId');
+        assert.deepEqual(schema.featureColumns, ['Pclass', 'Sex', 'Age', 'SibSp', 'Parch', 'Fare', 'Embarked']);
+        assert.deepEqual(schema.continuousColumns, ['Age', 'Fare']);
+        assert.deepEqual(schema.excludedColumns, ['PassengerId', 'Name', 'Ticket', 'Cabin']);
+        assert.equal(schema.highlightColumn, 'Sex');
+        assert.equal(schema.stratifyColumn, 'Pclass');
+    });
+
+    test('marks workbench columns as derived', () => {
+        const { train, test } = loadTitanic();
+        train.forEach(row => {
+            row.FamilySize = row.SibSp + row.Parch + 1;
+        });
+        test.forEach(row => {
+            row.FamilySize = row.SibSp + row.Parch + 1;
+        });
+        const draft = inferSchema(train, test, ['FamilySize']);
+        assert.deepEqual(draft.columns.filter(col => col.derived).map(col => col.name), ['FamilySize']);
+    });
+});
+
+describe('Titanic aggregation and summaries', () => {
+    test('missing values of the merged rows, most incomplete first', () => {
+        const { merged, schema } = prepareTitanic();
+        const columns = Object.keys(merged[0]);
+        const missing = summarizeMissingValues(aggregateDataset(buildStatsDataset(createRowTable(merged), schema, { missing: columns })));
+        assert.equal(merged.length, 1309);
+        assert.deepEqual(missing.slice(0, 3).map(item => [item.column, item.missingCount]), [['Cabin', 1014], ['Survived', 418], ['Age', 263]]);
+        assertClose(missing[0].missingPercent, 1014 / 1309 * 100);
+    });
+
+    test('value counts of the labelled rows', () => {
+        const { labelled, schema } = prepareTitanic();
+        const aggregate = aggregateDataset(buildStatsDataset(createRowTable(labelled), schema, { categorical: schema.categoricalColumns }));
+        assert.equal(aggregate.rowCount, 891);
+        assert.equal(aggregate.positives, 342);
+        assert.deepEqual(aggregate.categorical.Sex, { male: { count: 577, survived: 109 }, female: { count: 314, survived: 233 } });
+        assert.deepEqual(Object.keys(aggregate.categorical.Embarked).sort(), ['C', 'Q', 'S']);
+    });
+
+    test('numeric profiles of the train, test and merged rows side by side', () => {
+        const { train, test, merged, schema } = prepareTitanic();
+        const aggregates = {};
+        [['train', train], ['test', test], ['merged', merged]].forEach(([split, rows]) => {
+            aggregates[split] = aggregateDataset(buildStatsDataset(createRowTable(rows), schema, { numeric: schema.numericColumns }));
+        });
+        const profiles = summarizeNumericProfiles(aggregates);
+        const age = profiles.Age.train;
+
+        assert.deepEqual(Object.keys(profiles.Fare), ['train', 'test', 'merged']);
+        assert.equal(age.count, 714);
+        assert.equal(age.missing, 177);
+        assert.equal(profiles.Age.test.missing, 86);
+        assert.equal(profiles.Age.merged.count, 1046);
+        // Reference values of pandas' describe(), skew() and kurt() on train.csv
+        assertClose(age.mean, 29.699118, 1e-6);
+        assertClose(age.stdDev, 14.526497, 1e-6);
+        assert.deepEqual([age.min, age.q1, age.median, age.q3, age.max], [0.42, 20.125, 28, 38, 80]);
+        assertClose(age.skewness, 0.389108, 1e-6);
+        assertClose(age.kurtosis, 0.178274, 1e-6);
+        assertClose(profiles.Fare.train.skewness, 4.787317, 1e-6);
+        assert.equal(profiles.Fare.train.zeros, 15);
+        assert.equal(profiles.Pclass.train.unique, 3);
+    });
+
+    test('key insight compares survival by sex within each class', () => {
+        const { labelled, schema } = prepareTitanic();
+        const insight = analyzeKeyInsight(labelled, schema);
+        assert.equal(insight.highestRateGroup, 'female');
+        assert.equal(insight.lowestRateGroup, 'male');
+        assert.equal(insight.groups.female.rate, 74.2);
+        assert.equal(insight.survivalRatio, 3.9);
+        assert.deepEqual(Object.keys(insight.genderByClass), ['1', '2', '3']);
+        assert.equal(insight.genderByClass[1].female.rate, '96.8');
+    });
+
+    test('hypothesis tests rank every feature', () => {
+        const { labelled, schema } = prepareTitanic();
+        const report = computeHypothesisTests(labelled, schema);
+        const sex = report.tests.find(result => result.feature === 'Sex');
+        const fareWelch = report.tests.find(result => result.feature === 'Fare' && result.test === "Welch's t-test");
+        assert.equal(report.rows, 891);
+        assertClose(sex.statistic, 263.0506, 1e-4);
+        assert.equal(sex.df, 1);
+        assertClose(fareWelch.statistic, 6.8391, 1e-4);
+        assert.ok(report.tests.every((result, i) => i === 0 || report.tests[i - 1].adjustedPValue <= result.adjustedPValue));
+        assert.equal(computeHypothesisTests(labelled.filter(row => row.Survived === 1), schema), null);
+    });
+});
+
+describe('grouped numeric comparisons', () => {
+    test('values per outcome and second grouping level', () => {
+        const { labelled, schema } = prepareTitanic();
+        const groups = splitByTarget('Fare', labelled, schema, 'Pclass');
+        assert.deepEqual(groups.map(group => [group.level, group.positive, group.values.length]), [
+            [1, false, 80], [1, true, 136], [2, false, 97], [2, true, 87], [3, false, 372], [3, true, 119]
+        ]);
+        assert.ok(groups.every(group => group.values.every((value, i) => i === 0 || group.values[i - 1] <= value)));
+        assert.deepEqual(splitByTarget('Age', labelled, schema).map(group => group.values.length), [424, 290]);
+    });
+
+    test('whiskers stop at the last values within 1.5 IQR', () => {
+        const [group] = describeGroups([{ level: null, positive: true, values: Float64Array.from([1, 2, 3, 4, 5, 6, 7, 8, 50]) }]);
+        assert.deepEqual([group.profile.q1, group.profile.q3], [3, 7]);
+        assert.deepEqual([group.whiskerLow, group.whiskerHigh], [1, 8]);
+    });
+
+    test('kernel density over the range of the values', () => {
+        const kde = computeKernelDensity(Float64Array.from([1, 2, 2, 3, 3, 3, 4, 4, 5]), 5);
+        assert.deepEqual(kde.points, [1, 2, 3, 4, 5]);
+        assertClose(kde.density[0], kde.density[4]);
+        assert.ok(kde.density[2] > kde.density[1] && kde.density[1] > kde.density[0]);
+        assert.deepEqual(computeKernelDensity(Float64Array.from([2, 2])), { points: [2], density: [1] });
+    });
+
+    test('profiles of every numeric feature in the export', () => {
+        const { labelled, schema } = prepareTitanic();
+        const grouped = computeGroupedProfiles(labelled, schema, 'Sex');
+        assert.equal(grouped.rows, 891);
+        assert.deepEqual(Object.keys(grouped.columns), ['Pclass', 'Age', 'SibSp', 'Parch', 'Fare']);
+        assert.deepEqual(grouped.columns.Age.map(group => [group.level, group.positive, group.profile.count]), [
+            ['female', false, 64], ['female', true, 197], ['male', false, 360], ['male', true, 93]
+        ]);
+    });
+});
+
+describe('bivariate trends and density', () => {
+    test('least-squares line', () => {
+        const fit = computeLinearFit([1, 2, 3, 4], [3, 5, 7, 10]);
+        assertClose(fit.slope, 2.3);
+        assertClose(fit.intercept, 0.5);
+        assertClose(fit.r2, 0.9887850467);
+        assert.equal(computeLinearFit([2, 2, 2], [1, 2, 3]), null);
+    });
+
+    test('LOESS follows a straight line and spans the x range', () => {
+        const xs = Array.from({ length: 30 }, (_, i) => i);
+        const curve = computeLoess(xs, xs.map(x => 3 - 0.5 * x), 0.3, 7);
+        assert.equal(curve.length, 7);
+        assert.deepEqual([curve[0].x, curve[6].x], [0, 29]);
+        curve.forEach(point => assertClose(point.y, 3 - 0.5 * point.x, 1e-9));
+        assert.deepEqual(computeLoess([1, 1, 1], [1, 2, 3]), []);
+    });
+
+    test('hexbins count every point and its labelled outcomes', () => {
+        const points = [];
+        for (let i = 0; i < 200; i++) {
+            points.push({ x: i % 20, y: Math.floor(i / 20), positive: i % 4 === 0 ? null : i % 2 === 1 });
+        }
+        const { hexagon, bins } = computeHexbins(points, 5);
+        assert.equal(hexagon.length, 6);
+        assert.equal(bins.reduce((sum, bin) => sum + bin.count, 0), 200);
+        assert.equal(bins.reduce((sum, bin) => sum + bin.labelled, 0), 150);
+        assert.equal(bins.reduce((sum, bin) => sum + bin.positives, 0), 100);
+        assert.ok(bins.length < 200);
+    });
+
+    test('hexbins handle more points than fit on the call stack', () => {
+        const points = Array.from({ length: 300000 }, (_, i) => ({ x: i % 1000, y: i / 1000, positive: null }));
+        const { bins } = computeHexbins(points, 10);
+        assert.equal(bins.reduce((sum, bin) => sum + bin.count, 0), 300000);
+    });
+});
+
+describe('feature space projections', () => {
+    test('features are one-hot encoded and standardised', () => {
+        const { schema, merged } = prepareTitanic();
+        const { columns, sources, matrix } = encodeFeatureMatrix(merged, schema);
+        assert.ok(columns.includes('Age'));
+        assert.deepEqual(columns.filter(col => sources[columns.indexOf(col)] === 'Sex'), ['Sex=female', 'Sex=male']);
+        assert.equal(matrix.length, 1309);
+        columns.forEach((col, c) => {
+            assertClose(computeMean(matrix.map(row => row[c])), 0, 1e-9);
+        });
+        // Scaled by the present values, so only complete columns have unit variance
+        const sex = matrix.map(row => row[columns.indexOf('Sex=male')]);
+        assertClose(computeStdDev(sex), 1, 1e-9);
+        assert.ok(computeStdDev(matrix.map(row => row[columns.indexOf('Age')])) < 1);
+    });
+
+    test('PCA finds the direction of the largest variance', () => {
+        const matrix = [[-2, -2.1], [-1, -0.9], [0, 0.1], [1, 1.1], [2, 1.8]];
+        const pca = computePca(matrix, 2);
+        assertClose(pca.explained.reduce((sum, value) => sum + value, 0), 1);
+        assert.ok(pca.explained[0] > 0.99);
+        assertClose(Math.abs(pca.loadings[0][0]), Math.SQRT1_2, 1e-2);
+        assert.equal(pca.scores.length, 5);
+        assert.equal(computePca([[1, 2]]), null);
+    });
+
+    test('t-SNE keeps separated clusters apart', () => {
+        const matrix = [];
+        for (let i = 0; i < 30; i++) {
+            const offset = i < 15 ? 0 : 10;
+            matrix.push([offset + (i % 5) * 0.1, offset + (i % 3) * 0.1, offset]);
+        }
+        const embedding = computeTsne(matrix, { ...TSNE_SETTINGS, perplexity: 5, iterations: 200 });
+        assert.equal(embedding.length, 60);
+        const nearest = i => {
+            let best = -1;
+            let bestDistance = Infinity;
+            for (let j = 0; j < 30; j++) {
+                const distance = (embedding[2 * i] - embedding[2 * j]) ** 2 + (embedding[2 * i + 1] - embedding[2 * j + 1]) ** 2;
+                if (j !== i && distance < bestDistance) {
+                    best = j;
+                    bestDistance = distance;
+                }
+            }
+            return best;
+        };
+        for (let i = 0; i < 30; i++) assert.equal(nearest(i) < 15, i < 15);
+    });
+});
+
+describe('data quality rules', () => {
+    test('the built-in rules pass on the bundled files', () => {
+        const { train, test } = loadTitanic();
+        const rules = createDefaultQualityRules();
+        const results = checkQualityRules(rules, { train, test });
+        assert.deepEqual(findFailedQualityRules(rules, results), []);
+    });
+
+    test('a duplicate PassengerId blocks and a bad value warns', () => {
+        const { train, test } = loadTitanic();
+        test[0].PassengerId = 1;
+        test[1].Embarked = 'X';
+        const rules = createDefaultQualityRules();
+        const results = checkQualityRules(rules, { train, test });
+        assert.deepEqual(findFailedQualityRules(rules, results, 'block').map(rule => rule.column), ['PassengerId']);
+        const embarked = rules.find(rule => rule.kind === 'allowed' && rule.column === 'Embarked');
+        assert.equal(results.get(embarked).violations[0].row, 2);
+    });
+
+    test('rules are validated before they are added', () => {
+        assert.equal(validateQualityRule({ kind: 'range', column: 'Age', param: '0..120' }), null);
+        assert.match(validateQualityRule({ kind: 'range', column: 'Age', param: 'x' }), /min\.\.max/);
+        assert.match(validateQualityRule({ kind: 'type', column: 'Age', param: 'date' }), /numeric, integer or text/);
+    });
+});
+
+describe('runEda', () => {
+    test('returns the statistics export of the app', () => {
+        const { train, test } = loadTitanic();
+        const { schema, statistics } = runEda(train, test);
+        assert.equal(schema.targetColumn, 'Survived');
+        assert.deepEqual(Object.keys(statistics), [
+            'numericStats', 'categoricalStats', 'filters', 'groupedStats', 'genderAnalysis', 'imputation', 'models', 'correlation',
+            'drift', 'pivot', 'hypothesisTests', 'featureRanking', 'projection', 'outliers', 'dataQuality'
+        ]);
+        assert.deepEqual(statistics.filters, { combinator: 'AND', active: [] });
+        assert.deepEqual(statistics.models, {});
+        assert.equal(statistics.dataQuality.rules.length, 17);
+        // The input rows are not modified
+        assert.equal('source' in train[0], false);
+    });
+
+    test('rejects splits that cannot be analysed', () => {
+        const { train, test } = loadTitanic();
+        assert.equal(validateSplits(train, []), 'The test data has no rows');
+        assert.throws(() => runEda(train, [{ Other: 1 }]), /no columns in common/);
+        test[0].PassengerId = 1;
+        assert.throws(() => runEda(train, test), /Blocking data quality rule/);
+        assert.throws(() => runEda(train.map(({ Survived, ...row }) => row), loadTitanic().test), /No target column/);
+    });
+});
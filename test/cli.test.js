@@ -0,0 +1,48 @@
+// Tests of the command-line EDA on the bundled Titanic files
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync, spawnSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { runEda } from '../analysis.js';
+import { ROOT, TRAIN_CSV, TEST_CSV, loadTitanic } from './helpers.js';
+
+const CLI = path.join(ROOT, 'cli.js');
+
+// The check time differs between two runs
+function withoutCheckTime(statistics) {
+    return { ...statistics, dataQuality: { ...statistics.dataQuality, checkedAt: null } };
+}
+
+test('prints the same statistics as runEda', () => {
+    const output = JSON.parse(execFileSync(process.execPath, [CLI, TRAIN_CSV, TEST_CSV], { encoding: 'utf8' }));
+    const { train, test } = loadTitanic();
+    assert.deepEqual(withoutCheckTime(output), withoutCheckTime(JSON.parse(JSON.stringify(runEda(train, test).statistics))));
+});
+
+test('writes the statistics to a file with --out', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'titanic-eda-'));
+    const out = path.join(dir, 'statistics.json');
+    try {
+        const result = spawnSync(process.execPath, [CLI, TRAIN_CSV, TEST_CSV, '--out', out, '--missing'], { encoding: 'utf8' });
+        assert.equal(result.status, 0);
+        assert.equal(result.stdout, '');
+        assert.match(result.stderr, /^Cabin: 1014 missing \(77\.5%\)$/m);
+        assert.match(result.stderr, /Statistics written to .*statistics\.json \(target "Survived", 7 features\)/);
+        assert.equal(JSON.parse(fs.readFileSync(out, 'utf8')).categoricalStats.Sex.female.count, 314);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('reports usage and read errors with a non-zero exit code', () => {
+    const usage = spawnSync(process.execPath, [CLI, TRAIN_CSV], { encoding: 'utf8' });
+    assert.equal(usage.status, 2);
+    assert.match(usage.stderr, /^Usage: /);
+
+    const missing = spawnSync(process.execPath, [CLI, TRAIN_CSV, path.join(ROOT, 'missing.csv')], { encoding: 'utf8' });
+    assert.equal(missing.status, 1);
+    assert.match(missing.stderr, /ENOENT/);
+});
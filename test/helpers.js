@@ -0,0 +1,24 @@
+// Shared fixtures: the bundled Kaggle CSV files parsed the way the app and the CLI parse them
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import Papa from 'papaparse';
+
+export const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+export const TRAIN_CSV = path.join(ROOT, 'train.csv');
+export const TEST_CSV = path.join(ROOT, 'test.csv');
+
+export function readRows(file) {
+    return Papa.parse(fs.readFileSync(file, 'utf8'), {
+        header: true,
+        dynamicTyping: true,
+        skipEmptyLines: true,
+        quotes: true
+    }).data;
+}
+
+// Fresh copies on every call, so no test sees another test's edits
+export function loadTitanic() {
+    return { train: readRows(TRAIN_CSV), test: readRows(TEST_CSV) };
+}